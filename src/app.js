@@ -10,6 +10,10 @@ const PORT = process.env.PORT || 3000;
 const path = require('path');
 const fetch = require('node-fetch');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { applyTransforms, transformSourceFields, validateTransforms, splitName } = require('./transforms');
+const { normalizeAccountEmail, createUserStore } = require('./users');
 
 // Middleware
 app.use(helmet({
@@ -28,30 +32,99 @@ app.use(helmet({
   },
 }));
 app.use(cors());
-app.use(express.json());
+// Webhook signatures are computed over the exact bytes that were sent
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 app.use(session({
   secret: 'connectflows-secret-2024',
   resave: false,
   saveUninitialized: false
 }));
+
+// The session only keeps the user id and when it signed in (set by /login), the account
+// itself is loaded on every request so plan, subscription and email changes apply right away.
+// Sessions that signed in before the last password change are signed out. req.user leaves
+// out the password hash.
+app.use(async (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    return next();
+  }
+  try {
+    const user = await getUserById(req.session.userId);
+    const signedInBeforeChange = user && user.password_changed_at &&
+      !(req.session.authenticatedAt >= new Date(user.password_changed_at).getTime());
+    if (!user || signedInBeforeChange) {
+      delete req.session.userId;
+      delete req.session.authenticatedAt;
+      return next();
+    }
+    const { password_hash, ...account } = user;
+    req.user = account;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 console.log('✅ Middleware setup complete.');
 
 // Authentication middleware
+// Accounts without a paid or Lemon Squeezy trialing subscription can be used until trial_ends_at
 function requireAuth(req, res, next) {
-  if (!req.session || !req.session.user) {
-    return res.redirect('/signup?message=Please sign up to test the demo');
+  if (!req.user) {
+    return res.redirect('/login?message=' + encodeURIComponent('Please sign in to continue'));
   }
   
-  const trialStart = new Date(req.session.user.trialStarted);
-  const trialEnd = new Date(trialStart.getTime() + (14 * 24 * 60 * 60 * 1000));
-  
-  if (new Date() > trialEnd) {
+  const onSubscription = ACTIVE_SUBSCRIPTION_STATUSES.includes(req.user.subscription_status);
+  if (!onSubscription && req.user.trial_ends_at && new Date() > new Date(req.user.trial_ends_at)) {
     return res.redirect('/upgrade?message=Your trial has expired');
   }
   
   next();
 }
+
+// Settings, syncs and review queues act on one sync pair: ?sync_pair_id= (or sync_pair_id in
+// the body), or the account's first pair. Runs after requireAuth and sets req.syncPair.
+async function loadSyncPair(req, res, next) {
+  try {
+    const requested = req.query.sync_pair_id ?? req.body?.sync_pair_id;
+    if (requested === undefined) {
+      const [syncPair] = await getSyncPairs(req.user.id);
+      if (!syncPair) {
+        return res.status(400).json({
+          success: false,
+          error: 'Salesforce connection required',
+          message: 'Connect Salesforce to set up your first sync pair'
+        });
+      }
+      req.syncPair = syncPair;
+      return next();
+    }
+    
+    if (!/^\d+$/.test(String(requested))) {
+      return res.status(400).json({ success: false, error: 'sync_pair_id must be a sync pair id' });
+    }
+    req.syncPair = await getSyncPair(req.user.id, requested);
+    if (!req.syncPair) {
+      return res.status(404).json({ success: false, error: 'Sync pair not found' });
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Failed to load sync pair:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// CRM credentials of a sync pair, registered so expiring tokens get refreshed
+async function getCrmConnections(syncPair) {
+  const { salesforce, hubspot } = await getSyncPairConnections(syncPair);
+  return {
+    salesforceConnectionId: salesforce?.id || null,
+    salesforceToken: salesforce ? registerCrmConnection(salesforce).accessToken : null,
+    salesforceInstanceUrl: salesforce?.instanceUrl || null,
+    hubspotConnectionId: hubspot?.id || null,
+    hubspotToken: hubspot ? registerCrmConnection(hubspot).accessToken : null
+  };
+}
 const { Pool } = require('pg');
 
 // Database connection
@@ -103,460 +176,4969 @@ async function initDatabase() {
         last_synced TIMESTAMP DEFAULT NOW(),
         sync_status VARCHAR(50) DEFAULT 'synced'
       );
+      
+      CREATE TABLE IF NOT EXISTS sync_watermarks (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id),
+        provider VARCHAR(50) NOT NULL,
+        object_type VARCHAR(50) DEFAULT 'contacts',
+        high_water_mark TIMESTAMPTZ,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (user_id, provider, object_type)
+      );
+      
+      CREATE TABLE IF NOT EXISTS sync_conflict_decisions (
+        id SERIAL PRIMARY KEY,
+        sync_log_id INTEGER REFERENCES sync_logs(id),
+        user_id INTEGER REFERENCES users(id),
+        email VARCHAR(255),
+        salesforce_id VARCHAR(255),
+        hubspot_id VARCHAR(255),
+        field VARCHAR(255),
+        salesforce_value TEXT,
+        hubspot_value TEXT,
+        policy VARCHAR(50),
+        winner VARCHAR(50),
+        decided_at TIMESTAMP DEFAULT NOW()
+      );
+      
+      CREATE TABLE IF NOT EXISTS conflicts (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id),
+        email VARCHAR(255),
+        field VARCHAR(255),
+        salesforce_id VARCHAR(255),
+        hubspot_id VARCHAR(255),
+        salesforce_value TEXT,
+        hubspot_value TEXT,
+        status VARCHAR(50) DEFAULT 'open',
+        resolution VARCHAR(50),
+        resolved_value TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        resolved_at TIMESTAMP,
+        applied_at TIMESTAMP
+      );
+      
+      ALTER TABLE contacts ADD COLUMN IF NOT EXISTS synced_values JSONB;
+      
+      CREATE TABLE IF NOT EXISTS schema_cache (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id),
+        provider VARCHAR(50) NOT NULL,
+        object_type VARCHAR(50) NOT NULL,
+        fields JSONB NOT NULL,
+        fetched_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (user_id, provider, object_type)
+      );
+      
+      CREATE TABLE IF NOT EXISTS companies (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id),
+        salesforce_id VARCHAR(255),
+        hubspot_id VARCHAR(255),
+        name VARCHAR(255),
+        domain VARCHAR(255),
+        synced_values JSONB,
+        last_synced TIMESTAMP DEFAULT NOW(),
+        sync_status VARCHAR(50) DEFAULT 'synced'
+      );
+      
+      CREATE TABLE IF NOT EXISTS deals (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id),
+        salesforce_id VARCHAR(255),
+        hubspot_id VARCHAR(255),
+        name VARCHAR(255),
+        amount NUMERIC,
+        stage VARCHAR(255),
+        synced_values JSONB,
+        last_synced TIMESTAMP DEFAULT NOW(),
+        sync_status VARCHAR(50) DEFAULT 'synced'
+      );
+      
+      ALTER TABLE sync_conflict_decisions ADD COLUMN IF NOT EXISTS object_type VARCHAR(50) DEFAULT 'contacts';
+      
+      ALTER TABLE contacts ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL;
+      ALTER TABLE deals ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL;
+      
+      ALTER TABLE contacts ADD COLUMN IF NOT EXISTS tombstoned_at TIMESTAMP, ADD COLUMN IF NOT EXISTS deleted_in VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS tombstone_reason VARCHAR(50), ADD COLUMN IF NOT EXISTS tombstone_action VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS merged_into VARCHAR(255);
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS tombstoned_at TIMESTAMP, ADD COLUMN IF NOT EXISTS deleted_in VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS tombstone_reason VARCHAR(50), ADD COLUMN IF NOT EXISTS tombstone_action VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS merged_into VARCHAR(255);
+      ALTER TABLE deals ADD COLUMN IF NOT EXISTS tombstoned_at TIMESTAMP, ADD COLUMN IF NOT EXISTS deleted_in VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS tombstone_reason VARCHAR(50), ADD COLUMN IF NOT EXISTS tombstone_action VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS merged_into VARCHAR(255);
+      
+      CREATE TABLE IF NOT EXISTS suggested_links (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id),
+        object_type VARCHAR(50) DEFAULT 'contacts',
+        salesforce_id VARCHAR(255) NOT NULL,
+        hubspot_id VARCHAR(255) NOT NULL,
+        score NUMERIC,
+        rule VARCHAR(50),
+        salesforce_label VARCHAR(255),
+        hubspot_label VARCHAR(255),
+        status VARCHAR(50) DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT NOW(),
+        decided_at TIMESTAMP,
+        UNIQUE (user_id, object_type, salesforce_id, hubspot_id)
+      );
+      
+      CREATE TABLE IF NOT EXISTS deal_contacts (
+        deal_id INTEGER REFERENCES deals(id) ON DELETE CASCADE,
+        contact_id INTEGER REFERENCES contacts(id) ON DELETE CASCADE,
+        salesforce_role_id VARCHAR(255),
+        PRIMARY KEY (deal_id, contact_id)
+      );
+      
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS salesforce_instance_url TEXT;
+      
+      CREATE TABLE IF NOT EXISTS sync_jobs (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id),
+        status VARCHAR(50) DEFAULT 'queued',
+        trigger VARCHAR(50) DEFAULT 'manual',
+        options JSONB DEFAULT '{}',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 3,
+        run_after TIMESTAMP DEFAULT NOW(),
+        locked_until TIMESTAMP,
+        last_error TEXT,
+        result JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+      
+      CREATE INDEX IF NOT EXISTS sync_jobs_claim_idx ON sync_jobs (status, run_after);
+      
+      ALTER TABLE sync_logs ADD COLUMN IF NOT EXISTS job_id INTEGER REFERENCES sync_jobs(id);
+      
+      ALTER TABLE sync_jobs ADD COLUMN IF NOT EXISTS kind VARCHAR(50) DEFAULT 'full',
+        ADD COLUMN IF NOT EXISTS record_key VARCHAR(255);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS salesforce_org_id VARCHAR(255), ADD COLUMN IF NOT EXISTS hubspot_portal_id VARCHAR(255);
+      ALTER TABLE sync_jobs ADD COLUMN IF NOT EXISTS plan JSONB;
+      
+      CREATE TABLE IF NOT EXISTS sync_changes (
+        id SERIAL PRIMARY KEY,
+        sync_log_id INTEGER REFERENCES sync_logs(id),
+        user_id INTEGER REFERENCES users(id),
+        object_type VARCHAR(50),
+        system VARCHAR(50) NOT NULL,
+        record_id VARCHAR(255) NOT NULL,
+        action VARCHAR(50) DEFAULT 'update',
+        field VARCHAR(255) NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        changed_at TIMESTAMP DEFAULT NOW(),
+        rolled_back_at TIMESTAMP,
+        rolled_back_by INTEGER REFERENCES sync_logs(id)
+      );
+      
+      CREATE INDEX IF NOT EXISTS sync_changes_record_idx ON sync_changes (user_id, system, record_id);
+      
+      CREATE TABLE IF NOT EXISTS sync_events (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id),
+        provider VARCHAR(50) NOT NULL,
+        event_id VARCHAR(255) NOT NULL,
+        event_type VARCHAR(100),
+        object_type VARCHAR(50),
+        record_id VARCHAR(255),
+        occurred_at TIMESTAMP,
+        job_id INTEGER REFERENCES sync_jobs(id),
+        received_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (user_id, provider, event_id)
+      );
+      
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS salesforce_refresh_token TEXT,
+        ADD COLUMN IF NOT EXISTS salesforce_token_expires_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS salesforce_connection_status VARCHAR(50) DEFAULT 'connected',
+        ADD COLUMN IF NOT EXISTS hubspot_refresh_token TEXT,
+        ADD COLUMN IF NOT EXISTS hubspot_token_expires_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS hubspot_connection_status VARCHAR(50) DEFAULT 'connected';
+      
+      CREATE TABLE IF NOT EXISTS connections (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        provider VARCHAR(50) NOT NULL,
+        access_token TEXT NOT NULL,
+        refresh_token TEXT,
+        token_expires_at TIMESTAMP,
+        instance_url TEXT,
+        org_id VARCHAR(255),
+        hub_id VARCHAR(255),
+        scopes JSONB,
+        status VARCHAR(50) DEFAULT 'connected',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (user_id, provider)
+      );
+      
+      CREATE INDEX IF NOT EXISTS connections_org_idx ON connections (provider, org_id);
+      CREATE INDEX IF NOT EXISTS connections_hub_idx ON connections (provider, hub_id);
+      
+      ALTER TABLE connections ADD COLUMN IF NOT EXISTS environment VARCHAR(50);
+      
+      -- An account can connect several orgs and portals, one row each, and syncs run per sync pair
+      ALTER TABLE connections ADD COLUMN IF NOT EXISTS name VARCHAR(255);
+      ALTER TABLE connections DROP CONSTRAINT IF EXISTS connections_user_id_provider_key;
+      CREATE UNIQUE INDEX IF NOT EXISTS connections_salesforce_org_key ON connections (user_id, org_id) WHERE provider = 'salesforce';
+      CREATE UNIQUE INDEX IF NOT EXISTS connections_hubspot_hub_key ON connections (user_id, hub_id) WHERE provider = 'hubspot';
+      
+      CREATE TABLE IF NOT EXISTS sync_pairs (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        salesforce_connection_id INTEGER NOT NULL REFERENCES connections(id),
+        hubspot_connection_id INTEGER REFERENCES connections(id),
+        sync_settings JSONB DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+      
+      CREATE UNIQUE INDEX IF NOT EXISTS sync_pairs_connections_key ON sync_pairs (salesforce_connection_id, hubspot_connection_id);
+      
+      ALTER TABLE contacts ADD COLUMN IF NOT EXISTS sync_pair_id INTEGER REFERENCES sync_pairs(id) ON DELETE CASCADE;
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS sync_pair_id INTEGER REFERENCES sync_pairs(id) ON DELETE CASCADE;
+      ALTER TABLE deals ADD COLUMN IF NOT EXISTS sync_pair_id INTEGER REFERENCES sync_pairs(id) ON DELETE CASCADE;
+      ALTER TABLE sync_watermarks ADD COLUMN IF NOT EXISTS sync_pair_id INTEGER REFERENCES sync_pairs(id) ON DELETE CASCADE;
+      ALTER TABLE conflicts ADD COLUMN IF NOT EXISTS sync_pair_id INTEGER REFERENCES sync_pairs(id) ON DELETE CASCADE;
+      ALTER TABLE suggested_links ADD COLUMN IF NOT EXISTS sync_pair_id INTEGER REFERENCES sync_pairs(id) ON DELETE CASCADE;
+      ALTER TABLE sync_events ADD COLUMN IF NOT EXISTS sync_pair_id INTEGER REFERENCES sync_pairs(id) ON DELETE CASCADE;
+      -- History outlives the pair
+      ALTER TABLE sync_logs ADD COLUMN IF NOT EXISTS sync_pair_id INTEGER REFERENCES sync_pairs(id) ON DELETE SET NULL;
+      ALTER TABLE sync_jobs ADD COLUMN IF NOT EXISTS sync_pair_id INTEGER REFERENCES sync_pairs(id) ON DELETE SET NULL;
+      
+      CREATE INDEX IF NOT EXISTS contacts_pair_idx ON contacts (sync_pair_id);
+      CREATE INDEX IF NOT EXISTS companies_pair_idx ON companies (sync_pair_id);
+      CREATE INDEX IF NOT EXISTS deals_pair_idx ON deals (sync_pair_id);
+      CREATE INDEX IF NOT EXISTS sync_logs_pair_idx ON sync_logs (sync_pair_id, started_at);
+      
+      -- Uniqueness moves from the user to the pair
+      ALTER TABLE sync_watermarks DROP CONSTRAINT IF EXISTS sync_watermarks_user_id_provider_object_type_key;
+      CREATE UNIQUE INDEX IF NOT EXISTS sync_watermarks_pair_key ON sync_watermarks (sync_pair_id, provider, object_type);
+      ALTER TABLE suggested_links DROP CONSTRAINT IF EXISTS suggested_links_user_id_object_type_salesforce_id_hubspot_i_key;
+      CREATE UNIQUE INDEX IF NOT EXISTS suggested_links_pair_key ON suggested_links (sync_pair_id, object_type, salesforce_id, hubspot_id);
+      ALTER TABLE sync_events DROP CONSTRAINT IF EXISTS sync_events_user_id_provider_event_id_key;
+      CREATE UNIQUE INDEX IF NOT EXISTS sync_events_pair_key ON sync_events (sync_pair_id, provider, event_id);
+      DROP INDEX IF EXISTS conflicts_pending_idx;
+      CREATE UNIQUE INDEX IF NOT EXISTS conflicts_pair_pending_idx ON conflicts (sync_pair_id, email, field) WHERE status <> 'applied';
+      
+      -- Each org has its own custom fields, so schemas are cached per connection
+      ALTER TABLE schema_cache ADD COLUMN IF NOT EXISTS connection_id INTEGER REFERENCES connections(id) ON DELETE CASCADE;
+      ALTER TABLE schema_cache DROP CONSTRAINT IF EXISTS schema_cache_user_id_provider_object_type_key;
+      DELETE FROM schema_cache WHERE connection_id IS NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS schema_cache_connection_key ON schema_cache (connection_id, object_type);
+      
+      -- Sessions that signed in before this are signed out
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+      
+      -- Emails are stored and compared in lower case. Accounts whose addresses only differ in
+      -- case keep theirs (and the index waits) until someone merges them.
+      UPDATE users SET email = LOWER(TRIM(email))
+      WHERE email <> LOWER(TRIM(email))
+        AND NOT EXISTS (SELECT 1 FROM users other WHERE other.id <> users.id AND LOWER(TRIM(other.email)) = LOWER(TRIM(users.email)));
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM users GROUP BY LOWER(email) HAVING COUNT(*) > 1) THEN
+          CREATE UNIQUE INDEX IF NOT EXISTS users_email_lower_key ON users (LOWER(email));
+        END IF;
+      END $$;
     `);
+    await migrateUserTokensToConnections();
+    await migrateUsersToSyncPairs();
     console.log('✅ Database tables initialized');
+    // Calls both CRMs, so startup does not wait for it
+    if (process.env.CONNECTION_ENCRYPTION_KEY) {
+      backfillConnectionAccountIds().catch(error => console.error('❌ Connection id backfill failed:', error.message));
+    }
   } catch (error) {
     console.error('❌ Database initialization failed:', error);
   }
 }
 
 // Initialize database on startup
-initDatabase();
+const databaseReady = initDatabase();
 console.log('✅ Database initialization triggered.');
 
 // User data functions
-async function createUser(email, passwordHash) {
+const { createUser, getUserByEmail, getUserById, updateUserPassword, updateUserEmail } = createUserStore(pool);
+
+// CRM connections, one row per Salesforce org or HubSpot portal a user connected. Syncs,
+// webhooks and the request path all read tokens from here, so nothing depends on a browser
+// session. Access and refresh tokens are encrypted at rest with AES-256-GCM under
+// CONNECTION_ENCRYPTION_KEY (32 bytes, hex or base64); instance URL, org id, hub id and
+// scopes are stored as is.
+const CONNECTION_PROVIDERS = ['salesforce', 'hubspot'];
+
+function connectionEncryptionKey() {
+  const secret = process.env.CONNECTION_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('CONNECTION_ENCRYPTION_KEY is not set, CRM tokens cannot be stored or read');
+  }
+  const key = /^[0-9a-f]{64}$/i.test(secret) ? Buffer.from(secret, 'hex') : Buffer.from(secret, 'base64');
+  if (key.length !== 32) {
+    throw new Error('CONNECTION_ENCRYPTION_KEY must be 32 bytes, hex or base64 encoded');
+  }
+  return key;
+}
+
+// Stored as v1:<iv>:<auth tag>:<ciphertext>, the version leaves room for key rotation
+function encryptToken(token) {
+  if (!token) {
+    return null;
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', connectionEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+}
+
+function decryptToken(stored) {
+  if (!stored) {
+    return null;
+  }
+  const [version, iv, authTag, encrypted] = stored.split(':');
+  if (version !== 'v1') {
+    throw new Error(`Unknown token encryption version ${version}`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', connectionEncryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// The shape crmFetch keeps for token refresh, see registerCrmConnection
+function connectionFromRow(row) {
+  return {
+    id: row.id,
+    provider: row.provider,
+    userId: row.user_id,
+    name: row.name,
+    accessToken: decryptToken(row.access_token),
+    refreshToken: decryptToken(row.refresh_token),
+    expiresAt: row.token_expires_at,
+    instanceUrl: row.instance_url,
+    // Salesforce only, 'production' or 'sandbox'
+    environment: row.environment,
+    orgId: row.org_id,
+    hubId: row.hub_id,
+    scopes: row.scopes || [],
+    status: row.status
+  };
+}
+
+// Connections without a name are called after the org's My Domain or the portal's domain
+function defaultConnectionName(provider, { instanceUrl, environment, hubId, hubDomain }) {
+  if (provider === 'hubspot') {
+    return hubDomain || `HubSpot ${hubId || 'portal'}`;
+  }
+  const domain = instanceUrl ? new URL(instanceUrl).hostname.split('.')[0] : 'Salesforce';
+  return environment === 'sandbox' ? `${domain} (sandbox)` : domain;
+}
+
+// Connecting the same org or portal again replaces its tokens and marks it as working again.
+// A missing refresh token, hub id or scope list keeps the stored one, and so does the name.
+async function saveConnection(userId, provider, {
+  accessToken, refreshToken = null, expiresAt = null, instanceUrl = null, environment = null, orgId = null, hubId = null,
+  hubDomain = null, scopes = null, name = null
+}) {
+  const accountColumn = provider === 'hubspot' ? 'hub_id' : 'org_id';
+  const accountId = provider === 'hubspot' ? (hubId === null ? null : String(hubId)) : orgId;
+  // A row moved over from the users table may still lack its org or portal id (see
+  // backfillConnectionAccountIds). Reconnecting takes that row over instead of adding a second
+  // one, for Salesforce only when the instance URL (the org's My Domain) is the same.
+  if (accountId) {
+    await pool.query(
+      `UPDATE connections SET ${accountColumn} = $3
+       WHERE id = (SELECT id FROM connections WHERE user_id = $1 AND provider = $2 AND ${accountColumn} IS NULL
+                   AND ($4::text IS NULL OR instance_url IS NULL OR instance_url = $4) ORDER BY id LIMIT 1)
+         AND NOT EXISTS (SELECT 1 FROM connections WHERE user_id = $1 AND provider = $2 AND ${accountColumn} = $3)`,
+      [userId, provider, accountId, provider === 'salesforce' ? instanceUrl : null]
+    );
+  }
   const result = await pool.query(
-    'INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING *',
-    [email, passwordHash]
+    `INSERT INTO connections
+     (user_id, provider, access_token, refresh_token, token_expires_at, instance_url, org_id, hub_id, scopes, environment, name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (user_id, ${accountColumn}) WHERE provider = '${provider}' DO UPDATE SET
+       access_token = EXCLUDED.access_token,
+       refresh_token = COALESCE(EXCLUDED.refresh_token, connections.refresh_token),
+       token_expires_at = EXCLUDED.token_expires_at,
+       instance_url = COALESCE(EXCLUDED.instance_url, connections.instance_url),
+       org_id = COALESCE(EXCLUDED.org_id, connections.org_id),
+       hub_id = COALESCE(EXCLUDED.hub_id, connections.hub_id),
+       scopes = COALESCE(EXCLUDED.scopes, connections.scopes),
+       environment = COALESCE(EXCLUDED.environment, connections.environment),
+       name = COALESCE(connections.name, EXCLUDED.name),
+       status = 'connected',
+       updated_at = NOW()
+     RETURNING *`,
+    [
+      userId,
+      provider,
+      encryptToken(accessToken),
+      encryptToken(refreshToken),
+      expiresAt,
+      instanceUrl,
+      provider === 'hubspot' ? null : orgId,
+      provider === 'hubspot' ? accountId : null,
+      scopes ? JSON.stringify(scopes) : null,
+      environment,
+      name || defaultConnectionName(provider, { instanceUrl, environment, hubId, hubDomain })
+    ]
   );
-  return result.rows[0];
+  return connectionFromRow(result.rows[0]);
 }
 
-async function getUserByEmail(email) {
-  const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-  return result.rows[0];
+// Refreshed tokens go back to the row they were read from
+async function saveConnectionTokens(connection) {
+  await pool.query(
+    `UPDATE connections SET access_token = $1, refresh_token = $2, token_expires_at = $3,
+     instance_url = COALESCE($4, instance_url), status = 'connected', updated_at = NOW()
+     WHERE id = $5`,
+    [encryptToken(connection.accessToken), encryptToken(connection.refreshToken), connection.expiresAt, connection.instanceUrl, connection.id]
+  );
 }
 
-async function getUserById(id) {
-  const result = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
-  return result.rows[0];
+async function getConnectionById(userId, connectionId) {
+  const result = await pool.query('SELECT * FROM connections WHERE user_id = $1 AND id = $2', [userId, connectionId]);
+  return result.rows[0] ? connectionFromRow(result.rows[0]) : null;
+}
+
+// { salesforce: [...], hubspot: [...] }, oldest connection first
+async function getUserConnections(userId) {
+  const result = await pool.query('SELECT * FROM connections WHERE user_id = $1 ORDER BY id', [userId]);
+  const connections = Object.fromEntries(CONNECTION_PROVIDERS.map(provider => [provider, []]));
+  for (const row of result.rows) {
+    connections[row.provider].push(connectionFromRow(row));
+  }
+  return connections;
 }
 
-async function updateUserTokens(userId, salesforceToken, hubspotToken) {
+async function markConnectionNeedsReauthorization(connectionId) {
   await pool.query(
-    'UPDATE users SET salesforce_token = $1, hubspot_token = $2 WHERE id = $3',
-    [salesforceToken, hubspotToken, userId]
+    `UPDATE connections SET status = 'needs_reauthorization', updated_at = NOW() WHERE id = $1`,
+    [connectionId]
   );
 }
 
-async function getUserSyncHistory(userId) {
+// Tokens used to live in plain text on the users row, they are moved over once a key is configured
+async function migrateUserTokensToConnections() {
+  if (!process.env.CONNECTION_ENCRYPTION_KEY) {
+    console.warn('⚠️ CONNECTION_ENCRYPTION_KEY is not set, CRM connections cannot be saved until it is');
+    return;
+  }
+  
+  const result = await pool.query('SELECT * FROM users WHERE salesforce_token IS NOT NULL OR hubspot_token IS NOT NULL');
+  for (const user of result.rows) {
+    if (user.salesforce_token) {
+      await saveConnection(user.id, 'salesforce', {
+        accessToken: user.salesforce_token,
+        refreshToken: user.salesforce_refresh_token,
+        expiresAt: user.salesforce_token_expires_at,
+        instanceUrl: user.salesforce_instance_url,
+        orgId: user.salesforce_org_id
+      });
+    }
+    if (user.hubspot_token) {
+      await saveConnection(user.id, 'hubspot', {
+        accessToken: user.hubspot_token,
+        refreshToken: user.hubspot_refresh_token,
+        expiresAt: user.hubspot_token_expires_at,
+        hubId: user.hubspot_portal_id
+      });
+    }
+    await pool.query(
+      `UPDATE users SET salesforce_token = NULL, salesforce_refresh_token = NULL, hubspot_token = NULL, hubspot_refresh_token = NULL
+       WHERE id = $1`,
+      [user.id]
+    );
+  }
+  if (result.rows.length > 0) {
+    console.log(`🔐 Moved CRM tokens of ${result.rows.length} users into encrypted connections`);
+  }
+}
+
+// Users rows from before org and portal ids were stored become connections without one, which
+// the (user, org) and (user, portal) upserts cannot match. The ids are looked up with the row's
+// own tokens; a row whose tokens no longer work is matched when it is reconnected instead.
+async function backfillConnectionAccountIds() {
   const result = await pool.query(
-    'SELECT * FROM sync_logs WHERE user_id = $1 ORDER BY started_at DESC LIMIT 10',
-    [userId]
+    `SELECT * FROM connections
+     WHERE status = 'connected' AND ((provider = 'salesforce' AND org_id IS NULL) OR (provider = 'hubspot' AND hub_id IS NULL))`
   );
+  for (const row of result.rows) {
+    const connection = registerCrmConnection(connectionFromRow(row));
+    const accountColumn = connection.provider === 'hubspot' ? 'hub_id' : 'org_id';
+    try {
+      if (tokenExpiresSoon(connection)) {
+        await refreshCrmConnection(connection);
+      }
+      let accountId;
+      if (connection.provider === 'hubspot') {
+        accountId = String((await fetchHubSpotTokenInfo(connection.accessToken)).hubId);
+      } else {
+        const response = await crmFetch('salesforce', connection.instanceUrl, `${connection.instanceUrl}/services/oauth2/userinfo`, {
+          headers: {
+            'Authorization': `Bearer ${connection.accessToken}`,
+            'Accept': 'application/json'
+          }
+        });
+        if (!response.ok) {
+          throw new Error(`Salesforce API error: ${response.status}`);
+        }
+        accountId = (await response.json()).organization_id;
+      }
+      
+      // A duplicate made by reconnecting before this ran keeps the id, this row stays as it is
+      const updated = await pool.query(
+        `UPDATE connections SET ${accountColumn} = $1, updated_at = NOW()
+         WHERE id = $2 AND NOT EXISTS (
+           SELECT 1 FROM connections WHERE user_id = $3 AND provider = $4 AND ${accountColumn} = $1
+         )`,
+        [accountId, row.id, row.user_id, row.provider]
+      );
+      console.log(updated.rowCount > 0
+        ? `🔐 Connection ${row.id} belongs to ${connection.provider} ${accountColumn} ${accountId}`
+        : `⚠️ Connection ${row.id} duplicates another ${connection.provider} connection of user ${row.user_id}`);
+    } catch (error) {
+      console.warn(`⚠️ Could not look up the ${accountColumn} of connection ${row.id}:`, error.message);
+    }
+  }
+}
+
+// Sync pairs link one Salesforce org to one HubSpot portal of the same account. Each pair has
+// its own sync_settings (mappings, policies, schedule), link rows, watermarks and history, so
+// an agency can sync every client org with that client's portal. A pair can wait for its
+// HubSpot portal, which makes it a Salesforce-only pair until one is attached.
+const SYNC_PAIR_TABLES = ['contacts', 'companies', 'deals', 'sync_logs', 'sync_watermarks', 'sync_jobs', 'conflicts', 'suggested_links', 'sync_events'];
+
+async function getSyncPairs(userId) {
+  const result = await pool.query('SELECT * FROM sync_pairs WHERE user_id = $1 ORDER BY id', [userId]);
   return result.rows;
 }
 
-async function createSyncLog(userId, status, contactsProcessed, conflicts, errorMessage = null) {
+async function getSyncPair(userId, syncPairId) {
+  const result = await pool.query('SELECT * FROM sync_pairs WHERE user_id = $1 AND id = $2', [userId, syncPairId]);
+  return result.rows[0];
+}
+
+async function getSyncPairById(syncPairId) {
+  const result = await pool.query('SELECT * FROM sync_pairs WHERE id = $1', [syncPairId]);
+  return result.rows[0];
+}
+
+async function createSyncPair(userId, { name, salesforceConnectionId, hubspotConnectionId = null, syncSettings = {} }) {
   const result = await pool.query(
-    'INSERT INTO sync_logs (user_id, status, contacts_processed, conflicts, error_message) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-    [userId, status, contactsProcessed, conflicts, errorMessage]
+    `INSERT INTO sync_pairs (user_id, name, salesforce_connection_id, hubspot_connection_id, sync_settings)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [userId, name, salesforceConnectionId, hubspotConnectionId, JSON.stringify(syncSettings)]
   );
   return result.rows[0];
 }
 
-async function getUserStats(userId) {
-  const syncHistory = await getUserSyncHistory(userId);
-  const contactsResult = await pool.query(
-    'SELECT COUNT(*) as total FROM contacts WHERE user_id = $1',
-    [userId]
+// { salesforce, hubspot }, hubspot is null while the pair waits for a portal
+async function getSyncPairConnections(syncPair) {
+  const result = await pool.query(
+    'SELECT * FROM connections WHERE id = ANY($1)',
+    [[syncPair.salesforce_connection_id, syncPair.hubspot_connection_id].filter(Boolean)]
   );
-  
-  const lastSync = syncHistory.length > 0 ? syncHistory[0] : null;
-  const totalContacts = parseInt(contactsResult.rows[0].total);
-  
-  return {
-    totalContacts,
-    lastSync: lastSync?.started_at || null,
-    syncStatus: lastSync?.status || 'never',
-    syncHistory: syncHistory.map(log => ({
-      id: log.id,
-      status: log.status,
-      total: log.contacts_processed,
-      conflicts: log.conflicts,
-      error: log.error_message,
-      timestamp: log.started_at
-    }))
-  };
+  const connections = { salesforce: null, hubspot: null };
+  for (const row of result.rows) {
+    connections[row.provider] = connectionFromRow(row);
+  }
+  return connections;
 }
 
-// Salesforce API functions
-async function fetchSalesforceContacts(accessToken) {
-  const response = await fetch('https://login.salesforce.com/services/data/v57.0/query/?q=SELECT Id,FirstName,LastName,Email,Phone,Account.Name FROM Contact LIMIT 100', {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/json'
-    }
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Salesforce API error: ${response.status}`);
-  }
-  
-  const data = await response.json();
-  return data.records.map(contact => ({
-    id: contact.Id,
-    name: `${contact.FirstName || ''} ${contact.LastName || ''}`.trim(),
-    email: contact.Email,
-    phone: contact.Phone,
-    company: contact.Account?.Name || '',
-    source: 'salesforce'
-  }));
+// Pairs syncing a Salesforce org (org_id) or HubSpot portal (hub_id), with their owner's subscription
+async function getSyncPairsByConnection(provider, column, accountId) {
+  const result = await pool.query(
+    `SELECT sync_pairs.*, users.subscription_status FROM sync_pairs
+     JOIN users ON users.id = sync_pairs.user_id
+     JOIN connections ON connections.id = sync_pairs.${provider}_connection_id
+     WHERE connections.${column} = $1
+     ORDER BY sync_pairs.id`,
+    [String(accountId)]
+  );
+  return result.rows;
 }
 
-// HubSpot API functions
-async function fetchHubSpotContacts(accessToken) {
-  const response = await fetch('https://api.hubapi.com/crm/v3/objects/contacts?properties=firstname,lastname,email,phone,company&limit=100', {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/json'
-    }
-  });
+async function getSyncPairSettings(syncPairId) {
+  const result = await pool.query('SELECT sync_settings FROM sync_pairs WHERE id = $1', [syncPairId]);
+  return result.rows[0]?.sync_settings || {};
+}
+
+// Shallow merge, top-level keys in `changes` replace the stored ones
+async function updateSyncPairSettings(syncPairId, changes) {
+  const result = await pool.query(
+    `UPDATE sync_pairs SET sync_settings = COALESCE(sync_settings, '{}'::jsonb) || $1::jsonb, updated_at = NOW()
+     WHERE id = $2 RETURNING sync_settings`,
+    [JSON.stringify(changes), syncPairId]
+  );
+  return result.rows[0]?.sync_settings || {};
+}
+
+// The first org and portal an account connects are paired up on their own, so an account with
+// one of each never has to set up a pair. A pair still waiting for HubSpot gets the next portal.
+async function ensureDefaultSyncPair(userId) {
+  const pairs = await getSyncPairs(userId);
+  // Ids are all this needs, so the tokens stay encrypted
+  const connections = await pool.query('SELECT id, provider FROM connections WHERE user_id = $1 ORDER BY id', [userId]);
+  const salesforce = connections.rows.find(row => row.provider === 'salesforce');
+  const hubspot = connections.rows.find(row => row.provider === 'hubspot');
   
-  if (!response.ok) {
-    throw new Error(`HubSpot API error: ${response.status}`);
+  if (pairs.length === 0) {
+    if (!salesforce) {
+      return null;
+    }
+    // Settings saved before sync pairs existed lived on the user
+    const user = await getUserById(userId);
+    const syncPair = await createSyncPair(userId, {
+      name: 'Default',
+      salesforceConnectionId: salesforce.id,
+      hubspotConnectionId: hubspot?.id || null,
+      syncSettings: user?.sync_settings || {}
+    });
+    console.log(`🔗 Created default sync pair ${syncPair.id} for user ${userId}`);
+    return syncPair;
   }
   
-  const data = await response.json();
-  return data.results.map(contact => ({
-    id: contact.id,
-    name: `${contact.properties.firstname || ''} ${contact.properties.lastname || ''}`.trim(),
-    email: contact.properties.email,
-    phone: contact.properties.phone,
-    company: contact.properties.company || '',
-    source: 'hubspot'
-  }));
+  const waiting = pairs.find(pair => !pair.hubspot_connection_id);
+  if (waiting && hubspot) {
+    await pool.query(
+      'UPDATE sync_pairs SET hubspot_connection_id = $1, updated_at = NOW() WHERE id = $2',
+      [hubspot.id, waiting.id]
+    );
+  }
+  return pairs[0];
 }
 
-// Sync engine
-async function performSync(userId) {
-  const user = await getUserById(userId);
-  if (!user || !user.salesforce_token || !user.hubspot_token) {
-    throw new Error('User not found or CRM accounts not connected');
+// Accounts from before sync pairs get their default pair, which takes over every link row,
+// watermark, log and job their syncs wrote
+async function migrateUsersToSyncPairs() {
+  const result = await pool.query(
+    `SELECT DISTINCT connections.user_id FROM connections
+     WHERE connections.provider = 'salesforce'
+       AND NOT EXISTS (SELECT 1 FROM sync_pairs WHERE sync_pairs.user_id = connections.user_id)`
+  );
+  for (const row of result.rows) {
+    await ensureDefaultSyncPair(row.user_id);
   }
   
-  try {
-    // Create sync log
-    const syncLog = await createSyncLog(userId, 'running', 0, 0);
-    
-    // Fetch contacts from both systems
-    const [salesforceContacts, hubspotContacts] = await Promise.all([
-      fetchSalesforceContacts(user.salesforce_token),
-      fetchHubSpotContacts(user.hubspot_token)
-    ]);
-    
-    // Compare and identify conflicts
-    const conflicts = [];
-    const processedContacts = [];
-    
-    for (const sfContact of salesforceContacts) {
-      const hubspotMatch = hubspotContacts.find(hc => hc.email === sfContact.email);
-      
-      if (hubspotMatch) {
-        // Check for conflicts
-        const hasConflict = 
-          sfContact.name !== hubspotMatch.name ||
-          sfContact.phone !== hubspotMatch.phone ||
-          sfContact.company !== hubspotMatch.company;
-        
-        if (hasConflict) {
-          conflicts.push({
-            email: sfContact.email,
-            salesforce: sfContact,
-            hubspot: hubspotMatch
-          });
-        }
-        
-        processedContacts.push({
-          user_id: userId,
-          salesforce_id: sfContact.id,
-          hubspot_id: hubspotMatch.id,
-          email: sfContact.email,
-          name: sfContact.name,
-          phone: sfContact.phone,
-          company: sfContact.company
-        });
-      } else {
-        // Contact only in Salesforce
-        processedContacts.push({
-          user_id: userId,
-          salesforce_id: sfContact.id,
-          email: sfContact.email,
-          name: sfContact.name,
-          phone: sfContact.phone,
-          company: sfContact.company
-        });
-      }
-    }
-    
-    // Store contacts
-    for (const contact of processedContacts) {
-      await pool.query(
-        `INSERT INTO contacts (user_id, salesforce_id, hubspot_id, email, name, phone, company) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7) 
-         ON CONFLICT (user_id, email) DO UPDATE SET 
-         name = EXCLUDED.name, phone = EXCLUDED.phone, company = EXCLUDED.company, last_synced = NOW()`,
-        [contact.user_id, contact.salesforce_id, contact.hubspot_id, contact.email, contact.name, contact.phone, contact.company]
-      );
-    }
-    
-    // Update sync log
+  for (const table of SYNC_PAIR_TABLES) {
     await pool.query(
-      'UPDATE sync_logs SET status = $1, contacts_processed = $2, conflicts = $3, completed_at = NOW() WHERE id = $4',
-      ['success', processedContacts.length, conflicts.length, syncLog.id]
+      `UPDATE ${table} SET sync_pair_id = (SELECT MIN(id) FROM sync_pairs WHERE sync_pairs.user_id = ${table}.user_id)
+       WHERE sync_pair_id IS NULL AND user_id IS NOT NULL`
     );
-    
-    return {
-      success: true,
-      contactsProcessed: processedContacts.length,
-      conflicts: conflicts.length,
-      conflictDetails: conflicts
-    };
-    
-  } catch (error) {
-    // Log error
-    await createSyncLog(userId, 'error', 0, 0, error.message);
-    throw error;
+  }
+  if (result.rows.length > 0) {
+    console.log(`🔗 Moved ${result.rows.length} accounts onto sync pairs`);
   }
 }
-// Routes 
-// ========================================
-// REAL SYNC ENGINE FOR PAYING CUSTOMERS
-// ========================================
-console.log('➡️ Defining / route.');
-app.get('/', (req, res) => {
-  res.json({ 
-    message: '🚀 SF-HubSpot Sync API is running!',
-    version: '1.0.0',
-    status: 'active',
-    endpoints: {
-      auth: {
-        salesforce: '/auth/salesforce',
-        salesforce_callback: '/auth/salesforce/callback',
-        hubspot: '/auth/hubspot',
-        hubspot_callback: '/auth/hubspot/callback'
-      },
-      api: {
-        sync: '/api/sync',
-        sync_contacts: '/api/sync/contacts',
-        status: '/api/status',
-        health: '/health'
-      }
-    },
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
-const crypto = require('crypto');
-// Lemon Squeezy Billing Routes
-console.log('➡️ Defining /pricing route.');
-// Pricing page route
-app.get('/pricing', (req, res) => {
-  const message = req.query.message || '';
-  const signupComplete = req.query.signup === 'complete';
-  
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Pricing Plans - ConnectFlows</title>
-      <meta name="viewport" content="width=device-width, initial-scale=1">
-      <script src="https://cdn.tailwindcss.com"></script>
-      <style>
-        .gradient-bg {
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-        }
-        .card-hover {
-          transition: all 0.3s ease;
-        }
-        .card-hover:hover {
-          transform: translateY(-5px);
-          box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04);
-        }
-        .checkout-btn {
-          transition: all 0.3s ease;
-        }
-        .checkout-btn:hover {
-          transform: translateY(-2px);
-        }
-        .checkout-btn:disabled {
-          opacity: 0.6;
-          cursor: not-allowed;
-          transform: none;
-        }
-      </style>
-    </head>
-    <body class="bg-gray-50">
-      <div class="min-h-screen">
-        <!-- Header -->
-        <header class="gradient-bg text-white py-8">
-          <div class="container mx-auto px-4 text-center">
-            <h1 class="text-4xl font-bold mb-4">Choose Your ConnectFlows Plan</h1>
-            <p class="text-xl opacity-90">Sync Salesforce ↔ HubSpot with enterprise-grade reliability</p>
-          </div>
-        </header>
 
-        <!-- Message Banner -->
-        ${message ? `
-          <div class="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-8">
-            <div class="flex">
-              <div class="flex-shrink-0">
-                <svg class="h-5 w-5 text-yellow-400" viewBox="0 0 20 20" fill="currentColor">
-                  <path fill-rule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clip-rule="evenodd" />
-                </svg>
-              </div>
-              <div class="ml-3">
-                <p class="text-sm text-yellow-700">${message}</p>
-              </div>
-            </div>
-          </div>
-        ` : ''}
+async function getUserSyncHistory(userId, syncPairId = null) {
+  const result = await pool.query(
+    `SELECT * FROM sync_logs WHERE user_id = $1 AND ($2::integer IS NULL OR sync_pair_id = $2)
+     ORDER BY started_at DESC LIMIT 10`,
+    [userId, syncPairId]
+  );
+  return result.rows;
+}
 
-        <!-- Signup Complete Banner -->
-        ${signupComplete ? `
-          <div class="bg-green-50 border-l-4 border-green-400 p-4 mb-8">
-            <div class="flex">
-              <div class="flex-shrink-0">
-                <svg class="h-5 w-5 text-green-400" viewBox="0 0 20 20" fill="currentColor">
-                  <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clip-rule="evenodd" />
-                </svg>
-              </div>
-              <div class="ml-3">
-                <p class="text-sm text-green-700">✅ Account created successfully! Choose your plan to continue.</p>
-              </div>
-            </div>
-          </div>
-        ` : ''}
+async function createSyncLog(userId, status, contactsProcessed, conflicts, errorMessage = null, syncType = 'demo', jobId = null, syncPairId = null) {
+  const result = await pool.query(
+    `INSERT INTO sync_logs (user_id, status, contacts_processed, conflicts, error_message, sync_type, job_id, sync_pair_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [userId, status, contactsProcessed, conflicts, errorMessage, syncType, jobId, syncPairId]
+  );
+  return result.rows[0];
+}
 
-        <!-- Pricing Cards -->
-        <div class="container mx-auto px-4 py-12">
-          <div class="grid md:grid-cols-3 gap-8 max-w-6xl mx-auto">
-            
-            <!-- Starter Plan -->
-            <div class="bg-white rounded-lg shadow-lg card-hover p-8 border-2 border-gray-100">
-              <div class="text-center mb-8">
-                <h3 class="text-2xl font-bold text-gray-900 mb-4">Starter</h3>
-                <div class="text-4xl font-bold text-gray-900 mb-2">$97</div>
-                <div class="text-gray-600">per month</div>
-                <p class="text-sm text-gray-500 mt-2">Perfect for small teams</p>
-              </div>
-              
-              <ul class="space-y-4 mb-8">
-                <li class="flex items-center">
-                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-                  </svg>
-                  Up to 1,000 contacts
-                </li>
-                <li class="flex items-center">
-                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-                  </svg>
-                  Real-time sync
-                </li>
-                <li class="flex items-center">
-                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-                  </svg>
-                  Basic field mapping
-                </li>
-                <li class="flex items-center">
-                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-                  </svg>
-                  Email support
-                </li>
-              </ul>
-              
-              <button class="checkout-btn w-full bg-blue-600 text-white py-3 px-6 rounded-lg font-semibold hover:bg-blue-700 transition" data-plan="starter">
-                Start with Starter
-              </button>
-            </div>
+// Watermarks hold the newest modification time seen from each CRM on the pair's last good run
+async function getSyncWatermarks(syncPairId, objectType = 'contacts') {
+  const result = await pool.query(
+    'SELECT provider, high_water_mark FROM sync_watermarks WHERE sync_pair_id = $1 AND object_type = $2',
+    [syncPairId, objectType]
+  );
+  const watermarks = { salesforce: null, hubspot: null };
+  for (const row of result.rows) {
+    watermarks[row.provider] = row.high_water_mark;
+  }
+  return watermarks;
+}
 
-            <!-- Professional Plan -->
-            <div class="bg-white rounded-lg shadow-xl card-hover p-8 border-2 border-blue-500 relative">
-              <div class="absolute -top-4 left-1/2 transform -translate-x-1/2">
-                <span class="bg-blue-500 text-white px-4 py-1 rounded-full text-sm font-semibold">Most Popular</span>
-              </div>
-              
-              <div class="text-center mb-8">
-                <h3 class="text-2xl font-bold text-gray-900 mb-4">Professional</h3>
-                <div class="text-4xl font-bold text-gray-900 mb-2">$197</div>
-                <div class="text-gray-600">per month</div>
-                <p class="text-sm text-gray-500 mt-2">For growing businesses</p>
-              </div>
-              
-              <ul class="space-y-4 mb-8">
-                <li class="flex items-center">
-                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-                  </svg>
-                  Up to 10,000 contacts
-                </li>
-                <li class="flex items-center">
-                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-                  </svg>
-                  Advanced field mapping
-                </li>
-                <li class="flex items-center">
-                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-                  </svg>
-                  Conflict resolution
-                </li>
-                <li class="flex items-center">
-                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-                  </svg>
-                  Priority support
-                </li>
-                <li class="flex items-center">
-                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-                  </svg>
-                  Sync analytics
-                </li>
-              </ul>
-              
-              <button class="checkout-btn w-full bg-blue-600 text-white py-3 px-6 rounded-lg font-semibold hover:bg-blue-700 transition" data-plan="professional">
-                Start with Professional
-              </button>
-            </div>
+async function saveSyncWatermark(userId, syncPairId, provider, highWaterMark, objectType = 'contacts') {
+  await pool.query(
+    `INSERT INTO sync_watermarks (user_id, sync_pair_id, provider, object_type, high_water_mark) VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (sync_pair_id, provider, object_type) DO UPDATE SET high_water_mark = EXCLUDED.high_water_mark, updated_at = NOW()`,
+    [userId, syncPairId, provider, objectType, highWaterMark]
+  );
+}
 
-            <!-- Enterprise Plan -->
-            <div class="bg-white rounded-lg shadow-lg card-hover p-8 border-2 border-gray-100">
-              <div class="text-center mb-8">
-                <h3 class="text-2xl font-bold text-gray-900 mb-4">Enterprise</h3>
-                <div class="text-4xl font-bold text-gray-900 mb-2">$397</div>
-                <div class="text-gray-600">per month</div>
-                <p class="text-sm text-gray-500 mt-2">For large organizations</p>
-              </div>
-              
-              <ul class="space-y-4 mb-8">
-                <li class="flex items-center">
-                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-                  </svg>
-                  Unlimited contacts
-                </li>
-                <li class="flex items-center">
-                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-                  </svg>
-                  Custom field mapping
-                </li>
-                <li class="flex items-center">
-                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-                  </svg>
-                  Advanced automation
-                </li>
-                <li class="flex items-center">
-                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-                  </svg>
-                  Dedicated support
+async function createConflictDecision(syncLogId, userId, decision) {
+  await pool.query(
+    `INSERT INTO sync_conflict_decisions
+     (sync_log_id, user_id, object_type, email, salesforce_id, hubspot_id, field, salesforce_value, hubspot_value, policy, winner)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+    [
+      syncLogId, userId, decision.object_type || 'contacts', decision.email, decision.salesforce_id, decision.hubspot_id,
+      decision.field, decision.salesforce_value, decision.hubspot_value, decision.policy, decision.winner
+    ]
+  );
+}
+
+async function getConflictDecisions(userId, syncLogId) {
+  const result = await pool.query(
+    'SELECT * FROM sync_conflict_decisions WHERE user_id = $1 AND sync_log_id = $2 ORDER BY id',
+    [userId, syncLogId]
+  );
+  return result.rows;
+}
+
+// Change journal, one row per field a sync run wrote. `action` is create or update,
+// values are stored as text, the way both CRMs accept them back.
+// Association writes are journaled as fields too: `associations.<object>` on a HubSpot record
+// holds the HubSpot id of the associated record, OpportunityContactRole on an Opportunity the
+// Salesforce id of the contact. Contact roles are added (create) or removed (delete) one at a time.
+const ASSOCIATION_FIELD_PREFIX = 'associations.';
+
+function journalValue(value) {
+  return value === null || value === undefined ? null : String(value);
+}
+
+function isAssociationChange(change) {
+  return change.field.startsWith(ASSOCIATION_FIELD_PREFIX) || change.field === 'OpportunityContactRole';
+}
+
+async function recordSyncChanges(syncLogId, userId, objectType, system, recordId, action, changes) {
+  if (!syncLogId || changes.length === 0) {
+    return;
+  }
+  
+  const rows = [];
+  const params = [];
+  for (const change of changes) {
+    const offset = params.length;
+    rows.push(`(${Array.from({ length: 9 }, (_, index) => `$${offset + index + 1}`).join(', ')})`);
+    params.push(syncLogId, userId, objectType, system, String(recordId), action, change.field, journalValue(change.before), journalValue(change.after));
+  }
+  await pool.query(
+    `INSERT INTO sync_changes (sync_log_id, user_id, object_type, system, record_id, action, field, old_value, new_value)
+     VALUES ${rows.join(', ')}`,
+    params
+  );
+}
+
+async function getSyncChanges(userId, syncLogId) {
+  const result = await pool.query(
+    'SELECT * FROM sync_changes WHERE user_id = $1 AND sync_log_id = $2 ORDER BY id',
+    [userId, syncLogId]
+  );
+  return result.rows;
+}
+
+async function getSyncLog(userId, syncLogId) {
+  const result = await pool.query('SELECT * FROM sync_logs WHERE id = $1 AND user_id = $2', [syncLogId, userId]);
+  return result.rows[0];
+}
+
+// Conflicts move open -> resolved (a person picked a value) -> applied (the engine wrote it to both CRMs)
+async function upsertOpenConflict(userId, syncPairId, conflict) {
+  const result = await pool.query(
+    `INSERT INTO conflicts (user_id, sync_pair_id, email, field, salesforce_id, hubspot_id, salesforce_value, hubspot_value)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (sync_pair_id, email, field) WHERE status <> 'applied' DO UPDATE SET
+     salesforce_id = EXCLUDED.salesforce_id, hubspot_id = EXCLUDED.hubspot_id,
+     salesforce_value = EXCLUDED.salesforce_value, hubspot_value = EXCLUDED.hubspot_value, updated_at = NOW()
+     WHERE conflicts.status = 'open' RETURNING id`,
+    [
+      userId, syncPairId, conflict.email, conflict.field, conflict.salesforce_id, conflict.hubspot_id,
+      conflict.salesforce_value, conflict.hubspot_value
+    ]
+  );
+  return result.rows[0]?.id;
+}
+
+async function getPendingConflicts(syncPairId) {
+  const result = await pool.query(
+    `SELECT * FROM conflicts WHERE sync_pair_id = $1 AND status IN ('open', 'resolved') ORDER BY created_at`,
+    [syncPairId]
+  );
+  return result.rows;
+}
+
+async function getConflicts(userId, syncPairId, status) {
+  const result = await pool.query(
+    'SELECT * FROM conflicts WHERE user_id = $1 AND sync_pair_id = $2 AND status = $3 ORDER BY created_at LIMIT 500',
+    [userId, syncPairId, status]
+  );
+  return result.rows;
+}
+
+async function getConflictById(userId, conflictId) {
+  const result = await pool.query('SELECT * FROM conflicts WHERE user_id = $1 AND id = $2', [userId, conflictId]);
+  return result.rows[0];
+}
+
+async function resolveQueuedConflict(userId, conflictId, resolution, resolvedValue) {
+  const result = await pool.query(
+    `UPDATE conflicts SET status = 'resolved', resolution = $1, resolved_value = $2, resolved_at = NOW(), updated_at = NOW()
+     WHERE user_id = $3 AND id = $4 AND status IN ('open', 'resolved') RETURNING *`,
+    [resolution, resolvedValue, userId, conflictId]
+  );
+  return result.rows[0];
+}
+
+async function markConflictApplied(conflictId) {
+  await pool.query(
+    `UPDATE conflicts SET status = 'applied', applied_at = NOW(), updated_at = NOW() WHERE id = $1`,
+    [conflictId]
+  );
+}
+
+// Suggested links move pending -> confirmed (a link row was created) or rejected (never suggested again)
+async function upsertSuggestedLink(userId, syncPairId, objectType, suggestion) {
+  await pool.query(
+    `INSERT INTO suggested_links (user_id, sync_pair_id, object_type, salesforce_id, hubspot_id, score, rule, salesforce_label, hubspot_label)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (sync_pair_id, object_type, salesforce_id, hubspot_id) DO UPDATE SET
+     score = EXCLUDED.score, rule = EXCLUDED.rule, salesforce_label = EXCLUDED.salesforce_label, hubspot_label = EXCLUDED.hubspot_label
+     WHERE suggested_links.status = 'pending'`,
+    [
+      userId, syncPairId, objectType, suggestion.salesforce_id, suggestion.hubspot_id, suggestion.score, suggestion.rule,
+      suggestion.salesforce_label, suggestion.hubspot_label
+    ]
+  );
+}
+
+async function getSuggestedLinksFor(syncPairId, objectType, provider, ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+  const result = await pool.query(
+    `SELECT * FROM suggested_links WHERE sync_pair_id = $1 AND object_type = $2 AND ${provider}_id = ANY($3)`,
+    [syncPairId, objectType, ids]
+  );
+  return result.rows;
+}
+
+async function getSuggestedLinks(userId, syncPairId, status) {
+  const result = await pool.query(
+    `SELECT * FROM suggested_links WHERE user_id = $1 AND sync_pair_id = $2 AND status = $3
+     ORDER BY score DESC, created_at LIMIT 500`,
+    [userId, syncPairId, status]
+  );
+  return result.rows;
+}
+
+async function getSuggestedLinkById(userId, suggestionId) {
+  const result = await pool.query('SELECT * FROM suggested_links WHERE user_id = $1 AND id = $2', [userId, suggestionId]);
+  return result.rows[0];
+}
+
+async function decideSuggestedLink(suggestionId, status) {
+  const result = await pool.query(
+    `UPDATE suggested_links SET status = $1, decided_at = NOW() WHERE id = $2 AND status = 'pending' RETURNING *`,
+    [status, suggestionId]
+  );
+  return result.rows[0];
+}
+
+// Describe calls are slow and count against API limits, so results are kept for an hour.
+// The cache is per connection, every org and portal has its own custom fields.
+const SCHEMA_CACHE_TTL_MS = 60 * 60 * 1000;
+
+async function getObjectSchema(userId, provider, objectType, connection, refresh = false) {
+  const connectionId = provider === 'salesforce' ? connection.salesforceConnectionId : connection.hubspotConnectionId;
+  if (!refresh) {
+    const cached = await pool.query(
+      'SELECT fields, fetched_at FROM schema_cache WHERE connection_id = $1 AND object_type = $2',
+      [connectionId, objectType]
+    );
+    const row = cached.rows[0];
+    if (row && Date.now() - new Date(row.fetched_at).getTime() < SCHEMA_CACHE_TTL_MS) {
+      return { fields: row.fields, fetched_at: row.fetched_at, cached: true };
+    }
+  }
+  
+  const descriptor = SYNC_OBJECT_TYPES[objectType];
+  const fields = provider === 'salesforce'
+    ? await describeSalesforceObjectFields(connection.salesforceInstanceUrl, connection.salesforceToken, descriptor.salesforceObject)
+    : await fetchHubSpotPropertyDefinitions(connection.hubspotToken, descriptor.hubspotObject);
+  
+  const result = await pool.query(
+    `INSERT INTO schema_cache (user_id, connection_id, provider, object_type, fields) VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (connection_id, object_type) DO UPDATE SET fields = EXCLUDED.fields, fetched_at = NOW()
+     RETURNING fetched_at`,
+    [userId, connectionId, provider, objectType, JSON.stringify(fields)]
+  );
+  return { fields, fetched_at: result.rows[0].fetched_at, cached: false };
+}
+
+// Checks mapped fields against the real CRM schemas, a CRM that is not connected is skipped
+async function validateFieldMappingsAgainstSchema(userId, connection, mappings, objectType = 'contacts') {
+  const descriptor = SYNC_OBJECT_TYPES[objectType];
+  const errors = [];
+  
+  if (connection.salesforceToken) {
+    const { fields } = await getObjectSchema(userId, 'salesforce', objectType, connection);
+    const byName = new Map(fields.map(field => [field.name, field]));
+    for (const mapping of mappings) {
+      // Relationship paths such as Account.Name are not part of the object's describe
+      if (mapping.salesforce.includes('.')) {
+        continue;
+      }
+      const field = byName.get(mapping.salesforce);
+      if (!field) {
+        errors.push(`Salesforce ${descriptor.salesforceObject} has no field ${mapping.salesforce}`);
+      } else if (!field.writable && mapping.direction !== 'salesforce_to_hubspot') {
+        errors.push(`Salesforce field ${mapping.salesforce} is read-only, map it salesforce_to_hubspot`);
+      }
+    }
+  }
+  
+  if (connection.hubspotToken) {
+    const { fields } = await getObjectSchema(userId, 'hubspot', objectType, connection);
+    const byName = new Map(fields.map(field => [field.name, field]));
+    for (const mapping of mappings) {
+      const property = byName.get(mapping.hubspot);
+      if (!property) {
+        errors.push(`HubSpot property ${mapping.hubspot} does not exist on ${descriptor.hubspotObject}`);
+      } else if (!property.writable && mapping.direction !== 'hubspot_to_salesforce') {
+        errors.push(`HubSpot property ${mapping.hubspot} is read-only, map it hubspot_to_salesforce`);
+      }
+    }
+  }
+  
+  return errors;
+}
+
+async function resetSyncWatermarks(syncPairId) {
+  await pool.query('DELETE FROM sync_watermarks WHERE sync_pair_id = $1', [syncPairId]);
+}
+
+async function getUserStats(userId, syncPairId = null) {
+  const syncHistory = await getUserSyncHistory(userId, syncPairId);
+  const contactsResult = await pool.query(
+    'SELECT COUNT(*) as total FROM contacts WHERE user_id = $1 AND ($2::integer IS NULL OR sync_pair_id = $2)',
+    [userId, syncPairId]
+  );
+  
+  const lastSync = syncHistory.length > 0 ? syncHistory[0] : null;
+  const totalContacts = parseInt(contactsResult.rows[0].total);
+  
+  return {
+    totalContacts,
+    lastSync: lastSync?.started_at || null,
+    syncStatus: lastSync?.status || 'never',
+    syncHistory: syncHistory.map(log => ({
+      id: log.id,
+      status: log.status,
+      total: log.contacts_processed,
+      conflicts: log.conflicts,
+      error: log.error_message,
+      timestamp: log.started_at
+    }))
+  };
+}
+
+// Shared HTTP client for both CRMs. Every Salesforce and HubSpot API call goes through
+// crmFetch, which retries 429 and 5xx responses with exponential backoff and jitter (or
+// as long as Retry-After asks), keeps HubSpot calls inside its per-10-second window and
+// records the daily API usage each CRM reports. Usage is kept per Salesforce org (instance
+// URL) and per HubSpot token, so a sync can pause before it uses up a customer's quota.
+const CRM_MAX_RETRIES = 4;
+const CRM_RETRY_BASE_MS = 1000;
+const CRM_RETRY_MAX_MS = 60 * 1000;
+// HubSpot's default for OAuth apps when a response did not say otherwise
+const HUBSPOT_DEFAULT_WINDOW = { intervalMs: 10 * 1000, max: 100 };
+// Daily usage older than this is not trusted to pause a sync, the next call refreshes it
+const CRM_USAGE_MAX_AGE_MS = 15 * 60 * 1000;
+// Share of the daily quota (percent) a sync leaves for the customer's other integrations,
+// see sync_settings.api_quota_reserve
+const DEFAULT_API_QUOTA_RESERVE = 10;
+// How long a sync that hit the reserve waits before it tries again
+const API_QUOTA_PAUSE_MS = 60 * 60 * 1000;
+
+const crmApiUsage = new Map();
+
+class ApiQuotaReserveError extends Error {
+  constructor(provider, usage, reserve) {
+    super(`${provider === 'hubspot' ? 'HubSpot' : 'Salesforce'} API quota is down to ${usage.remaining} of ${usage.max} daily calls, below the ${reserve}% reserve`);
+    this.name = 'ApiQuotaReserveError';
+    this.provider = provider;
+    this.resumeAt = new Date(Date.now() + API_QUOTA_PAUSE_MS);
+  }
+}
+
+function crmUsageEntry(provider, account) {
+  const key = `${provider}:${account}`;
+  if (!crmApiUsage.has(key)) {
+    crmApiUsage.set(key, { daily: null, window: { ...HUBSPOT_DEFAULT_WINDOW, sentAt: [] } });
+  }
+  return crmApiUsage.get(key);
+}
+
+// Last daily usage reported for an org or portal as { used, max, remaining, remaining_percent, updated_at }
+function getCrmApiUsage(provider, account) {
+  const daily = crmApiUsage.get(`${provider}:${account}`)?.daily;
+  if (!daily || Date.now() - daily.updated_at.getTime() > CRM_USAGE_MAX_AGE_MS) {
+    return null;
+  }
+  return daily;
+}
+
+function getApiQuotaReserve(syncSettings) {
+  const reserve = syncSettings.api_quota_reserve;
+  return typeof reserve === 'number' ? reserve : DEFAULT_API_QUOTA_RESERVE;
+}
+
+function recordCrmUsage(provider, usage, headers) {
+  let used = null;
+  let max = null;
+  
+  if (provider === 'salesforce') {
+    // Sforce-Limit-Info: api-usage=18/15000
+    const match = /api-usage=(\d+)\/(\d+)/.exec(headers.get('sforce-limit-info') || '');
+    if (match) {
+      used = Number(match[1]);
+      max = Number(match[2]);
+    }
+  } else {
+    const interval = Number(headers.get('x-hubspot-ratelimit-interval-milliseconds'));
+    const windowMax = Number(headers.get('x-hubspot-ratelimit-max'));
+    if (interval && windowMax) {
+      usage.window.intervalMs = interval;
+      usage.window.max = windowMax;
+    }
+    // Only private apps get the daily headers, OAuth apps share the portal's limit
+    const dailyMax = Number(headers.get('x-hubspot-ratelimit-daily'));
+    const dailyRemaining = headers.get('x-hubspot-ratelimit-daily-remaining');
+    if (dailyMax && dailyRemaining !== null) {
+      max = dailyMax;
+      used = dailyMax - Number(dailyRemaining);
+    }
+  }
+  
+  if (max) {
+    const remaining = Math.max(max - used, 0);
+    usage.daily = { used, max, remaining, remaining_percent: Math.round((remaining / max) * 1000) / 10, updated_at: new Date() };
+  }
+}
+
+// Waits until another HubSpot call fits in the current 10-second window
+async function waitForHubSpotWindow(usage) {
+  const rateWindow = usage.window;
+  for (;;) {
+    const now = Date.now();
+    rateWindow.sentAt = rateWindow.sentAt.filter(sentAt => now - sentAt < rateWindow.intervalMs);
+    // A few calls stay spare for webhooks and requests made outside this process
+    if (rateWindow.sentAt.length < rateWindow.max - 5) {
+      rateWindow.sentAt.push(now);
+      return;
+    }
+    await sleep(rateWindow.sentAt[0] + rateWindow.intervalMs - now);
+  }
+}
+
+// Retry-After is either seconds or an HTTP date
+function crmRetryDelay(retryAfter, attempt) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (delay >= 0) {
+      return Math.min(delay, CRM_RETRY_MAX_MS);
+    }
+  }
+  // Full jitter, so retries from parallel jobs do not arrive together
+  return Math.random() * Math.min(CRM_RETRY_BASE_MS * 2 ** attempt, CRM_RETRY_MAX_MS);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Only idempotent requests are retried after a 5xx or a dropped connection, the CRM may have
+// committed a create before failing. POSTs that only read pass `idempotent: true`.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'];
+// The request never reached the CRM
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// fetch for CRM APIs, `account` is the Salesforce instance URL or the HubSpot token.
+// 429 is always retried, network errors and 5xx when the request is idempotent. A 401
+// refreshes the token once when its connection is registered (see registerCrmConnection).
+// Any other response is returned as is.
+async function crmFetch(provider, account, url, { idempotent, ...options } = {}) {
+  const retryFailures = idempotent ?? IDEMPOTENT_METHODS.includes((options.method || 'GET').toUpperCase());
+  const usage = crmUsageEntry(provider, account);
+  const label = provider === 'hubspot' ? 'HubSpot' : 'Salesforce';
+  const connection = crmConnectionFor(options);
+  let refreshed = false;
+  
+  for (let attempt = 0; ; attempt++) {
+    if (connection) {
+      if (tokenExpiresSoon(connection)) {
+        await refreshCrmConnection(connection);
+      }
+      // Callers may still hold a token that has been refreshed since
+      options = { ...options, headers: { ...options.headers, 'Authorization': `Bearer ${connection.accessToken}` } };
+    }
+    if (provider === 'hubspot') {
+      await waitForHubSpotWindow(usage);
+    }
+    
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (error) {
+      if (attempt >= CRM_MAX_RETRIES || !(retryFailures || CONNECT_ERROR_CODES.includes(error.code))) {
+        throw error;
+      }
+      const delay = crmRetryDelay(null, attempt);
+      console.warn(`⏳ ${label} request failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+      continue;
+    }
+    
+    recordCrmUsage(provider, usage, response.headers);
+    if (response.status === 401 && connection && !refreshed) {
+      refreshed = true;
+      console.warn(`🔑 ${label} rejected the access token, refreshing it`);
+      await refreshCrmConnection(connection);
+      continue;
+    }
+    if ((response.status === 429 || (response.status >= 500 && retryFailures)) && attempt < CRM_MAX_RETRIES) {
+      const delay = crmRetryDelay(response.headers.get('retry-after'), attempt);
+      console.warn(`⏳ ${label} API ${response.status}, retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+      continue;
+    }
+    return response;
+  }
+}
+
+// OAuth tokens. Access tokens expire, Salesforce ones after the org's session timeout (two
+// hours unless an admin changed it) and HubSpot ones after 30 minutes. Connections are
+// registered by connection id, crmFetch refreshes them shortly before they expire or when a
+// call is rejected with 401, and the new tokens are saved on the connection's row. A refresh
+// the CRM rejects marks the connection as needing reauthorization.
+// Salesforce does not say when a token expires, so the default session timeout is assumed
+const SALESFORCE_TOKEN_TTL_MS = 2 * 60 * 60 * 1000;
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Connection id -> { id, provider, userId, accessToken, refreshToken, expiresAt, instanceUrl }
+const crmConnections = new Map();
+// Access token (current or replaced) -> { connectionId, usedAt }. Callers keep the token they
+// were handed, so a replaced one has to lead to its connection for as long as it is in use.
+// Tokens unused for CRM_TOKEN_IDLE_MS are dropped, and connections left without tokens with them.
+const crmConnectionTokens = new Map();
+const CRM_TOKEN_IDLE_MS = 60 * 60 * 1000;
+
+class ReauthorizationRequiredError extends Error {
+  constructor(provider, reason) {
+    super(`${provider === 'hubspot' ? 'HubSpot' : 'Salesforce'} needs to be reconnected${reason ? `: ${reason}` : ''}`);
+    this.name = 'ReauthorizationRequiredError';
+    this.provider = provider;
+  }
+}
+
+function trackCrmToken(connection) {
+  crmConnectionTokens.set(connection.accessToken, { connectionId: connection.id, usedAt: Date.now() });
+}
+
+function evictIdleCrmConnections() {
+  const now = Date.now();
+  for (const [token, entry] of crmConnectionTokens) {
+    if (now - entry.usedAt > CRM_TOKEN_IDLE_MS) {
+      crmConnectionTokens.delete(token);
+    }
+  }
+  const inUse = new Set([...crmConnectionTokens.values()].map(entry => entry.connectionId));
+  for (const connectionId of crmConnections.keys()) {
+    if (!inUse.has(connectionId)) {
+      crmConnections.delete(connectionId);
+    }
+  }
+}
+
+// One object per connection, so a refresh reaches every caller. A row with newer tokens
+// (refreshed by another process) brings the registered connection up to date.
+function registerCrmConnection(connection) {
+  evictIdleCrmConnections();
+  const registered = crmConnections.get(connection.id);
+  if (!registered) {
+    crmConnections.set(connection.id, connection);
+    trackCrmToken(connection);
+    return connection;
+  }
+  if (!registered.refreshing && new Date(connection.expiresAt) > new Date(registered.expiresAt)) {
+    const { accessToken, refreshToken, expiresAt, instanceUrl } = connection;
+    Object.assign(registered, { accessToken, refreshToken, expiresAt, instanceUrl });
+  }
+  trackCrmToken(registered);
+  return registered;
+}
+
+function crmConnectionFor(options) {
+  const token = (options.headers?.Authorization || '').replace(/^Bearer /, '');
+  const entry = token ? crmConnectionTokens.get(token) : null;
+  if (!entry) {
+    return null;
+  }
+  entry.usedAt = Date.now();
+  return crmConnections.get(entry.connectionId) || null;
+}
+
+function tokenExpiresSoon(connection) {
+  return !!(connection.refreshToken && connection.expiresAt &&
+    new Date(connection.expiresAt).getTime() - Date.now() < TOKEN_REFRESH_MARGIN_MS);
+}
+
+// Concurrent callers share one refresh
+async function refreshCrmConnection(connection) {
+  if (!connection.refreshing) {
+    connection.refreshing = (connection.provider === 'hubspot' ? refreshHubSpotToken(connection) : refreshSalesforceToken(connection))
+      .finally(() => {
+        connection.refreshing = null;
+      });
+  }
+  return connection.refreshing;
+}
+
+async function rejectCrmRefresh(connection, reason) {
+  if (connection.id) {
+    await markConnectionNeedsReauthorization(connection.id);
+  }
+  console.error(`❌ ${connection.provider} token refresh rejected for user ${connection.userId}:`, reason);
+  throw new ReauthorizationRequiredError(connection.provider, reason);
+}
+
+async function refreshSalesforceToken(connection) {
+  if (!connection.refreshToken) {
+    return rejectCrmRefresh(connection, 'no refresh token stored');
+  }
+  
+  const response = await fetch(`${salesforceLoginUrl(connection.environment)}/services/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'refresh_token',
+      client_id: process.env.SF_CLIENT_ID,
+      client_secret: process.env.SF_CLIENT_SECRET,
+      refresh_token: connection.refreshToken
+    })
+  });
+  const data = await response.json().catch(() => ({}));
+  
+  // invalid_grant: the refresh token was revoked or has expired
+  if (response.status === 400 || response.status === 401) {
+    return rejectCrmRefresh(connection, data.error_description || data.error);
+  }
+  if (!response.ok) {
+    throw new Error(`Salesforce token refresh failed: ${response.status}`);
+  }
+  
+  connection.accessToken = data.access_token;
+  // Only orgs with refresh token rotation send a new one
+  connection.refreshToken = data.refresh_token || connection.refreshToken;
+  connection.instanceUrl = data.instance_url || connection.instanceUrl;
+  connection.expiresAt = new Date(Number(data.issued_at) + SALESFORCE_TOKEN_TTL_MS);
+  trackCrmToken(connection);
+  if (connection.id) {
+    await saveConnectionTokens(connection);
+  }
+  console.log(`🔑 Refreshed Salesforce token for user ${connection.userId}`);
+  return connection;
+}
+
+async function refreshHubSpotToken(connection) {
+  if (!connection.refreshToken) {
+    return rejectCrmRefresh(connection, 'no refresh token stored');
+  }
+  
+  const response = await fetch('https://api.hubapi.com/oauth/v1/token', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'refresh_token',
+      client_id: process.env.HUBSPOT_CLIENT_ID,
+      client_secret: process.env.HUBSPOT_CLIENT_SECRET,
+      redirect_uri: HUBSPOT_REDIRECT_URI,
+      refresh_token: connection.refreshToken
+    })
+  });
+  const data = await response.json().catch(() => ({}));
+  
+  // BAD_REFRESH_TOKEN: the app was uninstalled or the token revoked
+  if (response.status === 400 || response.status === 401) {
+    return rejectCrmRefresh(connection, data.message || data.status);
+  }
+  if (!response.ok) {
+    throw new Error(`HubSpot token refresh failed: ${response.status}`);
+  }
+  
+  connection.accessToken = data.access_token;
+  connection.refreshToken = data.refresh_token || connection.refreshToken;
+  connection.expiresAt = new Date(Date.now() + data.expires_in * 1000);
+  trackCrmToken(connection);
+  if (connection.id) {
+    await saveConnectionTokens(connection);
+  }
+  console.log(`🔑 Refreshed HubSpot token for user ${connection.userId}`);
+  return connection;
+}
+
+// Salesforce API functions
+// REST calls go to the org's own instance URL (returned with its tokens), login.salesforce.com
+// and test.salesforce.com only handle OAuth
+const SALESFORCE_API_VERSION = (process.env.SALESFORCE_API_VERSION || '57.0').replace(/^v/, '');
+const SALESFORCE_API_PATH = `/services/data/v${SALESFORCE_API_VERSION}`;
+// Sandboxes sign in through test.salesforce.com, SF_LOGIN_URL can point production at a My Domain
+const SALESFORCE_LOGIN_URLS = {
+  production: process.env.SF_LOGIN_URL || 'https://login.salesforce.com',
+  sandbox: 'https://test.salesforce.com'
+};
+const SALESFORCE_ENVIRONMENTS = Object.keys(SALESFORCE_LOGIN_URLS);
+
+function salesforceLoginUrl(environment) {
+  return SALESFORCE_LOGIN_URLS[environment] || SALESFORCE_LOGIN_URLS.production;
+}
+// The object types themselves (fields, matching, link tables) are described in SYNC_OBJECT_TYPES
+
+function salesforceSelectList(objectType, fields = []) {
+  return [...new Set([...SYNC_OBJECT_TYPES[objectType].salesforceBaseFields, ...fields])].join(',');
+}
+
+// Reads a field path such as Account.Name from a SOQL record
+function getSalesforceValue(record, path) {
+  return path.split('.').reduce((value, part) => (value == null ? value : value[part]), record);
+}
+
+function mapSalesforceRecord(record, objectType) {
+  const descriptor = SYNC_OBJECT_TYPES[objectType];
+  return {
+    id: record.Id,
+    ...descriptor.salesforceDisplay(record),
+    matchValue: getSalesforceValue(record, descriptor.match.salesforceField),
+    modifiedAt: record.SystemModstamp,
+    source: 'salesforce',
+    raw: record
+  };
+}
+
+function mapSalesforceContact(contact) {
+  return mapSalesforceRecord(contact, 'contacts');
+}
+
+// Quote a value for use inside a SOQL string literal
+function soqlQuote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+async function querySalesforce(instanceUrl, accessToken, pathOrSoql) {
+  const url = pathOrSoql.startsWith('/services/')
+    ? `${instanceUrl}${pathOrSoql}`
+    : `${instanceUrl}${SALESFORCE_API_PATH}/query/?q=${encodeURIComponent(pathOrSoql)}`;
+  
+  const response = await crmFetch('salesforce', instanceUrl, url, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/json'
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Salesforce API error: ${response.status}`);
+  }
+  
+  return response.json();
+}
+
+// SOQL datetime literals are unquoted and take whole seconds
+function soqlDateTime(value) {
+  return new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Yields one page of records at a time, following nextRecordsUrl until done.
+// With `since` only records modified after that moment are returned.
+async function* fetchSalesforceRecordPages(instanceUrl, accessToken, objectType, since = null, fields = []) {
+  const sobject = SYNC_OBJECT_TYPES[objectType].salesforceObject;
+  const where = since ? ` WHERE SystemModstamp > ${soqlDateTime(since)}` : '';
+  let data = await querySalesforce(instanceUrl, accessToken, `SELECT ${salesforceSelectList(objectType, fields)} FROM ${sobject}${where}`);
+  yield data.records.map(record => mapSalesforceRecord(record, objectType));
+  
+  while (!data.done && data.nextRecordsUrl) {
+    data = await querySalesforce(instanceUrl, accessToken, data.nextRecordsUrl);
+    yield data.records.map(record => mapSalesforceRecord(record, objectType));
+  }
+}
+
+async function* fetchSalesforceContactPages(accessToken, instanceUrl, since = null, fields = []) {
+  yield* fetchSalesforceRecordPages(instanceUrl, accessToken, 'contacts', since, fields);
+}
+
+async function fetchSalesforceContacts(accessToken, instanceUrl) {
+  const contacts = [];
+  for await (const page of fetchSalesforceContactPages(accessToken, instanceUrl)) {
+    contacts.push(...page);
+  }
+  return contacts;
+}
+
+// Every record of a query, following nextRecordsUrl
+async function querySalesforceAll(instanceUrl, accessToken, soql) {
+  let data = await querySalesforce(instanceUrl, accessToken, soql);
+  const records = [...data.records];
+  
+  while (!data.done && data.nextRecordsUrl) {
+    data = await querySalesforce(instanceUrl, accessToken, data.nextRecordsUrl);
+    records.push(...data.records);
+  }
+  return records;
+}
+
+async function fetchSalesforceRecordsWhere(instanceUrl, accessToken, objectType, field, values, fields = []) {
+  if (values.length === 0) {
+    return [];
+  }
+  
+  const sobject = SYNC_OBJECT_TYPES[objectType].salesforceObject;
+  const records = await querySalesforceAll(
+    instanceUrl,
+    accessToken,
+    `SELECT ${salesforceSelectList(objectType, fields)} FROM ${sobject} WHERE ${field} IN (${values.map(soqlQuote).join(',')})`
+  );
+  return records.map(record => mapSalesforceRecord(record, objectType));
+}
+
+// SOSL phone search ignores formatting, which SOQL cannot do
+async function searchSalesforceByPhone(instanceUrl, accessToken, objectType, phones, fields = []) {
+  const sobject = SYNC_OBJECT_TYPES[objectType].salesforceObject;
+  const records = [];
+  
+  // Keeps each search well under the SOSL length limit
+  for (let i = 0; i < phones.length; i += 20) {
+    const terms = phones.slice(i, i + 20).map(phone => `"${phone}"`).join(' OR ');
+    const sosl = `FIND {${terms}} IN PHONE FIELDS RETURNING ${sobject}(${salesforceSelectList(objectType, fields)})`;
+    const data = await querySalesforce(instanceUrl, accessToken, `${SALESFORCE_API_PATH}/search/?q=${encodeURIComponent(sosl)}`);
+    records.push(...(data.searchRecords || []).map(record => mapSalesforceRecord(record, objectType)));
+  }
+  
+  return records;
+}
+
+// Contact roles are how Salesforce ties contacts to an opportunity
+async function fetchOpportunityContactRoles(instanceUrl, accessToken, opportunityIds) {
+  if (opportunityIds.length === 0) {
+    return [];
+  }
+  return querySalesforceAll(
+    instanceUrl,
+    accessToken,
+    `SELECT Id, OpportunityId, ContactId FROM OpportunityContactRole WHERE OpportunityId IN (${opportunityIds.map(soqlQuote).join(',')})`
+  );
+}
+
+async function createSalesforceRecord(instanceUrl, accessToken, sobject, fields) {
+  const response = await crmFetch('salesforce', instanceUrl, `${instanceUrl}${SALESFORCE_API_PATH}/sobjects/${sobject}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify(fields)
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Salesforce API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  return data.id;
+}
+
+async function updateSalesforceRecord(instanceUrl, accessToken, sobject, recordId, fields) {
+  const response = await crmFetch('salesforce', instanceUrl, `${instanceUrl}${SALESFORCE_API_PATH}/sobjects/${sobject}/${recordId}`, {
+    method: 'PATCH',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify(fields)
+  });
+  
+  // Salesforce answers a successful PATCH with 204 No Content
+  if (!response.ok) {
+    throw new Error(`Salesforce API error: ${response.status}`);
+  }
+}
+
+// Deleted records go to the Recycle Bin, where they can be restored for 15 days
+async function deleteSalesforceRecord(instanceUrl, accessToken, sobject, recordId) {
+  const response = await crmFetch('salesforce', instanceUrl, `${instanceUrl}${SALESFORCE_API_PATH}/sobjects/${sobject}/${recordId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/json'
+    }
+  });
+  
+  // Already gone
+  if (response.status === 404) {
+    return false;
+  }
+  if (!response.ok) {
+    throw new Error(`Salesforce API error: ${response.status}`);
+  }
+  return true;
+}
+
+// sObject Collections take up to 200 records per request
+const SALESFORCE_COLLECTION_SIZE = 200;
+// Creates above this many records in one go are sent as a Bulk API 2.0 job instead
+const SALESFORCE_BULK_THRESHOLD = 2000;
+// Initial backfills hold Salesforce creates back until this many are collected
+const SALESFORCE_BULK_BATCH_SIZE = 10000;
+const SALESFORCE_BULK_POLL_MS = 5000;
+const SALESFORCE_BULK_TIMEOUT_MS = 30 * 60 * 1000;
+
+function salesforceErrorMessage(errors) {
+  return (errors || []).map(error => (error.fields?.length ? `${error.message} (${error.fields.join(', ')})` : error.message)).join('; ')
+    || 'Unknown Salesforce error';
+}
+
+// Create (POST) or update (PATCH, every record carries its Id) up to 200 records in one
+// request. allOrNone is off, so an invalid record fails on its own and the rest are saved.
+// Results come back in input order as { id, error }.
+async function saveSalesforceRecords(instanceUrl, accessToken, sobject, method, records) {
+  const response = await crmFetch('salesforce', instanceUrl, `${instanceUrl}${SALESFORCE_API_PATH}/composite/sobjects`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify({
+      allOrNone: false,
+      records: records.map(fields => ({ attributes: { type: sobject }, ...fields }))
+    })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Salesforce API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  return data.map(result => (result.success
+    ? { id: result.id, error: null }
+    : { id: null, error: salesforceErrorMessage(result.errors) }));
+}
+
+async function salesforceBulkRequest(instanceUrl, accessToken, path, options = {}) {
+  const response = await crmFetch('salesforce', instanceUrl, `${instanceUrl}${SALESFORCE_API_PATH}/jobs/ingest${path}`, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...options.headers
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Salesforce Bulk API error: ${response.status}`);
+  }
+  return response;
+}
+
+// Quoted CSV as Salesforce returns it from Bulk API result endpoints
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Insert records with a Bulk API 2.0 ingest job: upload one CSV, wait for Salesforce to
+// process it and read the successful, failed and unprocessed results. Result rows echo the
+// uploaded columns but not their order, so they are matched back to records by content.
+// Identical rows are interchangeable. Results come back in input order as { id, error }.
+async function bulkInsertSalesforceRecords(instanceUrl, accessToken, sobject, records) {
+  const columns = [...new Set(records.flatMap(fields => Object.keys(fields)))];
+  const rows = records.map(fields => columns.map(column => (fields[column] === null || fields[column] === undefined ? '' : String(fields[column]))));
+  const csv = [columns, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+  
+  const job = await (await salesforceBulkRequest(instanceUrl, accessToken, '', {
+    method: 'POST',
+    body: JSON.stringify({ object: sobject, operation: 'insert', contentType: 'CSV', lineEnding: 'LF' })
+  })).json();
+  console.log(`📦 Salesforce Bulk API job ${job.id} inserting ${records.length} ${sobject} records`);
+  
+  await salesforceBulkRequest(instanceUrl, accessToken, `/${job.id}/batches`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'text/csv' },
+    body: csv
+  });
+  await salesforceBulkRequest(instanceUrl, accessToken, `/${job.id}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ state: 'UploadComplete' })
+  });
+  
+  const deadline = Date.now() + SALESFORCE_BULK_TIMEOUT_MS;
+  let state;
+  do {
+    await sleep(SALESFORCE_BULK_POLL_MS);
+    const status = await (await salesforceBulkRequest(instanceUrl, accessToken, `/${job.id}`)).json();
+    state = status.state;
+    if (state === 'Failed' || state === 'Aborted') {
+      throw new Error(`Salesforce Bulk API job ${job.id} ${state.toLowerCase()}: ${status.errorMessage || 'no reason given'}`);
+    }
+  } while (state !== 'JobComplete' && Date.now() < deadline);
+  
+  if (state !== 'JobComplete') {
+    await salesforceBulkRequest(instanceUrl, accessToken, `/${job.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ state: 'Aborted' })
+    }).catch(() => {});
+    throw new Error(`Salesforce Bulk API job ${job.id} did not finish in time`);
+  }
+  
+  // Uploaded row -> indexes of the records that produced it
+  const pending = new Map();
+  rows.forEach((row, index) => {
+    const key = JSON.stringify(row);
+    pending.set(key, [...(pending.get(key) || []), index]);
+  });
+  const results = records.map(() => ({ id: null, error: 'Not processed by the Salesforce Bulk API job' }));
+  
+  const readResults = async (type, toResult) => {
+    const text = await (await salesforceBulkRequest(instanceUrl, accessToken, `/${job.id}/${type}/`, {
+      headers: { 'Accept': 'text/csv' }
+    })).text();
+    const [header, ...resultRows] = parseCsv(text);
+    if (!header) {
+      return;
+    }
+    for (const resultRow of resultRows) {
+      const cells = Object.fromEntries(header.map((column, index) => [column, resultRow[index] ?? '']));
+      const index = pending.get(JSON.stringify(columns.map(column => cells[column] ?? '')))?.shift();
+      if (index !== undefined) {
+        results[index] = toResult(cells);
+      }
+    }
+  };
+  await readResults('successfulResults', cells => ({ id: cells.sf__Id, error: null }));
+  await readResults('failedResults', cells => ({ id: null, error: cells.sf__Error || 'Unknown Salesforce error' }));
+  
+  return results;
+}
+
+// Deleted and merged records since a point in time. queryAll still returns records
+// in the Recycle Bin, merged ones carry the id of the record they were merged into.
+async function fetchSalesforceDeletedRecords(instanceUrl, accessToken, sobject, since) {
+  const records = await querySalesforceAll(
+    instanceUrl,
+    accessToken,
+    `${SALESFORCE_API_PATH}/queryAll/?q=${encodeURIComponent(
+      `SELECT Id, MasterRecordId FROM ${sobject} WHERE IsDeleted = true AND SystemModstamp > ${soqlDateTime(since)}`
+    )}`
+  );
+  return records.map(record => ({ id: record.Id, mergedInto: record.MasterRecordId || null }));
+}
+
+// getDeleted also covers records already purged from the Recycle Bin, but Salesforce
+// only keeps the last 30 days and wants at least a minute between start and end
+async function fetchSalesforceDeletedIds(instanceUrl, accessToken, sobject, since) {
+  const end = new Date();
+  const start = new Date(Math.max(new Date(since).getTime(), end.getTime() - 29 * 24 * 60 * 60 * 1000));
+  if (end.getTime() - start.getTime() < 60 * 1000) {
+    return [];
+  }
+  
+  const params = new URLSearchParams({ start: soqlDateTime(start), end: soqlDateTime(end) });
+  const data = await querySalesforce(instanceUrl, accessToken, `${SALESFORCE_API_PATH}/sobjects/${sobject}/deleted/?${params}`);
+  return (data.deletedRecords || []).map(record => record.id);
+}
+
+// Field metadata for mapping, custom fields end in __c
+async function describeSalesforceObjectFields(instanceUrl, accessToken, sobject) {
+  const data = await querySalesforce(instanceUrl, accessToken, `${SALESFORCE_API_PATH}/sobjects/${sobject}/describe`);
+  return data.fields.map(field => ({
+    name: field.name,
+    label: field.label,
+    type: field.type,
+    length: field.length || null,
+    picklist_values: (field.picklistValues || []).filter(value => value.active).map(value => value.value),
+    writable: !!(field.updateable || field.createable),
+    custom: !!field.custom
+  }));
+}
+
+// HubSpot API functions
+// HubSpot caps list pages and batch reads at 100 records
+const HUBSPOT_PAGE_SIZE = 100;
+// The search API stops paging after 10,000 results for a single query
+const HUBSPOT_SEARCH_RESULT_LIMIT = 10000;
+
+function hubspotPropertyList(objectType, properties = []) {
+  return [...new Set([...SYNC_OBJECT_TYPES[objectType].hubspotBaseProperties, ...properties])];
+}
+
+function mapHubSpotRecord(record, objectType) {
+  const descriptor = SYNC_OBJECT_TYPES[objectType];
+  return {
+    id: record.id,
+    ...descriptor.hubspotDisplay(record.properties),
+    matchValue: record.properties[descriptor.match.hubspotProperty],
+    modifiedAt: record.properties[descriptor.hubspotModifiedProperty] || record.updatedAt,
+    source: 'hubspot',
+    raw: record.properties
+  };
+}
+
+function mapHubSpotContact(contact) {
+  return mapHubSpotRecord(contact, 'contacts');
+}
+
+// Yields one page of records at a time, following paging.next.after until the last page.
+// With `since` only records modified after that moment are returned.
+async function* fetchHubSpotObjectPages(accessToken, objectType, since = null, properties = []) {
+  if (since) {
+    yield* searchHubSpotObjectsModifiedSince(accessToken, objectType, since, properties);
+    return;
+  }
+  
+  let after = null;
+  
+  do {
+    const params = new URLSearchParams({
+      properties: hubspotPropertyList(objectType, properties).join(','),
+      limit: String(HUBSPOT_PAGE_SIZE)
+    });
+    if (after) {
+      params.set('after', after);
+    }
+    
+    const response = await crmFetch('hubspot', accessToken, `https://api.hubapi.com/crm/v3/objects/${objectType}?${params}`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/json'
+      }
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HubSpot API error: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    yield data.results.map(record => mapHubSpotRecord(record, objectType));
+    after = data.paging?.next?.after || null;
+  } while (after);
+}
+
+async function* fetchHubSpotContactPages(accessToken, since = null, properties = []) {
+  yield* fetchHubSpotObjectPages(accessToken, 'contacts', since, properties);
+}
+
+async function fetchHubSpotContacts(accessToken) {
+  const contacts = [];
+  for await (const page of fetchHubSpotContactPages(accessToken)) {
+    contacts.push(...page);
+  }
+  return contacts;
+}
+
+async function searchHubSpotObjects(accessToken, objectType, body) {
+  const response = await crmFetch('hubspot', accessToken, `https://api.hubapi.com/crm/v3/objects/${objectType}/search`, {
+    method: 'POST',
+    idempotent: true,
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HubSpot API error: ${response.status}`);
+  }
+  
+  return response.json();
+}
+
+async function* searchHubSpotObjectsModifiedSince(accessToken, objectType, since, properties = []) {
+  const modifiedProperty = SYNC_OBJECT_TYPES[objectType].hubspotModifiedProperty;
+  let modifiedAfter = new Date(since).getTime();
+  let after = 0;
+  
+  while (true) {
+    const data = await searchHubSpotObjects(accessToken, objectType, {
+      filterGroups: [{
+        filters: [{ propertyName: modifiedProperty, operator: 'GT', value: String(modifiedAfter) }]
+      }],
+      sorts: [{ propertyName: modifiedProperty, direction: 'ASCENDING' }],
+      properties: hubspotPropertyList(objectType, properties),
+      limit: HUBSPOT_PAGE_SIZE,
+      after
+    });
+    
+    const records = data.results.map(record => mapHubSpotRecord(record, objectType));
+    yield records;
+    
+    if (!data.paging?.next?.after) {
+      return;
+    }
+    
+    after = Number(data.paging.next.after);
+    if (after >= HUBSPOT_SEARCH_RESULT_LIMIT && records.length > 0) {
+      // Restart the search from the newest record seen to get past the result cap,
+      // records sharing that timestamp come back again and are skipped by the engine
+      modifiedAfter = new Date(records[records.length - 1].modifiedAt).getTime() - 1;
+      after = 0;
+    }
+  }
+}
+
+// Records whose property equals any of the values, for properties that are not unique ids
+async function searchHubSpotObjectsByProperty(accessToken, objectType, propertyName, values, properties = []) {
+  const records = [];
+  
+  for (let i = 0; i < values.length; i += HUBSPOT_PAGE_SIZE) {
+    let after = 0;
+    do {
+      const data = await searchHubSpotObjects(accessToken, objectType, {
+        filterGroups: [{
+          filters: [{ propertyName, operator: 'IN', values: values.slice(i, i + HUBSPOT_PAGE_SIZE) }]
+        }],
+        properties: hubspotPropertyList(objectType, properties),
+        limit: HUBSPOT_PAGE_SIZE,
+        after
+      });
+      records.push(...data.results.map(record => mapHubSpotRecord(record, objectType)));
+      after = data.paging?.next?.after || null;
+    } while (after);
+  }
+  
+  return records;
+}
+
+// Batch read by record id, or by any unique property such as email
+async function fetchHubSpotObjectsBatch(accessToken, objectType, ids, idProperty = null, properties = []) {
+  const records = [];
+  
+  for (let i = 0; i < ids.length; i += HUBSPOT_PAGE_SIZE) {
+    const body = {
+      properties: hubspotPropertyList(objectType, properties),
+      inputs: ids.slice(i, i + HUBSPOT_PAGE_SIZE).map(id => ({ id }))
+    };
+    if (idProperty) {
+      body.idProperty = idProperty;
+    }
+    
+    const response = await crmFetch('hubspot', accessToken, `https://api.hubapi.com/crm/v3/objects/${objectType}/batch/read`, {
+      method: 'POST',
+      idempotent: true,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    
+    // 207 means some inputs were not found, which is expected here
+    if (!response.ok) {
+      throw new Error(`HubSpot API error: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    records.push(...data.results.map(record => mapHubSpotRecord(record, objectType)));
+  }
+  
+  return records;
+}
+
+async function createHubSpotObject(accessToken, objectType, properties) {
+  const response = await crmFetch('hubspot', accessToken, `https://api.hubapi.com/crm/v3/objects/${objectType}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify({ properties })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HubSpot API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  return data.id;
+}
+
+async function updateHubSpotObject(accessToken, objectType, recordId, properties) {
+  const response = await crmFetch('hubspot', accessToken, `https://api.hubapi.com/crm/v3/objects/${objectType}/${recordId}`, {
+    method: 'PATCH',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify({ properties })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HubSpot API error: ${response.status}`);
+  }
+}
+
+function hubspotBatchErrorIds(error) {
+  return [...(error.context?.objectWriteTraceId || []), ...(error.context?.ids || [])].map(String);
+}
+
+// Create or update up to 100 objects in one batch request. Creates carry an objectWriteTraceId
+// and updates their id, which HubSpot echoes on results and errors so each one maps back to its
+// input; a 207 means some inputs failed. HubSpot rejects the whole batch with a 400 or 409 when
+// a single input is invalid or a duplicate, so those batches are retried one object at a time
+// to keep the bad one from failing the rest. Results come back in input order as { id, error }.
+async function saveHubSpotObjectsBatch(accessToken, objectType, action, inputs) {
+  const body = {
+    inputs: inputs.map((input, index) => (action === 'create'
+      ? { properties: input.properties, objectWriteTraceId: String(index) }
+      : { id: input.id, properties: input.properties }))
+  };
+  
+  const response = await crmFetch('hubspot', accessToken, `https://api.hubapi.com/crm/v3/objects/${objectType}/batch/${action}`, {
+    method: 'POST',
+    // Updating the same properties twice leaves the same record
+    idempotent: action === 'update',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+  
+  if ((response.status === 400 || response.status === 409) && inputs.length > 1) {
+    const results = [];
+    for (const input of inputs) {
+      try {
+        if (action === 'create') {
+          results.push({ id: await createHubSpotObject(accessToken, objectType, input.properties), error: null });
+        } else {
+          await updateHubSpotObject(accessToken, objectType, input.id, input.properties);
+          results.push({ id: input.id, error: null });
+        }
+      } catch (error) {
+        results.push({ id: null, error: error.message });
+      }
+    }
+    return results;
+  }
+  if (!response.ok) {
+    throw new Error(`HubSpot API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  const keys = body.inputs.map(input => (action === 'create' ? input.objectWriteTraceId : String(input.id)));
+  const byKey = new Map();
+  const results = data.results || [];
+  // A fully successful create without trace ids lists the new objects in input order
+  const inOrder = action === 'create' && !data.errors?.length && results.length === keys.length
+    && results.every(result => result.objectWriteTraceId === undefined);
+  for (const [index, result] of results.entries()) {
+    const key = inOrder ? keys[index] : action === 'create' ? String(result.objectWriteTraceId) : String(result.id);
+    byKey.set(key, { id: result.id, error: null });
+  }
+  for (const error of data.errors || []) {
+    for (const key of hubspotBatchErrorIds(error)) {
+      byKey.set(key, { id: null, error: error.message || error.category || 'Unknown HubSpot error' });
+    }
+  }
+  return keys.map(key => byKey.get(key) || { id: null, error: 'Not returned by the HubSpot batch response' });
+}
+
+// HubSpot's delete endpoint archives the record, it can be restored for 90 days
+async function archiveHubSpotObject(accessToken, objectType, recordId) {
+  const response = await crmFetch('hubspot', accessToken, `https://api.hubapi.com/crm/v3/objects/${objectType}/${recordId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`
+    }
+  });
+  
+  // Already gone
+  if (response.status === 404) {
+    return false;
+  }
+  if (!response.ok) {
+    throw new Error(`HubSpot API error: ${response.status}`);
+  }
+  return true;
+}
+
+// Ids of records archived after `since`, HubSpot lists every archived record it still keeps
+async function fetchHubSpotArchivedIds(accessToken, objectType, since) {
+  const sinceTime = new Date(since).getTime();
+  const ids = [];
+  let after = null;
+  
+  do {
+    const params = new URLSearchParams({ archived: 'true', limit: String(HUBSPOT_PAGE_SIZE) });
+    if (after) {
+      params.set('after', after);
+    }
+    
+    const response = await crmFetch('hubspot', accessToken, `https://api.hubapi.com/crm/v3/objects/${objectType}?${params}`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/json'
+      }
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HubSpot API error: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    for (const record of data.results) {
+      if (!record.archivedAt || new Date(record.archivedAt).getTime() > sinceTime) {
+        ids.push(record.id);
+      }
+    }
+    after = data.paging?.next?.after || null;
+  } while (after);
+  
+  return ids;
+}
+
+// Records that absorbed others in a merge since `since`, as { winnerId, mergedIds }
+async function fetchHubSpotMerges(accessToken, objectType, since) {
+  const modifiedProperty = SYNC_OBJECT_TYPES[objectType].hubspotModifiedProperty;
+  const merges = [];
+  let after = 0;
+  
+  do {
+    const data = await searchHubSpotObjects(accessToken, objectType, {
+      filterGroups: [{
+        filters: [
+          { propertyName: 'hs_merged_object_ids', operator: 'HAS_PROPERTY' },
+          { propertyName: modifiedProperty, operator: 'GT', value: String(new Date(since).getTime()) }
+        ]
+      }],
+      properties: ['hs_merged_object_ids'],
+      limit: HUBSPOT_PAGE_SIZE,
+      after
+    });
+    
+    for (const record of data.results) {
+      merges.push({
+        winnerId: record.id,
+        mergedIds: (record.properties.hs_merged_object_ids || '').split(';').filter(Boolean)
+      });
+    }
+    after = data.paging?.next?.after || null;
+  } while (after);
+  
+  return merges;
+}
+
+// Property metadata for mapping, custom properties are the ones HubSpot did not define
+async function fetchHubSpotPropertyDefinitions(accessToken, objectType) {
+  const response = await crmFetch('hubspot', accessToken, `https://api.hubapi.com/crm/v3/properties/${objectType}`, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/json'
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HubSpot API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  return data.results.map(property => ({
+    name: property.name,
+    label: property.label,
+    type: property.type,
+    // HubSpot does not publish a length, string properties hold up to 65,536 characters
+    length: null,
+    picklist_values: (property.options || []).filter(option => !option.hidden).map(option => option.value),
+    writable: !property.calculated && !property.modificationMetadata?.readOnlyValue,
+    custom: !property.hubspotDefined
+  }));
+}
+
+// Portal (hub) id, domain and granted scopes of a token
+async function fetchHubSpotTokenInfo(accessToken) {
+  const response = await crmFetch('hubspot', accessToken, `https://api.hubapi.com/oauth/v1/access-tokens/${accessToken}`, {
+    headers: { 'Accept': 'application/json' }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HubSpot API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  return { hubId: data.hub_id, hubDomain: data.hub_domain || null, scopes: data.scopes || [] };
+}
+
+async function fetchHubSpotDealPipelines(accessToken) {
+  const response = await crmFetch('hubspot', accessToken, 'https://api.hubapi.com/crm/v3/pipelines/deals', {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/json'
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HubSpot API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  return data.results.map(pipeline => ({
+    id: pipeline.id,
+    label: pipeline.label,
+    stages: pipeline.stages.map(stage => ({ id: stage.id, label: stage.label }))
+  }));
+}
+
+// Associated record ids per source record, read with the v4 associations API
+async function readHubSpotAssociations(accessToken, fromObject, toObject, ids) {
+  const associations = new Map();
+  
+  for (let i = 0; i < ids.length; i += HUBSPOT_PAGE_SIZE) {
+    const response = await crmFetch('hubspot', accessToken, `https://api.hubapi.com/crm/v4/associations/${fromObject}/${toObject}/batch/read`, {
+      method: 'POST',
+      idempotent: true,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ inputs: ids.slice(i, i + HUBSPOT_PAGE_SIZE).map(id => ({ id })) })
+    });
+    
+    // 207 means some records have no associations, which is expected here
+    if (!response.ok) {
+      throw new Error(`HubSpot API error: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    for (const result of data.results) {
+      associations.set(String(result.from.id), result.to.map(target => String(target.toObjectId)));
+    }
+  }
+  
+  return associations;
+}
+
+async function associateHubSpotRecords(accessToken, fromObject, fromId, toObject, toId) {
+  const response = await crmFetch(
+    'hubspot',
+    accessToken,
+    `https://api.hubapi.com/crm/v4/objects/${fromObject}/${fromId}/associations/default/${toObject}/${toId}`,
+    {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/json'
+      }
+    }
+  );
+  
+  if (!response.ok) {
+    throw new Error(`HubSpot API error: ${response.status}`);
+  }
+}
+
+async function removeHubSpotAssociation(accessToken, fromObject, fromId, toObject, toId) {
+  const response = await crmFetch('hubspot', accessToken, `https://api.hubapi.com/crm/v4/objects/${fromObject}/${fromId}/associations/${toObject}/${toId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HubSpot API error: ${response.status}`);
+  }
+}
+
+async function completeSyncLog(syncLogId, status, contactsProcessed, conflicts, errorMessage = null) {
+  await pool.query(
+    'UPDATE sync_logs SET status = $1, contacts_processed = $2, conflicts = $3, error_message = $4, completed_at = NOW() WHERE id = $5',
+    [status, contactsProcessed, conflicts, errorMessage, syncLogId]
+  );
+}
+
+// The pair was deleted (jobs keep a NULL sync_pair_id), no retry can bring it back
+class SyncPairNotFoundError extends Error {
+  constructor(syncPairId) {
+    super(syncPairId ? `Sync pair ${syncPairId} not found` : 'Sync pair not found');
+    this.name = 'SyncPairNotFoundError';
+  }
+}
+
+// Sync engine. Without HubSpot the engine only reports what Salesforce holds.
+// `options.record` ({ objectType, provider, recordId }) syncs that one record instead of everything,
+// `options.rollback` (a sync log id) undoes that run's journaled changes. `options.syncPairId`
+// is the sync pair, and so the org and portal, to sync.
+async function performSync(userId, options = {}) {
+  const syncPair = options.syncPairId ? await getSyncPair(userId, options.syncPairId) : null;
+  if (!syncPair) {
+    throw new SyncPairNotFoundError(options.syncPairId);
+  }
+  const connections = await getSyncPairConnections(syncPair);
+  if (!connections.salesforce) {
+    throw new Error('Salesforce not connected');
+  }
+  for (const connection of Object.values(connections).filter(Boolean)) {
+    if (connection.status === 'needs_reauthorization') {
+      throw new ReauthorizationRequiredError(connection.provider);
+    }
+    // Lets crmFetch refresh the stored tokens when they expire
+    registerCrmConnection(connection);
+  }
+  
+  const { salesforce, hubspot } = connections;
+  const syncEngine = new RealSyncEngine(userId, salesforce.accessToken, salesforce.instanceUrl, hubspot?.accessToken || null, {
+    ...options,
+    salesforceConnectionId: salesforce.id,
+    hubspotConnectionId: hubspot?.id || null
+  });
+  if (options.rollback) {
+    return syncEngine.performRollback(options.rollback);
+  }
+  return options.record
+    ? syncEngine.performRecordSync(options.record)
+    : syncEngine.performEnterpriseBidirectionalSync();
+}
+// Routes 
+// ========================================
+// REAL SYNC ENGINE FOR PAYING CUSTOMERS
+// ========================================
+function latestModifiedAt(records, current) {
+  let latest = current ? new Date(current) : null;
+  for (const record of records) {
+    const modifiedAt = record.modifiedAt ? new Date(record.modifiedAt) : null;
+    if (modifiedAt && (!latest || modifiedAt > latest)) {
+      latest = modifiedAt;
+    }
+  }
+  return latest;
+}
+
+// Salesforce Account websites become bare domains, which is how HubSpot identifies companies
+function websiteDomain(website) {
+  if (!website) {
+    return null;
+  }
+  return website.trim().replace(/^https?:\/\//i, '').replace(/^www\./i, '').split('/')[0].toLowerCase() || null;
+}
+
+// Standard Salesforce opportunity stages -> stages of HubSpot's default sales pipeline
+const DEFAULT_DEAL_STAGE_MAP = {
+  'Prospecting': 'appointmentscheduled',
+  'Qualification': 'qualifiedtobuy',
+  'Needs Analysis': 'qualifiedtobuy',
+  'Value Proposition': 'presentationscheduled',
+  'Id. Decision Makers': 'decisionmakerboughtin',
+  'Perception Analysis': 'decisionmakerboughtin',
+  'Proposal/Price Quote': 'contractsent',
+  'Negotiation/Review': 'contractsent',
+  'Closed Won': 'closedwon',
+  'Closed Lost': 'closedlost'
+};
+
+// Deals are synced into one HubSpot pipeline, see sync_settings.deal_pipeline
+function getDealPipelineSettings(syncSettings = {}) {
+  const saved = syncSettings.deal_pipeline || {};
+  return {
+    pipeline: saved.pipeline || 'default',
+    stages: saved.stages && Object.keys(saved.stages).length > 0 ? saved.stages : DEFAULT_DEAL_STAGE_MAP
+  };
+}
+
+// Everything the engine needs to know about one pair of objects. Types sync in this order
+// so companies exist before the contacts and deals that belong to them.
+const SYNC_OBJECT_TYPES = {
+  companies: {
+    label: 'Accounts ↔ Companies',
+    salesforceObject: 'Account',
+    hubspotObject: 'companies',
+    linkTable: 'companies',
+    linkColumns: ['name', 'domain'],
+    salesforceBaseFields: ['Id', 'Name', 'Website', 'SystemModstamp'],
+    hubspotBaseProperties: ['name', 'domain', 'hs_lastmodifieddate'],
+    hubspotModifiedProperty: 'hs_lastmodifieddate',
+    salesforceDisplay: record => ({ name: record.Name, domain: websiteDomain(record.Website) }),
+    hubspotDisplay: properties => ({ name: properties.name, domain: properties.domain }),
+    // Company names are matched case-insensitively, HubSpot has no unique key for them
+    match: { salesforceField: 'Name', hubspotProperty: 'name' },
+    defaultMappings: [
+      { salesforce: 'Name', hubspot: 'name', direction: 'bidirectional' },
+      { salesforce: 'Website', hubspot: 'website', direction: 'bidirectional' },
+      { salesforce: 'Phone', hubspot: 'phone', direction: 'bidirectional' },
+      { salesforce: 'BillingCity', hubspot: 'city', direction: 'bidirectional' },
+      { salesforce: 'BillingState', hubspot: 'state', direction: 'bidirectional' },
+      { salesforce: 'BillingCountry', hubspot: 'country', direction: 'bidirectional' },
+      { salesforce: 'NumberOfEmployees', hubspot: 'numberofemployees', direction: 'bidirectional', type: 'number' },
+      { salesforce: 'Description', hubspot: 'description', direction: 'bidirectional' }
+    ],
+    salesforceRequiredFields: hubspot => ({ Name: hubspot.raw.name || hubspot.raw.domain || 'Unknown' })
+  },
+  contacts: {
+    label: 'Contacts',
+    salesforceObject: 'Contact',
+    hubspotObject: 'contacts',
+    linkTable: 'contacts',
+    linkColumns: ['email', 'name', 'phone', 'company'],
+    salesforceBaseFields: ['Id', 'FirstName', 'LastName', 'Email', 'Phone', 'AccountId', 'Account.Name', 'SystemModstamp'],
+    hubspotBaseProperties: ['firstname', 'lastname', 'email', 'phone', 'company', 'lastmodifieddate'],
+    hubspotModifiedProperty: 'lastmodifieddate',
+    salesforceDisplay: record => ({
+      name: `${record.FirstName || ''} ${record.LastName || ''}`.trim(),
+      email: record.Email,
+      phone: record.Phone,
+      company: record.Account?.Name
+    }),
+    hubspotDisplay: properties => ({
+      name: `${properties.firstname || ''} ${properties.lastname || ''}`.trim(),
+      email: properties.email,
+      phone: properties.phone,
+      company: properties.company
+    }),
+    // Email is unique in HubSpot, so candidates can be batch read by it
+    match: { salesforceField: 'Email', hubspotProperty: 'email', hubspotIdProperty: 'email' },
+    // Contacts without an exact email match go through the phone and name + company rules
+    fuzzyMatch: true,
+    defaultMappings: [
+      { salesforce: 'FirstName', hubspot: 'firstname', direction: 'bidirectional' },
+      { salesforce: 'LastName', hubspot: 'lastname', direction: 'bidirectional' },
+      { salesforce: 'Email', hubspot: 'email', direction: 'bidirectional' },
+      { salesforce: 'Phone', hubspot: 'phone', direction: 'bidirectional' },
+      { salesforce: 'Account.Name', hubspot: 'company', direction: 'salesforce_to_hubspot' }
+    ],
+    salesforceRequiredFields: hubspot => ({ LastName: hubspot.raw.lastname || hubspot.raw.email || 'Unknown' })
+  },
+  deals: {
+    label: 'Opportunities ↔ Deals',
+    salesforceObject: 'Opportunity',
+    hubspotObject: 'deals',
+    linkTable: 'deals',
+    linkColumns: ['name', 'amount', 'stage'],
+    salesforceBaseFields: ['Id', 'Name', 'Amount', 'StageName', 'AccountId', 'SystemModstamp'],
+    hubspotBaseProperties: ['dealname', 'amount', 'dealstage', 'pipeline', 'hs_lastmodifieddate'],
+    hubspotModifiedProperty: 'hs_lastmodifieddate',
+    salesforceDisplay: record => ({ name: record.Name, amount: record.Amount ?? null, stage: record.StageName }),
+    hubspotDisplay: properties => ({
+      name: properties.dealname,
+      amount: properties.amount ? Number(properties.amount) : null,
+      stage: properties.dealstage
+    }),
+    match: { salesforceField: 'Name', hubspotProperty: 'dealname' },
+    defaultMappings: [
+      { salesforce: 'Name', hubspot: 'dealname', direction: 'bidirectional' },
+      { salesforce: 'Amount', hubspot: 'amount', direction: 'bidirectional', type: 'number' },
+      { salesforce: 'CloseDate', hubspot: 'closedate', direction: 'bidirectional', type: 'date' },
+      { salesforce: 'StageName', hubspot: 'dealstage', direction: 'bidirectional' },
+      { salesforce: 'Description', hubspot: 'description', direction: 'bidirectional' }
+    ],
+    // Deals in other HubSpot pipelines have stages the stage map knows nothing about
+    hubspotFilter: (record, syncSettings) => !record.raw.pipeline || record.raw.pipeline === getDealPipelineSettings(syncSettings).pipeline,
+    hubspotCreateDefaults: syncSettings => ({ pipeline: getDealPipelineSettings(syncSettings).pipeline }),
+    salesforceRequiredFields: hubspot => ({
+      Name: hubspot.raw.dealname || 'Untitled deal',
+      StageName: 'Prospecting',
+      CloseDate: new Date().toISOString().slice(0, 10)
+    })
+  }
+};
+const SYNC_OBJECT_ORDER = ['companies', 'contacts', 'deals'];
+
+// Single-parent links: the Salesforce lookup field on the child record, and the column
+// on the child's link row remembering which parent link row it pointed to after the last sync
+const PARENT_ASSOCIATIONS = {
+  contacts: { parentType: 'companies', salesforceField: 'AccountId', linkColumn: 'company_id' },
+  deals: { parentType: 'companies', salesforceField: 'AccountId', linkColumn: 'company_id' }
+};
+// Existing customers only synced contacts, the new object types are opt-in
+const DEFAULT_SYNC_OBJECTS = { contacts: true, companies: false, deals: false };
+
+function getSyncObjectSettings(syncSettings = {}) {
+  const objects = {};
+  for (const objectType of SYNC_OBJECT_ORDER) {
+    objects[objectType] = typeof syncSettings.objects?.[objectType] === 'boolean'
+      ? syncSettings.objects[objectType]
+      : DEFAULT_SYNC_OBJECTS[objectType];
+  }
+  return objects;
+}
+
+function getEnabledObjectTypes(syncSettings = {}) {
+  const objects = getSyncObjectSettings(syncSettings);
+  return SYNC_OBJECT_ORDER.filter(objectType => objects[objectType]);
+}
+
+const FIELD_MAPPING_DIRECTIONS = ['bidirectional', 'salesforce_to_hubspot', 'hubspot_to_salesforce'];
+// Values of these types are compared in a canonical form, the CRMs format them differently
+const FIELD_MAPPING_TYPES = ['number', 'date'];
+// Plans that can replace the default mapping
+const CUSTOM_MAPPING_PLANS = ['professional', 'enterprise'];
+
+// sync_settings.field_mappings is keyed by object type. It used to be a plain array
+// of contact mappings, which is still read as such.
+function getSavedFieldMappings(syncSettings, objectType) {
+  if (Array.isArray(syncSettings.field_mappings)) {
+    return objectType === 'contacts' ? syncSettings.field_mappings : null;
+  }
+  return syncSettings.field_mappings?.[objectType] || null;
+}
+
+// Mappings for one object type, keyed by HubSpot property (plus the Salesforce field when
+// one property is fed by several fields, such as a full name built from FirstName and LastName).
+// Relationship paths such as Account.Name cannot be written on the record, so they only flow to HubSpot.
+function getFieldMappings(syncSettings = {}, objectType = 'contacts') {
+  const saved = getSavedFieldMappings(syncSettings, objectType);
+  const mappings = saved && saved.length > 0 ? saved : SYNC_OBJECT_TYPES[objectType].defaultMappings;
+  const stageMap = objectType === 'deals' ? getDealPipelineSettings(syncSettings).stages : null;
+  const propertyCounts = new Map();
+  for (const mapping of mappings) {
+    propertyCounts.set(mapping.hubspot, (propertyCounts.get(mapping.hubspot) || 0) + 1);
+  }
+  
+  return mappings.map(mapping => ({
+    key: propertyCounts.get(mapping.hubspot) > 1 ? `${mapping.hubspot}:${mapping.salesforce}` : mapping.hubspot,
+    salesforce: mapping.salesforce,
+    hubspot: mapping.hubspot,
+    direction: mapping.salesforce.includes('.') ? 'salesforce_to_hubspot' : (mapping.direction || 'bidirectional'),
+    type: mapping.type || null,
+    // The deal stage map is a picklist transform that always runs first
+    transforms: [
+      ...(stageMap && mapping.hubspot === 'dealstage' ? [{ type: 'picklist', map: stageMap }] : []),
+      ...(mapping.transforms || [])
+    ]
+  }));
+}
+
+// Mapped HubSpot properties across the enabled object types, used for per-field conflict sources
+function getMappedFieldKeys(syncSettings = {}) {
+  const keys = new Set();
+  for (const objectType of getEnabledObjectTypes(syncSettings)) {
+    for (const mapping of getFieldMappings(syncSettings, objectType)) {
+      keys.add(mapping.key);
+    }
+  }
+  return [...keys];
+}
+
+// Field names end up inside SOQL, so only plain API names are accepted
+function validateFieldMappings(mappings) {
+  if (!Array.isArray(mappings) || mappings.length === 0) {
+    return 'mappings must be a non-empty array';
+  }
+  
+  const seen = new Set();
+  for (const mapping of mappings) {
+    if (!mapping || typeof mapping.salesforce !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)?$/.test(mapping.salesforce)) {
+      return `Invalid Salesforce field: ${mapping?.salesforce}`;
+    }
+    if (typeof mapping.hubspot !== 'string' || !/^[a-z0-9_]+$/.test(mapping.hubspot)) {
+      return `Invalid HubSpot property: ${mapping.hubspot}`;
+    }
+    if (mapping.direction && !FIELD_MAPPING_DIRECTIONS.includes(mapping.direction)) {
+      return `Invalid direction for ${mapping.hubspot}: ${mapping.direction}`;
+    }
+    if (mapping.type && !FIELD_MAPPING_TYPES.includes(mapping.type)) {
+      return `Invalid type for ${mapping.hubspot}: ${mapping.type}`;
+    }
+    if (mapping.salesforce.includes('.') && mapping.direction === 'hubspot_to_salesforce') {
+      return `${mapping.salesforce} is read-only in Salesforce and cannot receive HubSpot values`;
+    }
+    const transformError = validateTransforms(mapping.transforms);
+    if (transformError) {
+      return `Invalid transforms for ${mapping.hubspot}: ${transformError}`;
+    }
+    if (seen.has(`${mapping.salesforce}|${mapping.hubspot}`)) {
+      return `${mapping.salesforce} -> ${mapping.hubspot} is mapped more than once`;
+    }
+    seen.add(`${mapping.salesforce}|${mapping.hubspot}`);
+  }
+  
+  return null;
+}
+
+// Both CRMs hand back numbers, booleans and nulls, compare everything as strings.
+// Salesforce dates are plain YYYY-MM-DD while HubSpot sends full timestamps.
+function normalizeSyncValue(value, type = null) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (type === 'date') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+  }
+  if (type === 'number') {
+    const number = Number(value);
+    return isNaN(number) ? String(value) : String(number);
+  }
+  return String(value);
+}
+
+// Record matching. Exact matches on the descriptor's match field come first, contacts
+// then fall back to the rules in sync_settings.matching. Pairs scoring at or above
+// `threshold` are linked, pairs between `suggestion_threshold` and `threshold` wait
+// in the suggested links list for a person to confirm.
+const DEFAULT_MATCHING_SETTINGS = {
+  email: true,
+  phone: true,
+  name_company: true,
+  threshold: 0.9,
+  suggestion_threshold: 0.6
+};
+
+function getMatchingSettings(syncSettings = {}) {
+  return { ...DEFAULT_MATCHING_SETTINGS, ...(syncSettings.matching || {}) };
+}
+
+// Case-folded, with plus-addressing removed: Jane+crm@Example.com -> jane@example.com
+function normalizeMatchEmail(email) {
+  if (!email) {
+    return '';
+  }
+  const [local, domain] = String(email).trim().toLowerCase().split('@');
+  if (!domain) {
+    return local;
+  }
+  return `${local.split('+')[0]}@${domain}`;
+}
+
+// The last ten digits, so +1 (555) 010-2000 and 555.010.2000 compare equal.
+// Anything shorter than an extension-less local number is not worth matching on.
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : '';
+}
+
+// Dice coefficient over character bigrams, 1 for equal strings and 0 for nothing in common
+function stringSimilarity(a, b) {
+  const clean = value => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const left = clean(a);
+  const right = clean(b);
+  if (!left || !right) {
+    return 0;
+  }
+  if (left === right) {
+    return 1;
+  }
+  
+  const bigrams = value => {
+    const pairs = new Map();
+    for (let i = 0; i < value.length - 1; i++) {
+      const pair = value.slice(i, i + 2);
+      pairs.set(pair, (pairs.get(pair) || 0) + 1);
+    }
+    return pairs;
+  };
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  let overlap = 0;
+  for (const [pair, count] of leftPairs) {
+    overlap += Math.min(count, rightPairs.get(pair) || 0);
+  }
+  return (2 * overlap) / (left.length - 1 + right.length - 1);
+}
+
+// Best score between two contacts and the rule that produced it
+function scoreContactMatch(a, b, rules) {
+  let best = { score: 0, rule: null };
+  const consider = (score, rule) => {
+    if (score > best.score) {
+      best = { score, rule };
+    }
+  };
+  
+  const nameScore = stringSimilarity(a.name, b.name);
+  
+  if (rules.email && a.email && b.email && normalizeMatchEmail(a.email) === normalizeMatchEmail(b.email)) {
+    consider(String(a.email).toLowerCase() === String(b.email).toLowerCase() ? 1 : 0.95, 'email');
+  }
+  // Shared numbers (a switchboard, a family phone) are common, so the name still counts
+  if (rules.phone && normalizePhone(a.phone) && normalizePhone(a.phone) === normalizePhone(b.phone)) {
+    consider(0.6 + 0.4 * nameScore, 'phone');
+  }
+  if (rules.name_company && a.company && b.company) {
+    consider(0.6 * nameScore + 0.4 * stringSimilarity(a.company, b.company), 'name_company');
+  }
+  
+  return best;
+}
+
+function recordLabel(record) {
+  return [record.name, record.email, record.company].filter(Boolean).join(' · ') || record.id;
+}
+
+// How a field changed in both CRMs since the last sync is settled, see sync_settings.conflict_policy
+// 'manual' parks the field in the conflict review queue until a person picks a value
+const CONFLICT_POLICIES = ['salesforce_wins', 'hubspot_wins', 'most_recent', 'field_level', 'manual'];
+const DEFAULT_CONFLICT_POLICY = 'salesforce_wins';
+
+// What happens to the surviving record when its counterpart is deleted or merged away,
+// see sync_settings.deletion_policy. HubSpot's delete only archives, so 'delete' and
+// 'archive' behave the same there. Salesforce has no archive for these objects, so
+// 'archive' leaves Salesforce records flagged for review.
+const DELETION_POLICIES = ['delete', 'archive', 'flag'];
+const DEFAULT_DELETION_POLICY = 'flag';
+
+// Returns the tombstone_action recorded on the link row: deleted, archived or flagged
+async function applyTombstonePolicy(objectType, link, deletedIn, policy, connection) {
+  const descriptor = SYNC_OBJECT_TYPES[objectType];
+  let action = 'flagged';
+  
+  if (deletedIn === 'salesforce' && link.hubspot_id && policy !== 'flag') {
+    await archiveHubSpotObject(connection.hubspotToken, descriptor.hubspotObject, link.hubspot_id);
+    action = policy === 'delete' ? 'deleted' : 'archived';
+  } else if (deletedIn === 'hubspot' && link.salesforce_id && policy === 'delete') {
+    await deleteSalesforceRecord(connection.salesforceInstanceUrl, connection.salesforceToken, descriptor.salesforceObject, link.salesforce_id);
+    action = 'deleted';
+  }
+  
+  await pool.query(
+    `UPDATE ${descriptor.linkTable} SET tombstone_action = $1 WHERE id = $2`,
+    [action, link.id]
+  );
+  return action;
+}
+
+function emptyObjectResults(syncMode) {
+  return {
+    sync_mode: syncMode,
+    salesforce_found: 0,
+    hubspot_found: 0,
+    hubspot_created: 0,
+    hubspot_updated: 0,
+    salesforce_created: 0,
+    salesforce_updated: 0,
+    processed: 0,
+    errors: 0
+  };
+}
+
+// Field changes for the plan and the change journal, from the fields written and a reader for the current values
+function updatedFieldChanges(fields, currentValue) {
+  return Object.entries(fields).map(([field, after]) => ({ field, before: currentValue(field) ?? null, after }));
+}
+
+function createdFieldChanges(fields) {
+  return updatedFieldChanges(fields, () => null);
+}
+
+class RealSyncEngine {
+  constructor(userId, salesforceToken, salesforceInstanceUrl, hubspotToken, options = {}) {
+    this.userId = userId;
+    this.salesforceToken = salesforceToken;
+    this.salesforceInstanceUrl = salesforceInstanceUrl;
+    this.hubspotToken = hubspotToken;
+    // Link rows, watermarks, conflicts and logs all belong to the sync pair
+    this.syncPairId = options.syncPairId;
+    this.salesforceConnectionId = options.salesforceConnectionId || null;
+    this.hubspotConnectionId = options.hubspotConnectionId || null;
+    this.fullResync = !!options.fullResync;
+    this.jobId = options.jobId || null;
+    // A dry run reads both CRMs and records what it would do in `plan` instead of writing anything
+    this.dryRun = !!options.dryRun;
+    this.plan = { creates: [], updates: [], conflicts: [], skipped: [], deletions: [] };
+    
+    // The top-level counters describe contacts, `objects` breaks every enabled type down
+    this.results = {
+      sync_mode: 'full',
+      salesforce_contacts_found: 0,
+      hubspot_contacts_found: 0,
+      hubspot_sync_attempted: false,
+      hubspot_created: 0,
+      hubspot_updated: 0,
+      salesforce_created: 0,
+      salesforce_updated: 0,
+      conflicts: 0,
+      conflicts_queued: 0,
+      conflicts_applied: 0,
+      contacts_processed: 0,
+      records_processed: 0,
+      objects: {},
+      associations: { hubspot_added: 0, hubspot_removed: 0, salesforce_updated: 0 },
+      tombstones: { tombstoned: 0, deleted: 0, archived: 0, flagged: 0, repointed: 0 },
+      matches: { fuzzy: 0, suggested: 0 },
+      real_sample_contacts: [],
+      errors: []
+    };
+  }
+  
+  async performEnterpriseBidirectionalSync() {
+    console.log(`🚀 REAL: Starting bidirectional sync for user ${this.userId}, sync pair ${this.syncPairId}`);
+    
+    if (this.fullResync && !this.dryRun) {
+      console.log(`🔄 Full resync requested, clearing watermarks of sync pair ${this.syncPairId}`);
+      await resetSyncWatermarks(this.syncPairId);
+    }
+    
+    this.syncSettings = await getSyncPairSettings(this.syncPairId);
+    this.matchingRules = getMatchingSettings(this.syncSettings);
+    this.apiQuotaReserve = getApiQuotaReserve(this.syncSettings);
+    const objectTypes = this.hubspotToken ? getEnabledObjectTypes(this.syncSettings) : ['contacts'];
+    this.enabledObjectTypes = objectTypes;
+    
+    const watermarks = {};
+    for (const objectType of objectTypes) {
+      // A dry run of a full resync previews it without clearing the stored watermarks
+      watermarks[objectType] = this.hubspotToken && !(this.dryRun && this.fullResync)
+        ? await getSyncWatermarks(this.syncPairId, objectType)
+        : { salesforce: null, hubspot: null };
+    }
+    const isIncremental = objectTypes.length > 0 &&
+      objectTypes.every(objectType => watermarks[objectType].salesforce && watermarks[objectType].hubspot);
+    this.results.sync_mode = isIncremental ? 'incremental' : 'full';
+    
+    const syncLog = this.dryRun
+      ? null
+      : await createSyncLog(this.userId, 'running', 0, 0, null, this.results.sync_mode, this.jobId, this.syncPairId);
+    this.syncLogId = syncLog?.id || null;
+    
+    try {
+      if (!this.hubspotToken) {
+        // Without HubSpot we can only report what Salesforce holds
+        console.log('ℹ️ HubSpot not connected, skipping write phase');
+        for await (const page of fetchSalesforceContactPages(this.salesforceToken, this.salesforceInstanceUrl)) {
+          this.collectSalesforcePageStats(page);
+        }
+        await this.completeLog(syncLog, 'success', this.results.salesforce_contacts_found, 0);
+        return {
+          ...this.results,
+          contacts_processed: this.results.salesforce_contacts_found,
+          message: `Found ${this.results.salesforce_contacts_found} Salesforce contacts. Connect HubSpot to start syncing.`
+        };
+      }
+      
+      this.results.hubspot_sync_attempted = true;
+      
+      for (const objectType of objectTypes) {
+        await this.syncObjectType(objectType, watermarks[objectType]);
+      }
+      
+      const contactResults = this.results.objects.contacts;
+      if (contactResults) {
+        this.results.hubspot_contacts_found = contactResults.hubspot_found;
+        this.results.hubspot_created = contactResults.hubspot_created;
+        this.results.hubspot_updated = contactResults.hubspot_updated;
+        this.results.salesforce_created = contactResults.salesforce_created;
+        this.results.salesforce_updated = contactResults.salesforce_updated;
+        this.results.contacts_processed = contactResults.processed;
+      }
+      
+      const status = this.results.errors.length > 0 ? 'partial' : 'success';
+      const errorMessage = this.results.errors.length > 0
+        ? `${this.results.errors.length} records failed to sync`
+        : null;
+      await this.completeLog(syncLog, status, this.results.records_processed, this.results.conflicts, errorMessage);
+      
+      console.log(`✅ REAL: ${this.dryRun ? 'Dry run' : 'Sync'} complete for user ${this.userId}:`, this.results.objects);
+      
+      if (this.dryRun) {
+        return {
+          ...this.results,
+          dry_run: true,
+          plan: this.plan,
+          message: `Planned ${this.results.records_processed} records (${objectTypes.join(', ')}), nothing was written`
+        };
+      }
+      return {
+        ...this.results,
+        message: `Synced ${this.results.records_processed} records (${objectTypes.join(', ')}) between Salesforce and HubSpot`
+      };
+      
+    } catch (error) {
+      console.error('❌ REAL: Sync failed:', error);
+      const status = error instanceof ApiQuotaReserveError ? 'paused' : 'error';
+      await this.completeLog(syncLog, status, this.results.records_processed, this.results.conflicts, error.message);
+      throw error;
+    }
+  }
+  
+  async completeLog(syncLog, status, recordsProcessed, conflicts, errorMessage = null) {
+    if (syncLog) {
+      await completeSyncLog(syncLog.id, status, recordsProcessed, conflicts, errorMessage);
+    }
+  }
+  
+  // Dry runs list every record they leave alone, with the reason
+  planSkip(record, reason) {
+    if (this.dryRun) {
+      this.plan.skipped.push({ object_type: this.objectType, source: record.source, record_id: record.id, label: recordLabel(record), reason });
+    }
+  }
+  
+  // Sync one record a webhook reported as changed. The record is read again, so events that
+  // arrive late or twice only cause another read. A record that is gone runs the regular
+  // deletion and merge detection from the last watermark. Watermarks are left alone.
+  async performRecordSync({ objectType, provider, recordId }) {
+    console.log(`🚀 REAL: Syncing ${provider} ${objectType} ${recordId} for user ${this.userId}`);
+    
+    this.syncSettings = await getSyncPairSettings(this.syncPairId);
+    this.matchingRules = getMatchingSettings(this.syncSettings);
+    this.apiQuotaReserve = getApiQuotaReserve(this.syncSettings);
+    this.enabledObjectTypes = getEnabledObjectTypes(this.syncSettings);
+    this.results.sync_mode = 'record';
+    
+    if (!this.hubspotToken || !this.enabledObjectTypes.includes(objectType)) {
+      return { ...this.results, message: `${objectType} sync is not enabled, nothing to do` };
+    }
+    
+    const syncLog = await createSyncLog(this.userId, 'running', 0, 0, null, this.results.sync_mode, this.jobId, this.syncPairId);
+    this.syncLogId = syncLog.id;
+    
+    try {
+      await this.prepareObjectType(objectType, 'record');
+      const { hubspotObject } = this.descriptor;
+      
+      const records = provider === 'salesforce'
+        ? await fetchSalesforceRecordsWhere(this.salesforceInstanceUrl, this.salesforceToken, objectType, 'Id', [recordId], this.salesforceFields)
+        : await fetchHubSpotObjectsBatch(this.hubspotToken, hubspotObject, [recordId], null, this.hubspotProperties);
+      
+      if (records.length === 0) {
+        await this.detectDeletionsAndMerges(await getSyncWatermarks(this.syncPairId, objectType));
+      } else if (provider === 'salesforce') {
+        this.objectResults.salesforce_found = records.length;
+        await this.syncSalesforcePage(records);
+      } else {
+        this.objectResults.hubspot_found = records.length;
+        await this.syncHubSpotPage(records);
+      }
+      await this.syncAssociations();
+      
+      const status = this.results.errors.length > 0 ? 'partial' : 'success';
+      const errorMessage = this.results.errors.length > 0 ? this.results.errors[0].error : null;
+      await completeSyncLog(syncLog.id, status, this.results.records_processed, this.results.conflicts, errorMessage);
+      
+      return {
+        ...this.results,
+        message: records.length === 0
+          ? `${provider} ${objectType} ${recordId} no longer exists, checked for deletions and merges`
+          : `Synced ${provider} ${objectType} ${recordId}`
+      };
+    } catch (error) {
+      console.error('❌ REAL: Record sync failed:', error);
+      await completeSyncLog(syncLog.id, error instanceof ApiQuotaReserveError ? 'paused' : 'error', this.results.records_processed, this.results.conflicts, error.message);
+      throw error;
+    }
+  }
+  
+  // Undo the field changes journaled for one sync run. A field whose current value is no
+  // longer the one the run wrote, or that a later run changed, is reported and left alone.
+  // Records the run created are deleted again along with their link row, association changes
+  // are undone last. The rollback's own writes are journaled under its sync log, so it can be
+  // rolled back in turn.
+  async performRollback(runId) {
+    console.log(`⏪ REAL: Rolling back sync run ${runId} for user ${this.userId}`);
+    
+    const changes = (await getSyncChanges(this.userId, runId)).filter(change => !change.rolled_back_at);
+    this.results.sync_mode = 'rollback';
+    const rollback = { run_id: runId, restored_records: 0, restored_fields: 0, deleted_records: 0, restored_associations: 0, not_reversible: [] };
+    const syncLog = await createSyncLog(this.userId, 'running', 0, 0, null, 'rollback', this.jobId, this.syncPairId);
+    this.syncLogId = syncLog.id;
+    
+    try {
+      const later = await pool.query(
+        `SELECT DISTINCT system, record_id, field FROM sync_changes
+         WHERE user_id = $1 AND sync_log_id > $2 AND sync_log_id <> $3 AND rolled_back_at IS NULL
+           AND sync_log_id IN (SELECT id FROM sync_logs WHERE sync_pair_id = $4)`,
+        [this.userId, runId, syncLog.id, this.syncPairId]
+      );
+      const changedLater = new Set(later.rows.map(row => `${row.system}|${row.record_id}|${row.field}`));
+      
+      // A field written twice in one run (a resolved conflict, then the regular pass)
+      // is undone to the value before the first write
+      const groups = new Map();
+      for (const change of changes.filter(change => !isAssociationChange(change))) {
+        const key = `${change.object_type}|${change.system}|${change.record_id}`;
+        if (!groups.has(key)) {
+          groups.set(key, { objectType: change.object_type, system: change.system, recordId: change.record_id, action: change.action, fields: new Map() });
+        }
+        const fields = groups.get(key).fields;
+        const earlier = fields.get(change.field);
+        fields.set(change.field, earlier
+          ? { ...earlier, new_value: change.new_value, ids: [...earlier.ids, change.id] }
+          : { field: change.field, old_value: change.old_value, new_value: change.new_value, ids: [change.id] });
+      }
+      
+      for (const objectType of Object.keys(SYNC_OBJECT_TYPES)) {
+        for (const system of ['salesforce', 'hubspot']) {
+          const records = [...groups.values()].filter(group => group.objectType === objectType && group.system === system);
+          for (let i = 0; i < records.length; i += HUBSPOT_PAGE_SIZE) {
+            await this.rollbackRecords(objectType, system, records.slice(i, i + HUBSPOT_PAGE_SIZE), changedLater, rollback);
+          }
+        }
+      }
+      await this.rollbackAssociations(changes.filter(isAssociationChange), changedLater, rollback);
+      
+      const status = rollback.not_reversible.length > 0 ? 'partial' : 'success';
+      const errorMessage = rollback.not_reversible.length > 0 ? `${rollback.not_reversible.length} records could not be rolled back` : null;
+      await completeSyncLog(syncLog.id, status, rollback.restored_records + rollback.deleted_records, 0, errorMessage);
+      console.log(`✅ REAL: Rolled back sync run ${runId}:`, rollback);
+      
+      return {
+        ...this.results,
+        rollback,
+        message: `Rolled back ${rollback.restored_records + rollback.deleted_records} records and ${rollback.restored_associations} associations from sync run ${runId}`
+      };
+    } catch (error) {
+      console.error('❌ REAL: Rollback failed:', error);
+      await completeSyncLog(syncLog.id, 'error', rollback.restored_records + rollback.deleted_records, 0, error.message);
+      throw error;
+    }
+  }
+  
+  async rollbackRecords(objectType, system, records, changedLater, rollback) {
+    this.objectType = objectType;
+    this.descriptor = SYNC_OBJECT_TYPES[objectType];
+    const { salesforceObject, hubspotObject, linkTable } = this.descriptor;
+    const fields = [...new Set(records.flatMap(record => [...record.fields.keys()]))];
+    const ids = records.map(record => record.recordId);
+    
+    // Current values, read straight from the record so transforms do not get in the way
+    const current = new Map(system === 'salesforce'
+      ? (await fetchSalesforceRecordsWhere(this.salesforceInstanceUrl, this.salesforceToken, objectType, 'Id', ids, fields))
+        .map(record => [record.id, field => getSalesforceValue(record.raw, field)])
+      : (await fetchHubSpotObjectsBatch(this.hubspotToken, hubspotObject, ids, null, fields))
+        .map(record => [record.id, field => record.raw[field]]));
+    
+    for (const record of records) {
+      const read = current.get(record.recordId);
+      const changes = [...record.fields.values()];
+      const notReversible = reason => rollback.not_reversible.push({ object_type: objectType, system, record_id: record.recordId, ...reason });
+      
+      if (!read) {
+        if (record.action === 'create') {
+          // Deleted since, nothing left to undo
+          await this.markRolledBack(changes);
+        } else {
+          notReversible({ reason: 'Record no longer exists' });
+        }
+        continue;
+      }
+      
+      const changedAgain = changes.filter(change =>
+        changedLater.has(`${system}|${record.recordId}|${change.field}`) ||
+        normalizeSyncValue(read(change.field)) !== normalizeSyncValue(change.new_value));
+      
+      try {
+        if (record.action === 'create') {
+          if (changedAgain.length > 0) {
+            notReversible({ reason: 'Created by the run and changed since', fields: changedAgain.map(change => change.field) });
+            continue;
+          }
+          if (system === 'salesforce') {
+            await deleteSalesforceRecord(this.salesforceInstanceUrl, this.salesforceToken, salesforceObject, record.recordId);
+          } else {
+            await archiveHubSpotObject(this.hubspotToken, hubspotObject, record.recordId);
+          }
+          // Without the link the next sync would see a deletion and apply the deletion policy to the source record
+          await pool.query(`DELETE FROM ${linkTable} WHERE sync_pair_id = $1 AND ${system}_id = $2`, [this.syncPairId, record.recordId]);
+          await this.markRolledBack(changes);
+          rollback.deleted_records++;
+          continue;
+        }
+        
+        if (changedAgain.length > 0) {
+          notReversible({ reason: 'Changed again after the run', fields: changedAgain.map(change => change.field) });
+        }
+        const reversible = changes.filter(change => !changedAgain.includes(change));
+        if (reversible.length === 0) {
+          continue;
+        }
+        
+        // Salesforce clears a field with null, HubSpot with an empty string
+        const restore = Object.fromEntries(reversible.map(change => [
+          change.field,
+          change.old_value === null ? (system === 'salesforce' ? null : '') : change.old_value
+        ]));
+        if (system === 'salesforce') {
+          await updateSalesforceRecord(this.salesforceInstanceUrl, this.salesforceToken, salesforceObject, record.recordId, restore);
+        } else {
+          await updateHubSpotObject(this.hubspotToken, hubspotObject, record.recordId, restore);
+        }
+        await this.journal(system, record.recordId, 'update', updatedFieldChanges(restore, read));
+        // The link has to agree with the restored lookup, or the next sync copies the rollback over
+        const parent = PARENT_ASSOCIATIONS[objectType];
+        if (system === 'salesforce' && parent && parent.salesforceField in restore) {
+          await this.restoreParentLink(parent, 'salesforce', record.recordId, restore[parent.salesforceField]);
+        }
+        await this.markRolledBack(reversible);
+        rollback.restored_records++;
+        rollback.restored_fields += reversible.length;
+      } catch (error) {
+        console.error(`❌ Failed to roll back ${system} ${objectType} ${record.recordId}:`, error.message);
+        notReversible({ reason: error.message });
+      }
+    }
+  }
+  
+  // Newest first, each one back to the association before the run. The link row and the
+  // deal_contacts snapshot go back with it, so the next sync sees the state before the run too.
+  async rollbackAssociations(changes, changedLater, rollback) {
+    for (const change of [...changes].reverse()) {
+      const { object_type: objectType, system, record_id: recordId, field } = change;
+      this.objectType = objectType;
+      this.descriptor = SYNC_OBJECT_TYPES[objectType];
+      if (changedLater.has(`${system}|${recordId}|${field}`)) {
+        rollback.not_reversible.push({ object_type: objectType, system, record_id: recordId, reason: 'Changed again after the run', fields: [field] });
+        continue;
+      }
+      
+      try {
+        if (system === 'hubspot') {
+          const toObject = field.slice(ASSOCIATION_FIELD_PREFIX.length);
+          if (change.new_value) {
+            await removeHubSpotAssociation(this.hubspotToken, this.descriptor.hubspotObject, recordId, toObject, change.new_value);
+          }
+          if (change.old_value) {
+            await associateHubSpotRecords(this.hubspotToken, this.descriptor.hubspotObject, recordId, toObject, change.old_value);
+          }
+        } else if (change.new_value) {
+          const roles = await fetchOpportunityContactRoles(this.salesforceInstanceUrl, this.salesforceToken, [recordId]);
+          for (const role of roles.filter(role => role.ContactId === change.new_value)) {
+            await deleteSalesforceRecord(this.salesforceInstanceUrl, this.salesforceToken, 'OpportunityContactRole', role.Id);
+          }
+        } else {
+          await createSalesforceRecord(this.salesforceInstanceUrl, this.salesforceToken, 'OpportunityContactRole', {
+            OpportunityId: recordId,
+            ContactId: change.old_value
+          });
+        }
+        
+        const parent = PARENT_ASSOCIATIONS[objectType];
+        if (field === `${ASSOCIATION_FIELD_PREFIX}contacts` || field === 'OpportunityContactRole') {
+          await this.restoreDealContact(system, recordId, change.old_value || change.new_value, !!change.old_value);
+        } else if (parent) {
+          await this.restoreParentLink(parent, system, recordId, change.old_value);
+        }
+        
+        const undo = { create: 'delete', delete: 'create' }[change.action] || 'update';
+        await this.journal(system, recordId, undo, [{ field, before: change.new_value, after: change.old_value }]);
+        await this.markRolledBack([{ ids: [change.id] }]);
+        rollback.restored_associations++;
+      } catch (error) {
+        console.error(`❌ Failed to roll back ${system} ${objectType} ${recordId} ${field}:`, error.message);
+        rollback.not_reversible.push({ object_type: objectType, system, record_id: recordId, reason: error.message, fields: [field] });
+      }
+    }
+  }
+  
+  // Points a record's link at the parent with the given Salesforce or HubSpot id, or at none
+  async restoreParentLink(spec, system, recordId, parentId) {
+    const parentTable = SYNC_OBJECT_TYPES[spec.parentType].linkTable;
+    await pool.query(
+      `UPDATE ${this.descriptor.linkTable}
+       SET ${spec.linkColumn} = (SELECT id FROM ${parentTable} WHERE sync_pair_id = $1 AND ${system}_id = $2)
+       WHERE sync_pair_id = $1 AND ${system}_id = $3`,
+      [this.syncPairId, parentId, recordId]
+    );
+  }
+  
+  async restoreDealContact(system, dealId, contactId, associated) {
+    const deal = (await this.loadLinks(`${system}_id`, [dealId], 'deals')).get(dealId);
+    const contact = (await this.loadLinks(`${system}_id`, [contactId], 'contacts')).get(contactId);
+    if (!deal || !contact) {
+      return;
+    }
+    if (associated) {
+      await pool.query(
+        'INSERT INTO deal_contacts (deal_id, contact_id) VALUES ($1, $2) ON CONFLICT (deal_id, contact_id) DO NOTHING',
+        [deal.id, contact.id]
+      );
+    } else {
+      await pool.query('DELETE FROM deal_contacts WHERE deal_id = $1 AND contact_id = $2', [deal.id, contact.id]);
+    }
+  }
+  
+  async markRolledBack(changes) {
+    await pool.query(
+      'UPDATE sync_changes SET rolled_back_at = NOW(), rolled_back_by = $1 WHERE id = ANY($2)',
+      [this.syncLogId, changes.flatMap(change => change.ids)]
+    );
+  }
+  
+  // Per-object state shared by full passes and single-record syncs
+  async prepareObjectType(objectType, syncMode) {
+    this.objectType = objectType;
+    this.descriptor = SYNC_OBJECT_TYPES[objectType];
+    this.mappings = getFieldMappings(this.syncSettings, objectType);
+    this.salesforceFields = this.mappings.flatMap(mapping => [mapping.salesforce, ...transformSourceFields(mapping.transforms).salesforce]);
+    this.hubspotProperties = this.mappings.flatMap(mapping => [mapping.hubspot, ...transformSourceFields(mapping.transforms).hubspot]);
+    this.salesforceFieldLengths = await this.loadSalesforceFieldLengths();
+    this.objectResults = this.results.objects[objectType] = emptyObjectResults(syncMode);
+    this.pendingConflicts = new Map();
+    
+    // Records are streamed page by page so large orgs never have to fit in memory,
+    // only the ids touched during this run are remembered between pages
+    this.processedSalesforceIds = new Set();
+    this.processedHubSpotIds = new Set();
+    // Synced pairs of this pass, with the Salesforce parent lookup, for the association step
+    this.touchedRecords = [];
+    // Writes are collected per page and sent in batches, see flushWrites
+    this.pendingWrites = [];
+    this.backfillWrites = [];
+  }
+  
+  // One full pass over an object type: Salesforce pages first, then whatever HubSpot has left
+  async syncObjectType(objectType, watermarks) {
+    const isIncremental = !!(watermarks.salesforce && watermarks.hubspot);
+    
+    await this.prepareObjectType(objectType, isIncremental ? 'incremental' : 'full');
+    const errorCount = this.results.errors.length;
+    
+    console.log(`🔄 Syncing ${this.descriptor.label} for user ${this.userId} (${this.objectResults.sync_mode})`);
+    
+    // The review queue only holds contact conflicts
+    if (objectType === 'contacts') {
+      await this.applyResolvedConflicts();
+    }
+    
+    await this.detectDeletionsAndMerges(watermarks);
+    
+    // An incremental run only reads records changed since the last good run,
+    // a missing watermark on either side means everything is read again
+    const runStartedAt = new Date();
+    const salesforceSince = isIncremental ? watermarks.salesforce : null;
+    const hubspotSince = isIncremental ? watermarks.hubspot : null;
+    let salesforceHighWaterMark = watermarks.salesforce;
+    let hubspotHighWaterMark = watermarks.hubspot;
+    
+    for await (const page of fetchSalesforceRecordPages(this.salesforceInstanceUrl, this.salesforceToken, objectType, salesforceSince, this.salesforceFields)) {
+      this.objectResults.salesforce_found += page.length;
+      if (objectType === 'contacts') {
+        this.collectSalesforcePageStats(page);
+      }
+      salesforceHighWaterMark = latestModifiedAt(page, salesforceHighWaterMark);
+      await this.syncSalesforcePage(page);
+    }
+    
+    for await (const page of fetchHubSpotObjectPages(this.hubspotToken, this.descriptor.hubspotObject, hubspotSince, this.hubspotProperties)) {
+      this.objectResults.hubspot_found += page.length;
+      hubspotHighWaterMark = latestModifiedAt(page, hubspotHighWaterMark);
+      await this.syncHubSpotPage(page);
+    }
+    await this.flushWrites(this.backfillWrites.splice(0));
+    
+    // Associations need the ids of records a dry run never created
+    if (this.dryRun) {
+      return;
+    }
+    
+    await this.syncAssociations();
+    
+    // Failed records must be read again next time, so the watermark only moves on a clean run
+    // An empty CRM has nothing to take a timestamp from, so fall back to the run start
+    if (this.results.errors.length === errorCount) {
+      await saveSyncWatermark(this.userId, this.syncPairId, 'salesforce', salesforceHighWaterMark || runStartedAt, objectType);
+      await saveSyncWatermark(this.userId, this.syncPairId, 'hubspot', hubspotHighWaterMark || runStartedAt, objectType);
+    }
+  }
+  
+  collectSalesforcePageStats(page) {
+    this.results.salesforce_contacts_found += page.length;
+    for (const contact of page) {
+      if (this.results.real_sample_contacts.length >= 5) {
+        break;
+      }
+      this.results.real_sample_contacts.push({
+        name: contact.name,
+        email: contact.email,
+        company: contact.company,
+        phone: contact.phone
+      });
+    }
+  }
+  
+  async loadLinks(column, ids, linkTable = this.descriptor.linkTable) {
+    if (ids.length === 0) {
+      return new Map();
+    }
+    const result = await pool.query(
+      `SELECT * FROM ${linkTable} WHERE sync_pair_id = $1 AND ${column} = ANY($2)`,
+      [this.syncPairId, ids]
+    );
+    return new Map(result.rows.map(link => [link[column], link]));
+  }
+  
+  includesHubSpotRecord(record) {
+    return !this.descriptor.hubspotFilter || this.descriptor.hubspotFilter(record, this.syncSettings);
+  }
+  
+  // HubSpot records whose match property equals one of the values
+  async findHubSpotCandidates(values) {
+    const { hubspotObject, match } = this.descriptor;
+    const candidates = match.hubspotIdProperty
+      ? await fetchHubSpotObjectsBatch(this.hubspotToken, hubspotObject, values, match.hubspotIdProperty, this.hubspotProperties)
+      // HubSpot expects lowercase values for IN filters on string properties
+      : await searchHubSpotObjectsByProperty(
+        this.hubspotToken, hubspotObject, match.hubspotProperty, values.map(value => String(value).toLowerCase()), this.hubspotProperties
+      );
+    return candidates.filter(record => this.includesHubSpotRecord(record));
+  }
+  
+  // Pair a page of Salesforce records through the stored id links first, then by matching
+  async syncSalesforcePage(page) {
+    this.checkApiQuota();
+    const links = await this.loadLinks('salesforce_id', page.map(record => record.id));
+    
+    const linkedHubSpotIds = [...links.values()].map(link => link.hubspot_id).filter(Boolean);
+    const hubspotById = new Map(
+      (await fetchHubSpotObjectsBatch(this.hubspotToken, this.descriptor.hubspotObject, linkedHubSpotIds, null, this.hubspotProperties))
+        .map(record => [record.id, record])
+    );
+    
+    const matches = await this.matchRecords(page.filter(record => !links.get(record.id)?.hubspot_id), 'salesforce');
+    
+    for (const sfRecord of page) {
+      const link = links.get(sfRecord.id) || null;
+      const match = matches.get(sfRecord.id);
+      let hubspotMatch = null;
+      
+      if (link && link.sync_status === 'tombstoned') {
+        // The counterpart was deleted or merged away, see the tombstone review list
+        this.planSkip(sfRecord, `Counterpart was ${link.tombstone_reason || 'deleted'} in ${link.deleted_in}`);
+        continue;
+      }
+      if (link && link.hubspot_id) {
+        hubspotMatch = hubspotById.get(link.hubspot_id) || null;
+        if (!hubspotMatch) {
+          // Linked record was not returned by HubSpot, leave it alone
+          this.planSkip(sfRecord, `Linked HubSpot record ${link.hubspot_id} was not returned by HubSpot`);
+          continue;
+        }
+      } else if (match?.suggested) {
+        // Waiting in the suggested links list, creating it now could make a duplicate
+        this.planSkip(sfRecord, 'Possible duplicate waiting for review in suggested links');
+        continue;
+      } else if (match) {
+        hubspotMatch = match.record;
+      }
+      
+      await this.syncPair({
+        salesforce: sfRecord,
+        hubspot: hubspotMatch,
+        link: link || match?.link || null
+      });
+    }
+    
+    await this.flushWrites(this.pendingWrites.splice(0));
+  }
+  
+  // HubSpot records not already handled by the Salesforce pass
+  async syncHubSpotPage(page) {
+    this.checkApiQuota();
+    const remaining = page.filter(record => !this.processedHubSpotIds.has(record.id) && this.includesHubSpotRecord(record));
+    if (remaining.length === 0) {
+      return;
+    }
+    
+    const links = await this.loadLinks('hubspot_id', remaining.map(record => record.id));
+    
+    const linkedSalesforceIds = [...links.values()]
+      .map(link => link.salesforce_id)
+      .filter(id => id && !this.processedSalesforceIds.has(id));
+    const salesforceById = new Map(
+      (await fetchSalesforceRecordsWhere(
+        this.salesforceInstanceUrl, this.salesforceToken, this.objectType, 'Id', linkedSalesforceIds, this.salesforceFields
+      )).map(record => [record.id, record])
+    );
+    
+    const matches = await this.matchRecords(remaining.filter(record => !links.get(record.id)?.salesforce_id), 'hubspot');
+    
+    for (const hsRecord of remaining) {
+      const link = links.get(hsRecord.id) || null;
+      const match = matches.get(hsRecord.id);
+      let salesforceMatch = null;
+      
+      if (link && link.sync_status === 'tombstoned') {
+        this.planSkip(hsRecord, `Counterpart was ${link.tombstone_reason || 'deleted'} in ${link.deleted_in}`);
+        continue;
+      }
+      if (link && link.salesforce_id) {
+        salesforceMatch = salesforceById.get(link.salesforce_id) || null;
+        if (!salesforceMatch) {
+          // Linked record was not returned by Salesforce, leave it alone
+          this.planSkip(hsRecord, `Linked Salesforce record ${link.salesforce_id} was not returned by Salesforce`);
+          continue;
+        }
+      } else if (match?.suggested) {
+        this.planSkip(hsRecord, 'Possible duplicate waiting for review in suggested links');
+        continue;
+      } else if (match) {
+        salesforceMatch = match.record;
+      }
+      
+      await this.syncPair({
+        salesforce: salesforceMatch,
+        hubspot: hsRecord,
+        link: link || match?.link || null
+      });
+    }
+    
+    await this.flushWrites(this.pendingWrites.splice(0));
+    if (this.backfillWrites.length >= SALESFORCE_BULK_BATCH_SIZE) {
+      await this.flushWrites(this.backfillWrites.splice(0));
+    }
+  }
+  
+  // Stops the run once either CRM has less than the reserved share of its daily quota left,
+  // the job is paused and picks up again later (see pauseSyncJob)
+  checkApiQuota() {
+    const accounts = [['salesforce', this.salesforceInstanceUrl], ['hubspot', this.hubspotToken]];
+    for (const [provider, account] of accounts) {
+      const usage = getCrmApiUsage(provider, account);
+      if (usage && usage.remaining_percent < this.apiQuotaReserve) {
+        throw new ApiQuotaReserveError(provider, usage, this.apiQuotaReserve);
+      }
+    }
+  }
+  
+  // Key used for exact matching, contact emails are compared without plus-addressing
+  // unless the email rule is switched off
+  matchKey(value) {
+    if (this.descriptor.fuzzyMatch && this.matchingRules.email) {
+      return normalizeMatchEmail(value);
+    }
+    return String(value).toLowerCase();
+  }
+  
+  // Records in the other CRM whose field equals one of the values, `source` is the CRM the values come from
+  async findCounterparts(source, field, values) {
+    if (values.length === 0) {
+      return [];
+    }
+    if (source === 'salesforce') {
+      return (await searchHubSpotObjectsByProperty(
+        this.hubspotToken, this.descriptor.hubspotObject, field, values.map(value => String(value).toLowerCase()), this.hubspotProperties
+      )).filter(record => this.includesHubSpotRecord(record));
+    }
+    return fetchSalesforceRecordsWhere(this.salesforceInstanceUrl, this.salesforceToken, this.objectType, field, values, this.salesforceFields);
+  }
+  
+  // Counterparts for unlinked records from `source`, as a Map of record id ->
+  // { record, link } or { suggested: true } when a person has to confirm the pair first
+  async matchRecords(records, source) {
+    const other = source === 'salesforce' ? 'hubspot' : 'salesforce';
+    const processedOther = other === 'hubspot' ? this.processedHubSpotIds : this.processedSalesforceIds;
+    const matches = new Map();
+    if (records.length === 0) {
+      return matches;
+    }
+    
+    const values = [...new Set(records
+      .filter(record => record.matchValue)
+      .flatMap(record => [record.matchValue, this.matchKey(record.matchValue)]))];
+    const candidates = source === 'salesforce'
+      ? await this.findHubSpotCandidates(values)
+      : await fetchSalesforceRecordsWhere(
+        this.salesforceInstanceUrl, this.salesforceToken, this.objectType, this.descriptor.match.salesforceField, values, this.salesforceFields
+      );
+    
+    // A record already linked to another one is not a candidate
+    const taken = await this.loadLinks(`${other}_id`, candidates.map(record => record.id));
+    const byKey = new Map(candidates
+      .filter(record => !taken.get(record.id)?.[`${source}_id`] && !processedOther.has(record.id) && record.matchValue)
+      .map(record => [this.matchKey(record.matchValue), record]));
+    
+    const claimed = new Set();
+    const unmatched = [];
+    for (const record of records) {
+      const candidate = record.matchValue ? byKey.get(this.matchKey(record.matchValue)) : null;
+      if (candidate && !claimed.has(candidate.id)) {
+        claimed.add(candidate.id);
+        matches.set(record.id, { record: candidate, link: taken.get(candidate.id) || null });
+      } else {
+        unmatched.push(record);
+      }
+    }
+    
+    if (this.descriptor.fuzzyMatch && unmatched.length > 0) {
+      await this.fuzzyMatchRecords(unmatched, source, matches, claimed);
+    }
+    return matches;
+  }
+  
+  // Phone and name + company rules for contacts the exact email match could not pair
+  async fuzzyMatchRecords(records, source, matches, claimed) {
+    const rules = this.matchingRules;
+    const other = source === 'salesforce' ? 'hubspot' : 'salesforce';
+    const processedOther = other === 'hubspot' ? this.processedHubSpotIds : this.processedSalesforceIds;
+    
+    const suggestions = await getSuggestedLinksFor(this.syncPairId, this.objectType, source, records.map(record => record.id));
+    const pending = new Set(suggestions.filter(row => row.status === 'pending').map(row => row[`${source}_id`]));
+    const rejected = new Set(suggestions.filter(row => row.status === 'rejected').map(row => `${row.salesforce_id}|${row.hubspot_id}`));
+    
+    const open = records.filter(record => {
+      if (pending.has(record.id)) {
+        matches.set(record.id, { suggested: true });
+        return false;
+      }
+      return true;
+    });
+    if (open.length === 0 || (!rules.phone && !rules.name_company)) {
+      return;
+    }
+    
+    const lastNames = [...new Set(open
+      .map(record => (source === 'salesforce' ? record.raw.LastName : record.raw.lastname))
+      .filter(Boolean))];
+    const phones = rules.phone ? [...new Set(open.map(record => normalizePhone(record.phone)).filter(Boolean))] : [];
+    
+    const candidates = new Map();
+    const found = source === 'salesforce'
+      ? [
+        ...await this.findCounterparts(source, 'lastname', lastNames),
+        // HubSpot keeps a digits-only copy of every contact phone number for search
+        ...await this.findCounterparts(source, 'hs_searchable_calculated_phone_number', phones)
+      ]
+      : [
+        ...await this.findCounterparts(source, 'LastName', lastNames),
+        ...await searchSalesforceByPhone(this.salesforceInstanceUrl, this.salesforceToken, this.objectType, phones, this.salesforceFields)
+      ];
+    for (const record of found) {
+      candidates.set(record.id, record);
+    }
+    
+    const taken = await this.loadLinks(`${other}_id`, [...candidates.keys()]);
+    const available = [...candidates.values()]
+      .filter(record => !taken.get(record.id)?.[`${source}_id`] && !processedOther.has(record.id));
+    
+    for (const record of open) {
+      let best = null;
+      for (const candidate of available) {
+        if (claimed.has(candidate.id)) {
+          continue;
+        }
+        const pairKey = source === 'salesforce' ? `${record.id}|${candidate.id}` : `${candidate.id}|${record.id}`;
+        if (rejected.has(pairKey)) {
+          continue;
+        }
+        const { score, rule } = scoreContactMatch(record, candidate, rules);
+        if (rule && (!best || score > best.score)) {
+          best = { candidate, score, rule };
+        }
+      }
+      
+      if (!best || best.score < rules.suggestion_threshold) {
+        continue;
+      }
+      
+      if (best.score >= rules.threshold) {
+        claimed.add(best.candidate.id);
+        matches.set(record.id, { record: best.candidate, link: taken.get(best.candidate.id) || null });
+        this.results.matches.fuzzy++;
+        console.log(`🔎 Matched ${this.objectType} ${record.id} to ${best.candidate.id} by ${best.rule} (${best.score.toFixed(2)})`);
+        continue;
+      }
+      
+      const salesforceRecord = source === 'salesforce' ? record : best.candidate;
+      const hubspotRecord = source === 'salesforce' ? best.candidate : record;
+      if (this.dryRun) {
+        matches.set(record.id, { suggested: true });
+        this.results.matches.suggested++;
+        continue;
+      }
+      await upsertSuggestedLink(this.userId, this.syncPairId, this.objectType, {
+        salesforce_id: salesforceRecord.id,
+        hubspot_id: hubspotRecord.id,
+        score: best.score,
+        rule: best.rule,
+        salesforce_label: recordLabel(salesforceRecord),
+        hubspot_label: recordLabel(hubspotRecord)
+      });
+      matches.set(record.id, { suggested: true });
+      this.results.matches.suggested++;
+    }
+  }
+  
+  // Deletions and merges since the watermark (or the last 29 days on a full run).
+  // Merges repoint the stored ids, deletions tombstone the link row and apply the
+  // user's deletion policy to the record left in the other CRM.
+  async detectDeletionsAndMerges(watermarks) {
+    const { salesforceObject, hubspotObject } = this.descriptor;
+    const fallback = new Date(Date.now() - 29 * 24 * 60 * 60 * 1000);
+    const salesforceSince = watermarks.salesforce || fallback;
+    const hubspotSince = watermarks.hubspot || fallback;
+    
+    try {
+      const salesforceDeleted = await fetchSalesforceDeletedRecords(
+        this.salesforceInstanceUrl, this.salesforceToken, salesforceObject, salesforceSince
+      );
+      for (const record of salesforceDeleted.filter(deleted => deleted.mergedInto)) {
+        await this.handleMerge('salesforce', record.id, record.mergedInto);
+      }
+      
+      const mergedIds = new Set(salesforceDeleted.filter(deleted => deleted.mergedInto).map(deleted => deleted.id));
+      const deletedIds = new Set([
+        ...salesforceDeleted.filter(deleted => !deleted.mergedInto).map(deleted => deleted.id),
+        ...(await fetchSalesforceDeletedIds(this.salesforceInstanceUrl, this.salesforceToken, salesforceObject, salesforceSince))
+      ]);
+      await this.tombstoneDeleted('salesforce', [...deletedIds].filter(id => !mergedIds.has(id)));
+      
+      for (const merge of await fetchHubSpotMerges(this.hubspotToken, hubspotObject, hubspotSince)) {
+        for (const mergedId of merge.mergedIds) {
+          await this.handleMerge('hubspot', mergedId, merge.winnerId);
+        }
+      }
+      await this.tombstoneDeleted('hubspot', await fetchHubSpotArchivedIds(this.hubspotToken, hubspotObject, hubspotSince));
+    } catch (error) {
+      console.error(`❌ Deletion detection failed for ${this.objectType}:`, error.message);
+      this.results.errors.push({ object_type: this.objectType, record: null, error: `Deletion detection failed: ${error.message}` });
+    }
+  }
+  
+  async handleMerge(provider, mergedId, survivorId) {
+    const column = `${provider}_id`;
+    const [mergedLink] = (await this.loadLinks(column, [mergedId])).values();
+    if (!mergedLink || mergedLink.sync_status === 'tombstoned') {
+      return;
+    }
+    
+    const [survivorLink] = (await this.loadLinks(column, [survivorId])).values();
+    if (!survivorLink) {
+      // The survivor takes over the merged record's link, its counterpart stays paired
+      if (this.dryRun) {
+        this.plan.deletions.push({ object_type: this.objectType, action: 'repoint', system: provider, record_id: mergedId, merged_into: survivorId });
+        return;
+      }
+      await pool.query(`UPDATE ${this.descriptor.linkTable} SET ${column} = $1 WHERE id = $2`, [survivorId, mergedLink.id]);
+      this.results.tombstones.repointed++;
+      console.log(`🔀 ${provider} ${this.objectType} ${mergedId} merged into ${survivorId}, link repointed`);
+      return;
+    }
+    
+    // Both were linked, so the merged record's counterpart is now a duplicate
+    await this.tombstone(mergedLink, provider, 'merged', survivorId);
+  }
+  
+  async tombstoneDeleted(provider, ids) {
+    const column = `${provider}_id`;
+    for (let i = 0; i < ids.length; i += HUBSPOT_PAGE_SIZE) {
+      const links = await this.loadLinks(column, ids.slice(i, i + HUBSPOT_PAGE_SIZE));
+      for (const link of links.values()) {
+        if (link.sync_status !== 'tombstoned') {
+          await this.tombstone(link, provider, 'deleted', null);
+        }
+      }
+    }
+  }
+  
+  async tombstone(link, deletedIn, reason, mergedInto) {
+    const policy = DELETION_POLICIES.includes(this.syncSettings.deletion_policy)
+      ? this.syncSettings.deletion_policy
+      : DEFAULT_DELETION_POLICY;
+    
+    if (this.dryRun) {
+      this.plan.deletions.push({
+        object_type: this.objectType,
+        action: 'tombstone',
+        system: deletedIn,
+        reason,
+        policy,
+        salesforce_id: link.salesforce_id,
+        hubspot_id: link.hubspot_id,
+        merged_into: mergedInto
+      });
+      return;
+    }
+    
+    await pool.query(
+      `UPDATE ${this.descriptor.linkTable} SET sync_status = 'tombstoned', tombstoned_at = NOW(), deleted_in = $1,
+       tombstone_reason = $2, merged_into = $3, tombstone_action = 'flagged' WHERE id = $4`,
+      [deletedIn, reason, mergedInto, link.id]
+    );
+    this.results.tombstones.tombstoned++;
+    console.log(`🪦 ${this.objectType} link ${link.id} tombstoned, ${reason} in ${deletedIn} (policy ${policy})`);
+    
+    if (policy === 'flag') {
+      this.results.tombstones.flagged++;
+      return;
+    }
+    
+    try {
+      const action = await applyTombstonePolicy(this.objectType, link, deletedIn, policy, {
+        salesforceToken: this.salesforceToken,
+        salesforceInstanceUrl: this.salesforceInstanceUrl,
+        hubspotToken: this.hubspotToken
+      });
+      this.results.tombstones[action]++;
+    } catch (error) {
+      // Stays flagged so someone can finish it from the review list
+      console.error(`❌ Failed to apply ${policy} to ${this.objectType} link ${link.id}:`, error.message);
+      this.results.errors.push({ object_type: this.objectType, record: link.salesforce_id || link.hubspot_id, error: error.message });
+    }
+  }
+  
+  // Associations are translated through the link tables once both ends of a link are synced,
+  // so a parent that was never synced (or is switched off) leaves the association alone
+  async syncAssociations() {
+    const parent = PARENT_ASSOCIATIONS[this.objectType];
+    if (parent && this.enabledObjectTypes.includes(parent.parentType)) {
+      await this.syncParentAssociations(parent);
+    }
+    if (this.objectType === 'deals' && this.enabledObjectTypes.includes('contacts')) {
+      await this.syncDealContacts();
+    }
+  }
+  
+  // Contact -> Account and Opportunity -> Account lookups against HubSpot company associations.
+  // Whichever side moved since the last sync is copied to the other one, Salesforce first.
+  async syncParentAssociations(spec) {
+    const parentDescriptor = SYNC_OBJECT_TYPES[spec.parentType];
+    const parentTable = parentDescriptor.linkTable;
+    
+    for (let i = 0; i < this.touchedRecords.length; i += HUBSPOT_PAGE_SIZE) {
+      const chunk = this.touchedRecords.slice(i, i + HUBSPOT_PAGE_SIZE);
+      const links = await this.loadLinks('salesforce_id', chunk.map(record => record.salesforceId));
+      const hubspotParents = await readHubSpotAssociations(
+        this.hubspotToken, this.descriptor.hubspotObject, parentDescriptor.hubspotObject, chunk.map(record => record.hubspotId)
+      );
+      
+      const parentsBySalesforceId = await this.loadLinks(
+        'salesforce_id', chunk.map(record => record.salesforceParentId).filter(Boolean), parentTable
+      );
+      const parentsByHubSpotId = await this.loadLinks('hubspot_id', [...hubspotParents.values()].flat(), parentTable);
+      const parentsById = await this.loadLinks(
+        'id', [...links.values()].map(link => link[spec.linkColumn]).filter(Boolean), parentTable
+      );
+      for (const parentLink of [...parentsBySalesforceId.values(), ...parentsByHubSpotId.values()]) {
+        parentsById.set(parentLink.id, parentLink);
+      }
+      
+      for (const record of chunk) {
+        const link = links.get(record.salesforceId);
+        // A lookup to a parent that is not synced cannot be translated
+        if (!link || (record.salesforceParentId && !parentsBySalesforceId.has(record.salesforceParentId))) {
+          continue;
+        }
+        
+        try {
+          const last = link[spec.linkColumn] || null;
+          const salesforceParent = record.salesforceParentId ? parentsBySalesforceId.get(record.salesforceParentId).id : null;
+          const hubspotParentIds = (hubspotParents.get(record.hubspotId) || [])
+            .map(hubspotId => parentsByHubSpotId.get(hubspotId)?.id)
+            .filter(Boolean);
+          let next = last;
+          
+          if (salesforceParent !== last) {
+            // Moved in Salesforce: drop the old HubSpot association and add the new one.
+            // Other companies someone associated by hand in HubSpot are left in place.
+            next = salesforceParent;
+            let written = false;
+            if (last && hubspotParentIds.includes(last) && parentsById.get(last)) {
+              await removeHubSpotAssociation(
+                this.hubspotToken, this.descriptor.hubspotObject, record.hubspotId, parentDescriptor.hubspotObject, parentsById.get(last).hubspot_id
+              );
+              this.results.associations.hubspot_removed++;
+              written = true;
+            }
+            if (next && !hubspotParentIds.includes(next)) {
+              await associateHubSpotRecords(
+                this.hubspotToken, this.descriptor.hubspotObject, record.hubspotId, parentDescriptor.hubspotObject, parentsById.get(next).hubspot_id
+              );
+              this.results.associations.hubspot_added++;
+              written = true;
+            }
+            if (written) {
+              await this.journal('hubspot', record.hubspotId, 'update', [{
+                field: `${ASSOCIATION_FIELD_PREFIX}${parentDescriptor.hubspotObject}`,
+                before: parentsById.get(last)?.hubspot_id ?? null,
+                after: next ? parentsById.get(next).hubspot_id : null
+              }]);
+            }
+          } else if (!(last && hubspotParentIds.includes(last)) && (last || hubspotParentIds.length > 0)) {
+            // Moved (or removed) in HubSpot only, Salesforce takes its first synced company
+            next = hubspotParentIds[0] || null;
+            const salesforceParentId = next ? parentsById.get(next).salesforce_id : null;
+            await updateSalesforceRecord(this.salesforceInstanceUrl, this.salesforceToken, this.descriptor.salesforceObject, record.salesforceId, {
+              [spec.salesforceField]: salesforceParentId
+            });
+            await this.journal('salesforce', record.salesforceId, 'update', [{
+              field: spec.salesforceField,
+              before: record.salesforceParentId || null,
+              after: salesforceParentId
+            }]);
+            this.results.associations.salesforce_updated++;
+          }
+          
+          if (next !== last) {
+            await pool.query(
+              `UPDATE ${this.descriptor.linkTable} SET ${spec.linkColumn} = $1 WHERE id = $2`,
+              [next, link.id]
+            );
+          }
+        } catch (error) {
+          console.error(`❌ Failed to sync ${this.objectType} ${record.salesforceId} -> ${spec.parentType} association:`, error.message);
+          this.results.errors.push({ object_type: this.objectType, record: record.salesforceId, error: error.message });
+        }
+      }
+    }
+  }
+  
+  // Opportunity contact roles against HubSpot deal -> contact associations. deal_contacts
+  // holds the set agreed on after the last sync, so additions and removals on either side
+  // can be told apart.
+  async syncDealContacts() {
+    for (let i = 0; i < this.touchedRecords.length; i += HUBSPOT_PAGE_SIZE) {
+      const chunk = this.touchedRecords.slice(i, i + HUBSPOT_PAGE_SIZE);
+      const links = await this.loadLinks('salesforce_id', chunk.map(record => record.salesforceId));
+      const roles = await fetchOpportunityContactRoles(this.salesforceInstanceUrl, this.salesforceToken, chunk.map(record => record.salesforceId));
+      const hubspotContacts = await readHubSpotAssociations(this.hubspotToken, 'deals', 'contacts', chunk.map(record => record.hubspotId));
+      
+      const dealIds = [...links.values()].map(link => link.id);
+      const snapshot = dealIds.length > 0
+        ? (await pool.query('SELECT * FROM deal_contacts WHERE deal_id = ANY($1)', [dealIds])).rows
+        : [];
+      
+      const contactsBySalesforceId = await this.loadLinks('salesforce_id', roles.map(role => role.ContactId), 'contacts');
+      const contactsByHubSpotId = await this.loadLinks('hubspot_id', [...hubspotContacts.values()].flat(), 'contacts');
+      const contactsById = await this.loadLinks('id', snapshot.map(row => row.contact_id), 'contacts');
+      for (const contactLink of [...contactsBySalesforceId.values(), ...contactsByHubSpotId.values()]) {
+        contactsById.set(contactLink.id, contactLink);
+      }
+      
+      for (const record of chunk) {
+        const link = links.get(record.salesforceId);
+        if (!link) {
+          continue;
+        }
+        
+        try {
+          // contact link id -> Salesforce role id, contacts that are not synced are ignored
+          const salesforceSide = new Map(roles
+            .filter(role => role.OpportunityId === record.salesforceId && contactsBySalesforceId.has(role.ContactId))
+            .map(role => [contactsBySalesforceId.get(role.ContactId).id, role.Id]));
+          const hubspotSide = new Set((hubspotContacts.get(record.hubspotId) || [])
+            .map(hubspotId => contactsByHubSpotId.get(hubspotId)?.id)
+            .filter(Boolean));
+          const last = new Set(snapshot.filter(row => row.deal_id === link.id).map(row => row.contact_id));
+          const agreed = new Map();
+          
+          for (const [contactId, roleId] of salesforceSide) {
+            if (!last.has(contactId) && !hubspotSide.has(contactId)) {
+              await associateHubSpotRecords(this.hubspotToken, 'deals', record.hubspotId, 'contacts', contactsById.get(contactId).hubspot_id);
+              await this.journal('hubspot', record.hubspotId, 'create', [{ field: `${ASSOCIATION_FIELD_PREFIX}contacts`, before: null, after: contactsById.get(contactId).hubspot_id }]);
+              this.results.associations.hubspot_added++;
+            } else if (last.has(contactId) && !hubspotSide.has(contactId)) {
+              // Removed in HubSpot
+              await deleteSalesforceRecord(this.salesforceInstanceUrl, this.salesforceToken, 'OpportunityContactRole', roleId);
+              await this.journal('salesforce', record.salesforceId, 'delete', [{ field: 'OpportunityContactRole', before: contactsById.get(contactId).salesforce_id, after: null }]);
+              this.results.associations.salesforce_updated++;
+              continue;
+            }
+            agreed.set(contactId, roleId);
+          }
+          
+          for (const contactId of hubspotSide) {
+            if (salesforceSide.has(contactId)) {
+              continue;
+            }
+            if (last.has(contactId)) {
+              // Removed in Salesforce
+              await removeHubSpotAssociation(this.hubspotToken, 'deals', record.hubspotId, 'contacts', contactsById.get(contactId).hubspot_id);
+              await this.journal('hubspot', record.hubspotId, 'delete', [{ field: `${ASSOCIATION_FIELD_PREFIX}contacts`, before: contactsById.get(contactId).hubspot_id, after: null }]);
+              this.results.associations.hubspot_removed++;
+              continue;
+            }
+            const roleId = await createSalesforceRecord(this.salesforceInstanceUrl, this.salesforceToken, 'OpportunityContactRole', {
+              OpportunityId: record.salesforceId,
+              ContactId: contactsById.get(contactId).salesforce_id
+            });
+            await this.journal('salesforce', record.salesforceId, 'create', [{ field: 'OpportunityContactRole', before: null, after: contactsById.get(contactId).salesforce_id }]);
+            this.results.associations.salesforce_updated++;
+            agreed.set(contactId, roleId);
+          }
+          
+          await pool.query('DELETE FROM deal_contacts WHERE deal_id = $1', [link.id]);
+          for (const [contactId, roleId] of agreed) {
+            await pool.query(
+              'INSERT INTO deal_contacts (deal_id, contact_id, salesforce_role_id) VALUES ($1, $2, $3)',
+              [link.id, contactId, roleId]
+            );
+          }
+        } catch (error) {
+          console.error(`❌ Failed to sync contacts of deal ${record.salesforceId}:`, error.message);
+          this.results.errors.push({ object_type: 'deals', record: record.salesforceId, error: error.message });
+        }
+      }
+    }
+  }
+  
+  // Works out the writes for one pair. They go out with the rest of the page in flushWrites,
+  // Salesforce creates of an initial backfill wait until the end of the pass so a large
+  // backfill can be sent as one Bulk API job.
+  async syncPair(pair) {
+    try {
+      const write = await this.reconcilePair(pair);
+      if (this.dryRun) {
+        this.completePair(write);
+      } else if (write.salesforce?.action === 'create' && this.objectResults.sync_mode === 'full') {
+        this.backfillWrites.push(write);
+      } else {
+        this.pendingWrites.push(write);
+      }
+    } catch (error) {
+      this.failPair(pair, error.message);
+    }
+  }
+  
+  completePair({ pair, salesforceId, hubspotId }) {
+    this.processedSalesforceIds.add(salesforceId);
+    this.processedHubSpotIds.add(hubspotId);
+    // A Salesforce record created from HubSpot in this run has no lookup yet
+    this.touchedRecords.push({ salesforceId, hubspotId, salesforceParentId: pair.salesforce?.raw.AccountId || null });
+    this.objectResults.processed++;
+    this.results.records_processed++;
+  }
+  
+  // One bad record should not stop the rest of the run
+  failPair(pair, message) {
+    const record = pair.salesforce?.matchValue || pair.hubspot?.matchValue || pair.salesforce?.id || pair.hubspot?.id;
+    console.error(`❌ Failed to sync ${this.objectType} record ${record}:`, message);
+    this.objectResults.errors++;
+    this.results.errors.push({ object_type: this.objectType, record, error: message });
+  }
+  
+  // Sends collected writes in batches, HubSpot first, and then saves the link of every pair
+  // whose writes all went through. A record either CRM rejects fails on its own. When the
+  // HubSpot side of a pair fails its Salesforce side is not sent, like a single-record sync.
+  async flushWrites(writes) {
+    if (writes.length === 0) {
+      return;
+    }
+    
+    for (const system of ['hubspot', 'salesforce']) {
+      for (const action of ['create', 'update']) {
+        await this.sendWrites(system, action, writes.filter(write => !write.error && write[system]?.action === action));
+      }
+    }
+    
+    for (const write of writes) {
+      if (write.error) {
+        this.failPair(write.pair, write.error);
+        continue;
+      }
+      try {
+        await this.saveLink(write.link, write.salesforceId, write.hubspotId, write.syncedValues, write.record);
+        this.completePair(write);
+      } catch (error) {
+        this.failPair(write.pair, error.message);
+      }
+    }
+  }
+  
+  async sendWrites(system, action, writes) {
+    if (writes.length === 0) {
+      return;
+    }
+    const { salesforceObject, hubspotObject } = this.descriptor;
+    const bulk = system === 'salesforce' && action === 'create' && writes.length >= SALESFORCE_BULK_THRESHOLD;
+    const size = bulk ? writes.length : system === 'hubspot' ? HUBSPOT_PAGE_SIZE : SALESFORCE_COLLECTION_SIZE;
+    
+    for (let i = 0; i < writes.length; i += size) {
+      const chunk = writes.slice(i, i + size);
+      let results;
+      try {
+        if (system === 'hubspot') {
+          results = await saveHubSpotObjectsBatch(this.hubspotToken, hubspotObject, action, chunk.map(write => ({
+            id: write.hubspotId,
+            properties: write.hubspot.values
+          })));
+        } else {
+          const records = chunk.map(write => (action === 'create' ? write.salesforce.values : { Id: write.salesforceId, ...write.salesforce.values }));
+          results = bulk
+            ? await bulkInsertSalesforceRecords(this.salesforceInstanceUrl, this.salesforceToken, salesforceObject, records)
+            : await saveSalesforceRecords(this.salesforceInstanceUrl, this.salesforceToken, salesforceObject, action === 'create' ? 'POST' : 'PATCH', records);
+        }
+      } catch (error) {
+        // The whole request failed, so did every record in it
+        results = chunk.map(() => ({ id: null, error: error.message }));
+      }
+      
+      for (const [index, write] of chunk.entries()) {
+        await this.applyWriteResult(system, write, results[index]);
+      }
+    }
+  }
+  
+  async applyWriteResult(system, write, result) {
+    const { action, values, currentValue } = write[system];
+    if (result.error) {
+      write.error = `${system === 'hubspot' ? 'HubSpot' : 'Salesforce'} ${action} failed: ${result.error}`;
+      return;
+    }
+    
+    if (action === 'create') {
+      write[`${system}Id`] = result.id;
+    }
+    this.objectResults[`${system}_${action}d`]++;
+    try {
+      await this.journal(system, write[`${system}Id`], action, action === 'create' ? createdFieldChanges(values) : updatedFieldChanges(values, currentValue));
+    } catch (error) {
+      write.error = error.message;
+    }
+  }
+  
+  // The writes one pair needs as { action, values, currentValue } per CRM, plus what saveLink stores
+  async reconcilePair(pair) {
+    const { salesforce, hubspot, link } = pair;
+    
+    if (salesforce && !hubspot) {
+      const values = this.salesforceValues(salesforce);
+      const hubspotMappings = this.mappings.filter(mapping => mapping.direction !== 'hubspot_to_salesforce');
+      const properties = {
+        ...(this.descriptor.hubspotCreateDefaults ? this.descriptor.hubspotCreateDefaults(this.syncSettings) : {}),
+        ...this.toHubSpotProperties(values, hubspotMappings)
+      };
+      if (this.dryRun) {
+        this.planCreate('hubspot', salesforce, properties);
+      }
+      return {
+        pair,
+        link,
+        salesforceId: salesforce.id,
+        hubspotId: null,
+        syncedValues: values,
+        record: salesforce,
+        hubspot: { action: 'create', values: properties }
+      };
+    }
+    
+    if (hubspot && !salesforce) {
+      const values = this.hubspotValues(hubspot);
+      const salesforceMappings = this.mappings.filter(mapping => mapping.direction !== 'salesforce_to_hubspot');
+      const salesforceFields = this.toSalesforceFields(values, salesforceMappings, hubspot);
+      // Fields Salesforce requires on create are filled in even when they are not mapped
+      for (const [field, value] of Object.entries(this.descriptor.salesforceRequiredFields(hubspot))) {
+        if (!salesforceFields[field]) {
+          salesforceFields[field] = value;
+        }
+      }
+      if (this.dryRun) {
+        this.planCreate('salesforce', hubspot, salesforceFields);
+      }
+      return {
+        pair,
+        link,
+        salesforceId: null,
+        hubspotId: hubspot.id,
+        syncedValues: values,
+        record: hubspot,
+        salesforce: { action: 'create', values: salesforceFields }
+      };
+    }
+    
+    // Work out which side changed each mapped field since the last sync
+    const salesforceValues = this.salesforceValues(salesforce);
+    const hubspotValues = this.hubspotValues(hubspot);
+    const lastSyncedValues = this.lastSyncedValues(link);
+    const merged = {};
+    const hubspotChanges = [];
+    const salesforceChanges = [];
+    const email = (salesforce.email || hubspot.email || '').toLowerCase();
+    let hasConflict = false;
+    
+    for (const mapping of this.mappings) {
+      const field = mapping.key;
+      const sfValue = salesforceValues[field];
+      const hsValue = hubspotValues[field];
+      merged[field] = sfValue;
+      
+      if (sfValue === hsValue) {
+        const openConflictId = this.pendingConflicts.get(`${email}|${field}`);
+        if (openConflictId && !this.dryRun) {
+          // Someone fixed it by hand in one of the CRMs, the queue entry is no longer needed
+          await markConflictApplied(openConflictId);
+          this.pendingConflicts.delete(`${email}|${field}`);
+        }
+        continue;
+      }
+      
+      // Never synced before counts as changed on both sides
+      const lastSynced = lastSyncedValues ? normalizeSyncValue(lastSyncedValues[field]) : null;
+      const salesforceChanged = lastSynced === null || sfValue !== lastSynced;
+      const hubspotChanged = lastSynced === null || hsValue !== lastSynced;
+      let winner;
+      
+      if (mapping.direction === 'salesforce_to_hubspot') {
+        winner = 'salesforce';
+      } else if (mapping.direction === 'hubspot_to_salesforce') {
+        winner = 'hubspot';
+      } else if (this.pendingConflicts.has(`${email}|${field}`)) {
+        // Still waiting in the review queue, keep the values we last agreed on
+        merged[field] = lastSynced === null ? sfValue : lastSynced;
+        await this.queueConflict(email, field, salesforce, hubspot, sfValue, hsValue);
+        continue;
+      } else if (salesforceChanged && hubspotChanged) {
+        hasConflict = true;
+        const { policy, winner: chosen } = this.resolveConflict(field, salesforce, hubspot);
+        winner = chosen;
+        
+        if (policy === 'manual' && winner === null) {
+          merged[field] = lastSynced === null ? sfValue : lastSynced;
+          await this.queueConflict(email, field, salesforce, hubspot, sfValue, hsValue);
+          this.results.conflicts_queued++;
+          winner = 'manual_review';
+        }
+        
+        const decision = {
+          object_type: this.objectType,
+          email: salesforce.email || hubspot.email || null,
+          salesforce_id: salesforce.id,
+          hubspot_id: hubspot.id,
+          field,
+          salesforce_value: sfValue,
+          hubspot_value: hsValue,
+          policy,
+          winner
+        };
+        if (this.dryRun) {
+          this.plan.conflicts.push(decision);
+        } else {
+          await createConflictDecision(this.syncLogId, this.userId, decision);
+        }
+        
+        if (winner === 'manual_review') {
+          continue;
+        }
+      } else {
+        winner = hubspotChanged ? 'hubspot' : 'salesforce';
+      }
+      
+      // The winning value is written back to the other CRM
+      if (winner === 'hubspot') {
+        merged[field] = hsValue;
+        salesforceChanges.push(mapping);
+      } else {
+        hubspotChanges.push(mapping);
+      }
+    }
+    
+    if (hasConflict) {
+      this.results.conflicts++;
+    }
+    
+    const hubspotProperties = this.toHubSpotProperties(merged, hubspotChanges);
+    const salesforceFields = this.toSalesforceFields(merged, salesforceChanges, hubspot);
+    
+    if (this.dryRun) {
+      this.planUpdate(salesforce, hubspot, hubspotProperties, salesforceFields);
+    }
+    
+    return {
+      pair,
+      link,
+      salesforceId: salesforce.id,
+      hubspotId: hubspot.id,
+      syncedValues: merged,
+      record: salesforce,
+      hubspot: hubspotChanges.length > 0
+        ? { action: 'update', values: hubspotProperties, currentValue: field => hubspot.raw[field] }
+        : null,
+      salesforce: Object.keys(salesforceFields).length > 0
+        ? { action: 'update', values: salesforceFields, currentValue: field => getSalesforceValue(salesforce.raw, field) }
+        : null
+    };
+  }
+  
+  planCreate(system, source, fields) {
+    this.plan.creates.push({
+      object_type: this.objectType,
+      system,
+      source_id: source.id,
+      label: recordLabel(source),
+      fields
+    });
+    this.objectResults[`${system}_created`]++;
+  }
+  
+  // Before values are the target CRM's current ones, after values what the sync would write
+  planUpdate(salesforce, hubspot, hubspotProperties, salesforceFields) {
+    const changes = [
+      ...updatedFieldChanges(hubspotProperties, field => hubspot.raw[field]).map(change => ({ system: 'hubspot', ...change })),
+      ...updatedFieldChanges(salesforceFields, field => getSalesforceValue(salesforce.raw, field)).map(change => ({ system: 'salesforce', ...change }))
+    ];
+    if (changes.length === 0) {
+      return;
+    }
+    
+    this.plan.updates.push({
+      object_type: this.objectType,
+      salesforce_id: salesforce.id,
+      hubspot_id: hubspot.id,
+      label: recordLabel(salesforce),
+      changes
+    });
+    if (changes.some(change => change.system === 'hubspot')) {
+      this.objectResults.hubspot_updated++;
+    }
+    if (changes.some(change => change.system === 'salesforce')) {
+      this.objectResults.salesforce_updated++;
+    }
+  }
+  
+  async journal(system, recordId, action, changes) {
+    await recordSyncChanges(this.syncLogId, this.userId, this.objectType, system, recordId, action, changes);
+  }
+  
+  salesforceValues(record) {
+    const values = {};
+    for (const mapping of this.mappings) {
+      // Values are compared in HubSpot's terms, so transforms run on the way out of Salesforce
+      values[mapping.key] = applyTransforms(
+        mapping.transforms,
+        normalizeSyncValue(getSalesforceValue(record.raw, mapping.salesforce), mapping.type),
+        { direction: 'to_hubspot', source: field => normalizeSyncValue(getSalesforceValue(record.raw, field)) }
+      );
+    }
+    return values;
+  }
+  
+  hubspotValues(record) {
+    const values = {};
+    for (const mapping of this.mappings) {
+      values[mapping.key] = normalizeSyncValue(record.raw[mapping.hubspot], mapping.type);
+    }
+    return values;
+  }
+  
+  // Values both CRMs agreed on after the last run, or null if the pair was never synced
+  lastSyncedValues(link) {
+    if (!link) {
+      return null;
+    }
+    if (link.synced_values) {
+      return link.synced_values;
+    }
+    if (this.objectType !== 'contacts') {
+      return null;
+    }
+    
+    // Contact rows written before field mappings only carry the fixed columns
+    const { first, last } = splitName(link.name);
+    return { firstname: first, lastname: last, email: link.email, phone: link.phone, company: link.company };
+  }
+  
+  async queueConflict(email, field, salesforce, hubspot, salesforceValue, hubspotValue) {
+    if (this.dryRun) {
+      return;
+    }
+    const conflictId = await upsertOpenConflict(this.userId, this.syncPairId, {
+      email,
+      field,
+      salesforce_id: salesforce.id,
+      hubspot_id: hubspot.id,
+      salesforce_value: salesforceValue,
+      hubspot_value: hubspotValue
+    });
+    if (conflictId) {
+      this.pendingConflicts.set(`${email}|${field}`, conflictId);
+    }
+  }
+  
+  // Push values picked in the review queue to both CRMs before the regular contact pass
+  async applyResolvedConflicts() {
+    const pending = await getPendingConflicts(this.syncPairId);
+    
+    for (const conflict of pending) {
+      if (conflict.status === 'open') {
+        this.pendingConflicts.set(`${conflict.email}|${conflict.field}`, conflict.id);
+        continue;
+      }
+      
+      const mapping = this.mappings.find(candidate => candidate.key === conflict.field);
+      if (this.dryRun) {
+        if (mapping) {
+          this.plan.updates.push({
+            object_type: 'contacts',
+            salesforce_id: conflict.salesforce_id,
+            hubspot_id: conflict.hubspot_id,
+            label: conflict.email,
+            changes: [{ system: 'both', field: conflict.field, before: null, after: conflict.resolved_value || '', reason: 'Resolved in conflict review' }]
+          });
+        }
+        continue;
+      }
+      if (!mapping) {
+        // The field is no longer mapped, there is nothing left to write
+        console.log(`ℹ️ Dropping resolved conflict ${conflict.id}, ${conflict.field} is no longer mapped`);
+        await markConflictApplied(conflict.id);
+        continue;
+      }
+      
+      try {
+        const values = { [mapping.key]: conflict.resolved_value || '' };
+        
+        // The values queued with the conflict are the best record of what each side held
+        if (conflict.hubspot_id) {
+          const hubspotProperties = this.toHubSpotProperties(values, [mapping]);
+          await updateHubSpotObject(this.hubspotToken, 'contacts', conflict.hubspot_id, hubspotProperties);
+          await this.journal('hubspot', conflict.hubspot_id, 'update', updatedFieldChanges(hubspotProperties, () => conflict.hubspot_value));
+        }
+        const salesforceFields = this.toSalesforceFields(values, [mapping]);
+        if (conflict.salesforce_id && Object.keys(salesforceFields).length > 0) {
+          await updateSalesforceRecord(this.salesforceInstanceUrl, this.salesforceToken, 'Contact', conflict.salesforce_id, salesforceFields);
+          await this.journal('salesforce', conflict.salesforce_id, 'update', updatedFieldChanges(salesforceFields, () => conflict.salesforce_value));
+        }
+        
+        await pool.query(
+          `UPDATE contacts SET synced_values = COALESCE(synced_values, '{}'::jsonb) || $1::jsonb, last_synced = NOW()
+           WHERE sync_pair_id = $2 AND salesforce_id = $3 AND hubspot_id = $4`,
+          [JSON.stringify(values), this.syncPairId, conflict.salesforce_id, conflict.hubspot_id]
+        );
+        
+        await markConflictApplied(conflict.id);
+        this.results.conflicts_applied++;
+        console.log(`✅ Applied resolved conflict ${conflict.id} (${conflict.email} ${conflict.field})`);
+      } catch (error) {
+        // Stays resolved and is retried on the next run
+        console.error(`❌ Failed to apply resolved conflict ${conflict.id}:`, error.message);
+        this.results.errors.push({ object_type: 'contacts', record: conflict.email, error: error.message });
+      }
+    }
+  }
+  
+  resolveConflict(field, salesforce, hubspot) {
+    const policy = CONFLICT_POLICIES.includes(this.syncSettings.conflict_policy)
+      ? this.syncSettings.conflict_policy
+      : DEFAULT_CONFLICT_POLICY;
+    
+    switch (policy) {
+      case 'manual':
+        // The review queue is keyed by contact email, other objects keep Salesforce's value
+        return { policy, winner: this.objectType === 'contacts' ? null : 'salesforce' };
+      case 'hubspot_wins':
+        return { policy, winner: 'hubspot' };
+      case 'most_recent': {
+        // Neither CRM exposes per-field history through these APIs, so compare record timestamps
+        const sfModified = salesforce.modifiedAt ? new Date(salesforce.modifiedAt) : null;
+        const hsModified = hubspot.modifiedAt ? new Date(hubspot.modifiedAt) : null;
+        const winner = hsModified && (!sfModified || hsModified > sfModified) ? 'hubspot' : 'salesforce';
+        return { policy, winner };
+      }
+      case 'field_level': {
+        const source = this.syncSettings.field_sources?.[field];
+        return { policy, winner: source === 'hubspot' ? 'hubspot' : 'salesforce' };
+      }
+      default:
+        return { policy, winner: 'salesforce' };
+    }
+  }
+  
+  toHubSpotProperties(values, mappings) {
+    const properties = {};
+    for (const mapping of mappings) {
+      properties[mapping.hubspot] = values[mapping.key] ?? '';
+    }
+    return properties;
+  }
+  
+  // `hubspot` is the record the values came from, transforms such as join_name read other properties from it
+  toSalesforceFields(values, mappings, hubspot = null) {
+    const sfFields = {};
+    for (const mapping of mappings) {
+      if (mapping.salesforce.includes('.')) {
+        continue;
+      }
+      const value = applyTransforms(mapping.transforms, values[mapping.key] ?? '', {
+        direction: 'to_salesforce',
+        source: field => values[field] ?? normalizeSyncValue(hubspot?.raw[field]),
+        targetLength: this.salesforceFieldLengths[mapping.salesforce] || null
+      });
+      // Salesforce clears a field with null, not an empty string
+      sfFields[mapping.salesforce] = value === '' ? null : value;
+    }
+    return sfFields;
+  }
+  
+  // Field lengths for truncate transforms without their own length, from the cached describe
+  async loadSalesforceFieldLengths() {
+    const needsLengths = this.mappings.some(mapping =>
+      mapping.transforms.some(transform => transform.type === 'truncate' && !transform.length));
+    if (!needsLengths) {
+      return {};
+    }
+    
+    const { fields } = await getObjectSchema(this.userId, 'salesforce', this.objectType, {
+      salesforceConnectionId: this.salesforceConnectionId,
+      salesforceToken: this.salesforceToken,
+      salesforceInstanceUrl: this.salesforceInstanceUrl
+    });
+    return Object.fromEntries(fields.filter(field => field.length).map(field => [field.name, field.length]));
+  }
+  
+  // Id link rows live in the object's own table (contacts, companies, deals)
+  async saveLink(link, salesforceId, hubspotId, syncedValues, record) {
+    const { linkTable, linkColumns } = this.descriptor;
+    const columnValues = linkColumns.map(column => record[column] ?? null);
+    
+    if (link) {
+      const assignments = linkColumns.map((column, index) => `${column} = $${index + 3}`).join(', ');
+      await pool.query(
+        `UPDATE ${linkTable} SET salesforce_id = $1, hubspot_id = $2, ${assignments},
+         synced_values = $${linkColumns.length + 3}, last_synced = NOW(), sync_status = 'synced' WHERE id = $${linkColumns.length + 4}`,
+        [salesforceId, hubspotId, ...columnValues, JSON.stringify(syncedValues), link.id]
+      );
+    } else {
+      const placeholders = linkColumns.map((column, index) => `$${index + 5}`).join(', ');
+      await pool.query(
+        `INSERT INTO ${linkTable} (user_id, sync_pair_id, salesforce_id, hubspot_id, ${linkColumns.join(', ')}, synced_values)
+         VALUES ($1, $2, $3, $4, ${placeholders}, $${linkColumns.length + 5})`,
+        [this.userId, this.syncPairId, salesforceId, hubspotId, ...columnValues, JSON.stringify(syncedValues)]
+      );
+    }
+  }
+}
+
+// Sync job queue. Syncs run from sync_jobs rows instead of inside the request that asked
+// for them, so they survive restarts and long runs. Workers claim one job at a time with
+// FOR UPDATE SKIP LOCKED and hold it for SYNC_JOB_VISIBILITY_MS, extending the lock while the
+// sync runs. A job whose lock lapses (its process died) is claimed again, failed attempts are
+// retried with backoff until max_attempts.
+const SYNC_JOB_VISIBILITY_MS = 10 * 60 * 1000;
+const SYNC_JOB_POLL_MS = 5000;
+const SYNC_JOB_RETRY_BASE_MS = 30 * 1000;
+// Paused jobs are waiting for API quota, see pauseSyncJob
+const ACTIVE_SYNC_JOB_STATUSES = ['queued', 'running', 'paused'];
+
+// A sync pair has at most one queued or running full sync (and one dry run), asking again returns that one
+async function enqueueSyncJob(userId, syncPairId, trigger = 'manual', options = {}, kind = 'full') {
+  const active = await getActiveSyncJob(syncPairId, kind);
+  if (active) {
+    return { job: active, created: false };
+  }
+  
+  const result = await pool.query(
+    'INSERT INTO sync_jobs (user_id, sync_pair_id, trigger, kind, options) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [userId, syncPairId, trigger, kind, JSON.stringify(options)]
+  );
+  return { job: result.rows[0], created: true };
+}
+
+async function getActiveSyncJob(syncPairId, kind = 'full') {
+  const result = await pool.query(
+    'SELECT * FROM sync_jobs WHERE sync_pair_id = $1 AND kind = $2 AND status = ANY($3) ORDER BY id LIMIT 1',
+    [syncPairId, kind, ACTIVE_SYNC_JOB_STATUSES]
+  );
+  return result.rows[0] || null;
+}
+
+// Events for a record that has not been picked up yet share its queued job. Once the job
+// is running a new one is queued, the running one may already have read the record.
+async function enqueueRecordSyncJob(userId, syncPairId, record, trigger = 'webhook') {
+  const recordKey = `${record.provider}:${record.objectType}:${record.recordId}`;
+  const queued = await pool.query(
+    `SELECT * FROM sync_jobs WHERE sync_pair_id = $1 AND kind = 'record' AND record_key = $2 AND status = 'queued' AND attempts = 0
+     ORDER BY id LIMIT 1`,
+    [syncPairId, recordKey]
+  );
+  if (queued.rows[0]) {
+    return { job: queued.rows[0], created: false };
+  }
+  
+  const result = await pool.query(
+    `INSERT INTO sync_jobs (user_id, sync_pair_id, trigger, kind, record_key, options) VALUES ($1, $2, $3, 'record', $4, $5) RETURNING *`,
+    [userId, syncPairId, trigger, recordKey, JSON.stringify({ record })]
+  );
+  return { job: result.rows[0], created: true };
+}
+
+async function getSyncJob(userId, jobId) {
+  const result = await pool.query('SELECT * FROM sync_jobs WHERE id = $1 AND user_id = $2', [jobId, userId]);
+  return result.rows[0];
+}
+
+async function getSyncLogsForJob(jobId) {
+  const result = await pool.query('SELECT * FROM sync_logs WHERE job_id = $1 ORDER BY started_at', [jobId]);
+  return result.rows;
+}
+
+async function claimSyncJob() {
+  // Jobs that lost their lock on the last allowed attempt are not picked up again
+  await pool.query(
+    `UPDATE sync_jobs SET status = 'failed', last_error = COALESCE(last_error, 'Worker stopped responding'),
+     completed_at = NOW(), updated_at = NOW()
+     WHERE status = 'running' AND locked_until < NOW() AND attempts >= max_attempts`
+  );
+  
+  const result = await pool.query(
+    `UPDATE sync_jobs SET status = 'running', attempts = attempts + 1, locked_until = $1,
+     started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM sync_jobs candidate
+       WHERE ((status IN ('queued', 'paused') AND run_after <= NOW()) OR (status = 'running' AND locked_until < NOW()))
+         -- One job per sync pair at a time, so a pair's jobs run in the order they were queued
+         AND NOT EXISTS (
+           SELECT 1 FROM sync_jobs other
+           WHERE other.sync_pair_id = candidate.sync_pair_id AND other.id <> candidate.id
+             AND other.status = 'running' AND other.locked_until >= NOW()
+         )
+       ORDER BY run_after, id
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [new Date(Date.now() + SYNC_JOB_VISIBILITY_MS)]
+  );
+  return result.rows[0] || null;
+}
+
+async function extendSyncJobLock(jobId) {
+  await pool.query(
+    `UPDATE sync_jobs SET locked_until = $1, updated_at = NOW() WHERE id = $2 AND status = 'running'`,
+    [new Date(Date.now() + SYNC_JOB_VISIBILITY_MS), jobId]
+  );
+}
+
+async function completeSyncJob(jobId, result, plan = null) {
+  await pool.query(
+    `UPDATE sync_jobs SET status = 'succeeded', result = $1, plan = $2, locked_until = NULL, completed_at = NOW(), updated_at = NOW()
+     WHERE id = $3`,
+    [JSON.stringify(result), plan ? JSON.stringify(plan) : null, jobId]
+  );
+}
+
+async function failSyncJob(job, errorMessage) {
+  if (job.attempts < job.max_attempts) {
+    const delay = SYNC_JOB_RETRY_BASE_MS * 2 ** (job.attempts - 1);
+    await pool.query(
+      `UPDATE sync_jobs SET status = 'queued', last_error = $1, locked_until = NULL, run_after = $2, updated_at = NOW()
+       WHERE id = $3`,
+      [errorMessage, new Date(Date.now() + delay), job.id]
+    );
+    return 'queued';
+  }
+  
+  await pool.query(
+    `UPDATE sync_jobs SET status = 'failed', last_error = $1, locked_until = NULL, completed_at = NOW(), updated_at = NOW()
+     WHERE id = $2`,
+    [errorMessage, job.id]
+  );
+  return 'failed';
+}
+
+// A sync that reached the API quota reserve waits for the quota to recover. The pause does
+// not count as a failed attempt.
+async function pauseSyncJob(job, error) {
+  await pool.query(
+    `UPDATE sync_jobs SET status = 'paused', attempts = GREATEST(attempts - 1, 0), last_error = $1, locked_until = NULL,
+     run_after = $2, updated_at = NOW()
+     WHERE id = $3`,
+    [error.message, error.resumeAt, job.id]
+  );
+}
+
+// Counts kept on the job, the full per-record detail stays in the sync logs
+function summarizeSyncResults(results) {
+  return {
+    message: results.message,
+    sync_mode: results.sync_mode,
+    records_processed: results.records_processed,
+    salesforce_contacts_found: results.salesforce_contacts_found,
+    hubspot_contacts_found: results.hubspot_contacts_found,
+    hubspot_created: results.hubspot_created,
+    hubspot_updated: results.hubspot_updated,
+    salesforce_created: results.salesforce_created,
+    salesforce_updated: results.salesforce_updated,
+    conflicts: results.conflicts,
+    conflicts_queued: results.conflicts_queued,
+    objects: results.objects,
+    associations: results.associations,
+    tombstones: results.tombstones,
+    matches: results.matches,
+    errors: results.errors.length,
+    ...(results.plan ? {
+      plan: Object.fromEntries(Object.entries(results.plan).map(([section, entries]) => [section, entries.length]))
+    } : {})
+  };
+}
+
+async function runSyncJob(job) {
+  console.log(`🛠️ Running sync job ${job.id} for user ${job.user_id}, sync pair ${job.sync_pair_id} (attempt ${job.attempts}/${job.max_attempts})`);
+  const heartbeat = setInterval(() => {
+    extendSyncJobLock(job.id).catch(error => console.error(`❌ Could not extend lock on sync job ${job.id}:`, error.message));
+  }, SYNC_JOB_VISIBILITY_MS / 3);
+  
+  try {
+    const results = await performSync(job.user_id, {
+      syncPairId: job.sync_pair_id,
+      fullResync: !!job.options?.full_resync,
+      record: job.kind === 'record' ? job.options.record : null,
+      dryRun: job.kind === 'dry_run',
+      rollback: job.kind === 'rollback' ? job.options.run_id : null,
+      jobId: job.id
+    });
+    // A full run leaves failed records to the next run, a record job is the only chance to sync its record
+    if (job.kind === 'record' && results.errors.length > 0) {
+      throw new Error(results.errors[0].error);
+    }
+    await completeSyncJob(job.id, results.rollback || summarizeSyncResults(results), results.plan || null);
+    console.log(`✅ Sync job ${job.id} succeeded`);
+  } catch (error) {
+    if (error instanceof ApiQuotaReserveError) {
+      await pauseSyncJob(job, error);
+      console.warn(`⏸️ Sync job ${job.id} paused until ${error.resumeAt.toISOString()}:`, error.message);
+      return;
+    }
+    // Retrying cannot help until the customer reconnects the CRM, or once the pair is gone
+    const permanent = error instanceof ReauthorizationRequiredError || error instanceof SyncPairNotFoundError;
+    const status = await failSyncJob(permanent ? { ...job, attempts: job.max_attempts } : job, error.message);
+    console.error(`❌ Sync job ${job.id} failed (${status}):`, error.message);
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+let syncWorkerTimer = null;
+
+async function pollSyncJobs() {
+  let job = null;
+  try {
+    job = await claimSyncJob();
+    if (job) {
+      await runSyncJob(job);
+    }
+  } catch (error) {
+    console.error('❌ Sync worker error:', error.message);
+  }
+  // Go straight for the next job while there is work, otherwise wait for the next poll
+  syncWorkerTimer = setTimeout(pollSyncJobs, job ? 0 : SYNC_JOB_POLL_MS);
+}
+
+async function startSyncWorker() {
+  await databaseReady;
+  if (!syncWorkerTimer) {
+    console.log('🛠️ Sync worker started');
+    pollSyncJobs();
+  }
+}
+
+// Scheduled syncs. A sync pair's sync_settings.schedule holds { frequency, cron, timezone },
+// where frequency is one of SYNC_SCHEDULE_FREQUENCIES and `cron` is only read for 'cron'.
+// Every scheduled pair gets one node-cron task in this process, which queues a sync job.
+const SYNC_SCHEDULE_FREQUENCIES = ['off', 'every_15_minutes', 'hourly', 'daily', 'cron'];
+const ACTIVE_SUBSCRIPTION_STATUSES = ['paid', 'active', 'trialing'];
+
+const scheduledSyncTasks = new Map();
+const lastScheduledRuns = new Map();
+
+function getSyncSchedule(syncSettings = {}) {
+  return { frequency: 'off', cron: null, timezone: 'UTC', ...(syncSettings.schedule || {}) };
+}
+
+// Fixed frequencies are offset by the pair id so every pair does not start on the same minute
+function scheduleExpression(syncPairId, schedule) {
+  const minute = syncPairId % 60;
+  switch (schedule.frequency) {
+    case 'every_15_minutes':
+      return `${syncPairId % 15}-59/15 * * * *`;
+    case 'hourly':
+      return `${minute} * * * *`;
+    case 'daily':
+      return `${minute} 2 * * *`;
+    case 'cron':
+      return schedule.cron;
+    default:
+      return null;
+  }
+}
+
+function validateSyncSchedule(schedule) {
+  if (!schedule || !SYNC_SCHEDULE_FREQUENCIES.includes(schedule.frequency)) {
+    return `frequency must be one of: ${SYNC_SCHEDULE_FREQUENCIES.join(', ')}`;
+  }
+  if (schedule.frequency === 'cron' && (typeof schedule.cron !== 'string' || !cron.validate(schedule.cron))) {
+    return `Invalid cron expression: ${schedule.cron}`;
+  }
+  if (schedule.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+    } catch (error) {
+      return `Unknown timezone: ${schedule.timezone}`;
+    }
+  }
+  return null;
+}
+
+// Replaces whatever task the pair had, a schedule of 'off' just removes it
+function registerSyncSchedule(syncPairId, schedule) {
+  const existing = scheduledSyncTasks.get(syncPairId);
+  if (existing) {
+    existing.destroy();
+    scheduledSyncTasks.delete(syncPairId);
+  }
+  
+  const expression = scheduleExpression(syncPairId, schedule);
+  if (!expression) {
+    return null;
+  }
+  
+  const task = cron.schedule(expression, () => runScheduledSync(syncPairId), {
+    name: `sync-pair-${syncPairId}`,
+    timezone: schedule.timezone || 'UTC'
+  });
+  scheduledSyncTasks.set(syncPairId, task);
+  return task;
+}
+
+async function runScheduledSync(syncPairId) {
+  const skip = reason => {
+    console.log(`⏭️ Skipping scheduled sync for sync pair ${syncPairId}: ${reason}`);
+    lastScheduledRuns.set(syncPairId, { at: new Date().toISOString(), outcome: 'skipped', reason });
+  };
+  
+  try {
+    const syncPair = await getSyncPairById(syncPairId);
+    const user = syncPair ? await getUserById(syncPair.user_id) : null;
+    if (!syncPair || !user) {
+      registerSyncSchedule(syncPairId, { frequency: 'off' });
+      return skip('sync pair no longer exists');
+    }
+    if (!ACTIVE_SUBSCRIPTION_STATUSES.includes(user.subscription_status)) {
+      return skip(`subscription is ${user.subscription_status}`);
+    }
+    const connections = await getSyncPairConnections(syncPair);
+    if (!connections.salesforce || !connections.hubspot) {
+      return skip('Salesforce and HubSpot are not both connected');
+    }
+    if (connections.salesforce.status === 'needs_reauthorization' || connections.hubspot.status === 'needs_reauthorization') {
+      return skip('a CRM connection needs to be reauthorized');
+    }
+    
+    // Covers runs started from the dashboard as well as earlier scheduled ones
+    const { job, created } = await enqueueSyncJob(user.id, syncPair.id, 'scheduled');
+    if (!created) {
+      return skip(`sync job ${job.id} is still ${job.status}`);
+    }
+    
+    console.log(`⏰ Queued scheduled sync job ${job.id} for sync pair ${syncPairId}`);
+    lastScheduledRuns.set(syncPairId, { at: new Date().toISOString(), outcome: 'queued', job_id: job.id });
+  } catch (error) {
+    console.error(`❌ Scheduled sync failed for sync pair ${syncPairId}:`, error.message);
+    lastScheduledRuns.set(syncPairId, { at: new Date().toISOString(), outcome: 'failed', reason: error.message });
+  }
+}
+
+async function startSyncScheduler() {
+  await databaseReady;
+  const result = await pool.query(
+    `SELECT id, sync_settings FROM sync_pairs WHERE COALESCE(sync_settings->'schedule'->>'frequency', 'off') <> 'off'`
+  );
+  for (const row of result.rows) {
+    try {
+      registerSyncSchedule(row.id, getSyncSchedule(row.sync_settings));
+    } catch (error) {
+      console.error(`❌ Could not schedule syncs for sync pair ${row.id}:`, error.message);
+    }
+  }
+  console.log(`⏰ Sync scheduler started with ${scheduledSyncTasks.size} scheduled sync pairs`);
+}
+
+function describeSyncSchedule(syncPairId, schedule) {
+  const task = scheduledSyncTasks.get(syncPairId);
+  return {
+    ...schedule,
+    expression: scheduleExpression(syncPairId, schedule),
+    next_run: task ? task.getNextRun() : null,
+    last_run: lastScheduledRuns.get(syncPairId) || null
+  };
+}
+
+console.log('➡️ Defining / route.');
+app.get('/', (req, res) => {
+  res.json({ 
+    message: '🚀 SF-HubSpot Sync API is running!',
+    version: '1.0.0',
+    status: 'active',
+    endpoints: {
+      auth: {
+        login: '/login',
+        logout: '/logout',
+        salesforce: '/auth/salesforce',
+        salesforce_callback: '/auth/salesforce/callback',
+        hubspot: '/auth/hubspot',
+        hubspot_callback: '/auth/hubspot/callback'
+      },
+      api: {
+        sync: '/api/sync',
+        sync_contacts: '/api/sync/contacts',
+        status: '/api/status',
+        health: '/health'
+      }
+    },
+    environment: process.env.NODE_ENV || 'development'
+  });
+});
+// Lemon Squeezy Billing Routes
+console.log('➡️ Defining /pricing route.');
+// Pricing page route
+app.get('/pricing', (req, res) => {
+  const message = req.query.message || '';
+  const signupComplete = req.query.signup === 'complete';
+  
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Pricing Plans - ConnectFlows</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <script src="https://cdn.tailwindcss.com"></script>
+      <style>
+        .gradient-bg {
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        }
+        .card-hover {
+          transition: all 0.3s ease;
+        }
+        .card-hover:hover {
+          transform: translateY(-5px);
+          box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04);
+        }
+        .checkout-btn {
+          transition: all 0.3s ease;
+        }
+        .checkout-btn:hover {
+          transform: translateY(-2px);
+        }
+        .checkout-btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+          transform: none;
+        }
+      </style>
+    </head>
+    <body class="bg-gray-50">
+      <div class="min-h-screen">
+        <!-- Header -->
+        <header class="gradient-bg text-white py-8">
+          <div class="container mx-auto px-4 text-center">
+            <h1 class="text-4xl font-bold mb-4">Choose Your ConnectFlows Plan</h1>
+            <p class="text-xl opacity-90">Sync Salesforce ↔ HubSpot with enterprise-grade reliability</p>
+          </div>
+        </header>
+
+        <!-- Message Banner -->
+        ${message ? `
+          <div class="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-8">
+            <div class="flex">
+              <div class="flex-shrink-0">
+                <svg class="h-5 w-5 text-yellow-400" viewBox="0 0 20 20" fill="currentColor">
+                  <path fill-rule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clip-rule="evenodd" />
+                </svg>
+              </div>
+              <div class="ml-3">
+                <p class="text-sm text-yellow-700">${message}</p>
+              </div>
+            </div>
+          </div>
+        ` : ''}
+
+        <!-- Signup Complete Banner -->
+        ${signupComplete ? `
+          <div class="bg-green-50 border-l-4 border-green-400 p-4 mb-8">
+            <div class="flex">
+              <div class="flex-shrink-0">
+                <svg class="h-5 w-5 text-green-400" viewBox="0 0 20 20" fill="currentColor">
+                  <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clip-rule="evenodd" />
+                </svg>
+              </div>
+              <div class="ml-3">
+                <p class="text-sm text-green-700">✅ Account created successfully! Choose your plan to continue.</p>
+              </div>
+            </div>
+          </div>
+        ` : ''}
+
+        <!-- Pricing Cards -->
+        <div class="container mx-auto px-4 py-12">
+          <div class="grid md:grid-cols-3 gap-8 max-w-6xl mx-auto">
+            
+            <!-- Starter Plan -->
+            <div class="bg-white rounded-lg shadow-lg card-hover p-8 border-2 border-gray-100">
+              <div class="text-center mb-8">
+                <h3 class="text-2xl font-bold text-gray-900 mb-4">Starter</h3>
+                <div class="text-4xl font-bold text-gray-900 mb-2">$97</div>
+                <div class="text-gray-600">per month</div>
+                <p class="text-sm text-gray-500 mt-2">Perfect for small teams</p>
+              </div>
+              
+              <ul class="space-y-4 mb-8">
+                <li class="flex items-center">
+                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
+                  </svg>
+                  Up to 1,000 contacts
+                </li>
+                <li class="flex items-center">
+                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
+                  </svg>
+                  Real-time sync
+                </li>
+                <li class="flex items-center">
+                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
+                  </svg>
+                  Basic field mapping
+                </li>
+                <li class="flex items-center">
+                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
+                  </svg>
+                  Email support
+                </li>
+              </ul>
+              
+              <button class="checkout-btn w-full bg-blue-600 text-white py-3 px-6 rounded-lg font-semibold hover:bg-blue-700 transition" data-plan="starter">
+                Start with Starter
+              </button>
+            </div>
+
+            <!-- Professional Plan -->
+            <div class="bg-white rounded-lg shadow-xl card-hover p-8 border-2 border-blue-500 relative">
+              <div class="absolute -top-4 left-1/2 transform -translate-x-1/2">
+                <span class="bg-blue-500 text-white px-4 py-1 rounded-full text-sm font-semibold">Most Popular</span>
+              </div>
+              
+              <div class="text-center mb-8">
+                <h3 class="text-2xl font-bold text-gray-900 mb-4">Professional</h3>
+                <div class="text-4xl font-bold text-gray-900 mb-2">$197</div>
+                <div class="text-gray-600">per month</div>
+                <p class="text-sm text-gray-500 mt-2">For growing businesses</p>
+              </div>
+              
+              <ul class="space-y-4 mb-8">
+                <li class="flex items-center">
+                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
+                  </svg>
+                  Up to 10,000 contacts
+                </li>
+                <li class="flex items-center">
+                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
+                  </svg>
+                  Advanced field mapping
+                </li>
+                <li class="flex items-center">
+                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
+                  </svg>
+                  Conflict resolution
+                </li>
+                <li class="flex items-center">
+                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
+                  </svg>
+                  Priority support
+                </li>
+                <li class="flex items-center">
+                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
+                  </svg>
+                  Sync analytics
+                </li>
+              </ul>
+              
+              <button class="checkout-btn w-full bg-blue-600 text-white py-3 px-6 rounded-lg font-semibold hover:bg-blue-700 transition" data-plan="professional">
+                Start with Professional
+              </button>
+            </div>
+
+            <!-- Enterprise Plan -->
+            <div class="bg-white rounded-lg shadow-lg card-hover p-8 border-2 border-gray-100">
+              <div class="text-center mb-8">
+                <h3 class="text-2xl font-bold text-gray-900 mb-4">Enterprise</h3>
+                <div class="text-4xl font-bold text-gray-900 mb-2">$397</div>
+                <div class="text-gray-600">per month</div>
+                <p class="text-sm text-gray-500 mt-2">For large organizations</p>
+              </div>
+              
+              <ul class="space-y-4 mb-8">
+                <li class="flex items-center">
+                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
+                  </svg>
+                  Unlimited contacts
+                </li>
+                <li class="flex items-center">
+                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
+                  </svg>
+                  Custom field mapping
+                </li>
+                <li class="flex items-center">
+                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
+                  </svg>
+                  Advanced automation
+                </li>
+                <li class="flex items-center">
+                  <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
+                  </svg>
+                  Dedicated support
                 </li>
                 <li class="flex items-center">
                   <svg class="h-5 w-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
@@ -571,1172 +5153,3038 @@ app.get('/pricing', (req, res) => {
               </button>
             </div>
           </div>
-        </div>
-
-        <!-- ROI Calculator -->
-        <div class="bg-white py-12">
-          <div class="container mx-auto px-4">
-            <div class="max-w-4xl mx-auto text-center">
-              <h2 class="text-3xl font-bold text-gray-900 mb-8">Calculate Your ROI</h2>
-              <div class="bg-gray-50 rounded-lg p-8">
-                <div class="grid md:grid-cols-2 gap-8">
-                  <div>
-                    <label for="hours" class="block text-sm font-medium text-gray-700 mb-2">
-                      Hours spent manually syncing per week:
-                    </label>
-                    <input type="range" id="hours" min="1" max="20" value="5" class="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer">
-                    <div class="text-center mt-2">
-                      <span id="hoursValue" class="text-2xl font-bold text-blue-600">5</span> hours/week
-                    </div>
-                  </div>
-                  <div class="space-y-4">
-                    <div class="bg-white p-4 rounded-lg">
-                      <div class="text-sm text-gray-600">Current monthly waste:</div>
-                      <div id="monthlyWaste" class="text-2xl font-bold text-red-600">$1,000</div>
-                    </div>
-                    <div class="bg-white p-4 rounded-lg">
-                      <div class="text-sm text-gray-600">Monthly savings with ConnectFlows:</div>
-                      <div id="monthlySavings" class="text-2xl font-bold text-green-600">$803</div>
-                    </div>
-                    <div class="bg-white p-4 rounded-lg">
-                      <div class="text-sm text-gray-600">ROI:</div>
-                      <div id="roi" class="text-2xl font-bold text-blue-600">407%</div>
-                    </div>
-                  </div>
-                </div>
-              </div>
-            </div>
+        </div>
+
+        <!-- ROI Calculator -->
+        <div class="bg-white py-12">
+          <div class="container mx-auto px-4">
+            <div class="max-w-4xl mx-auto text-center">
+              <h2 class="text-3xl font-bold text-gray-900 mb-8">Calculate Your ROI</h2>
+              <div class="bg-gray-50 rounded-lg p-8">
+                <div class="grid md:grid-cols-2 gap-8">
+                  <div>
+                    <label for="hours" class="block text-sm font-medium text-gray-700 mb-2">
+                      Hours spent manually syncing per week:
+                    </label>
+                    <input type="range" id="hours" min="1" max="20" value="5" class="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer">
+                    <div class="text-center mt-2">
+                      <span id="hoursValue" class="text-2xl font-bold text-blue-600">5</span> hours/week
+                    </div>
+                  </div>
+                  <div class="space-y-4">
+                    <div class="bg-white p-4 rounded-lg">
+                      <div class="text-sm text-gray-600">Current monthly waste:</div>
+                      <div id="monthlyWaste" class="text-2xl font-bold text-red-600">$1,000</div>
+                    </div>
+                    <div class="bg-white p-4 rounded-lg">
+                      <div class="text-sm text-gray-600">Monthly savings with ConnectFlows:</div>
+                      <div id="monthlySavings" class="text-2xl font-bold text-green-600">$803</div>
+                    </div>
+                    <div class="bg-white p-4 rounded-lg">
+                      <div class="text-sm text-gray-600">ROI:</div>
+                      <div id="roi" class="text-2xl font-bold text-blue-600">407%</div>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <!-- Footer -->
+        <footer class="bg-gray-800 text-white py-8">
+          <div class="container mx-auto px-4 text-center">
+            <p>&copy; 2024 ConnectFlows. All rights reserved.</p>
+            <p class="mt-2 text-gray-400">Questions? Contact us at hello@connectfloww.lemonsqueezy.com</p>
+          </div>
+        </footer>
+      </div>
+
+      <script>
+        // ROI Calculator
+        function calculateSavings() {
+          const hours = document.getElementById('hours').value;
+          const monthlyWaste = hours * 4 * 50; // weeks * hourly rate
+          const monthlySavings = monthlyWaste - 197;
+          const roi = Math.round((monthlySavings / 197) * 100);
+          
+          document.getElementById('hoursValue').textContent = hours;
+          document.getElementById('monthlyWaste').textContent = '$' + monthlyWaste.toLocaleString();
+          document.getElementById('monthlySavings').textContent = '$' + monthlySavings.toLocaleString();
+          document.getElementById('roi').textContent = roi + '%';
+        }
+        
+        // Initialize calculator
+        calculateSavings();
+        
+        // Update calculator when slider changes
+        document.getElementById('hours').addEventListener('input', calculateSavings);
+        
+        // Checkout button event listeners (CSP-compliant)
+        document.addEventListener('DOMContentLoaded', function() {
+          document.querySelectorAll('.checkout-btn').forEach(btn => {
+            btn.addEventListener('click', async function() {
+              const plan = this.getAttribute('data-plan');
+              const originalText = this.textContent;
+              
+              // Update button state
+              this.textContent = 'Loading...';
+              this.disabled = true;
+              
+              try {
+                const res = await fetch('/create-checkout', {
+                  method: 'POST',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify({ plan })
+                });
+                
+                const data = await res.json();
+                
+                if (data.success && data.checkoutUrl) {
+                  window.location.href = data.checkoutUrl;
+                } else {
+                  alert('Error creating checkout. Please try again.');
+                  this.textContent = originalText;
+                  this.disabled = false;
+                }
+              } catch (err) {
+                console.error('Checkout error:', err);
+                alert('Network error. Please try again.');
+                this.textContent = originalText;
+                this.disabled = false;
+              }
+            });
+          });
+        });
+      </script>
+    </body>
+    </html>
+  `);
+});
+
+console.log('➡️ Defining POST /create-checkout route.');
+// Create checkout session with Lemon Squeezy
+app.post('/create-checkout', async (req, res) => {
+  try {
+    const { plan, signupData } = req.body;
+
+    // Map plans to your Lemon Squeezy product variant IDs
+    const planVariants = {
+      starter: '839923',      // Basic/Starter plan
+      professional: '845532', // Professional plan  
+      enterprise: '845546'    // Enterprise plan
+    };
+
+    const variantId = planVariants[plan];
+    if (!variantId) {
+      return res.status(400).json({ error: 'Invalid plan selected' });
+    }
+
+    // Get signup data from session if available
+    const signupInfo = req.session.pendingSignup || {};
+    
+    // Build success and error URLs
+    const baseUrl = process.env.NODE_ENV === 'production' 
+      ? (process.env.CUSTOM_DOMAIN || 'https://rapid-mailbox-production.up.railway.app')
+      : 'http://localhost:3000';
+    
+    const successUrl = `${baseUrl}/success?plan=${plan}`;
+    const errorUrl = `${baseUrl}/pricing?error=payment_failed`;
+    
+    // Create checkout with Lemon Squeezy API - FIXED FORMAT
+    const checkoutResponse = await fetch('https://api.lemonsqueezy.com/v1/checkouts', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.LEMON_SQUEEZY_API_KEY}`,
+        'Content-Type': 'application/vnd.api+json',
+        'Accept': 'application/vnd.api+json'
+      },
+      body: JSON.stringify({
+        data: {
+          type: 'checkouts',
+          attributes: {
+            checkout_data: {
+              email: signupInfo.email || 'customer@example.com',
+              name: signupInfo.email ? signupInfo.email.split('@')[0] : 'ConnectFlows Customer',
+              billing_address: {},
+              custom: {
+                plan: plan,
+                signup_email: signupInfo.email || '',
+                signup_password: signupInfo.password || '',
+                signup_created: signupInfo.createdAt || new Date().toISOString()
+              }
+            },
+            expires_at: null,
+            test_mode: process.env.NODE_ENV !== 'production',
+            product_options: {
+              enabled: true,
+              redirect_url: successUrl,
+              receipt_button_text: "Go to Dashboard",
+              receipt_link_url: `${baseUrl}/dashboard`
+            }
+          },
+          relationships: {
+            store: {
+              data: {
+                type: 'stores',
+                id: process.env.LEMON_SQUEEZY_STORE_ID // Ensure this is a string
+              }
+            },
+            variant: {
+              data: {
+                type: 'variants',
+                id: variantId // Ensure this is a string
+              }
+            }
+          }
+        }
+      })
+    });
+
+    console.log('💰 Lemon Squeezy request body:', JSON.stringify({
+      data: {
+        type: 'checkouts',
+        attributes: {
+          checkout_data: {
+            email: signupInfo.email || 'customer@example.com',
+            name: signupInfo.email ? signupInfo.email.split('@')[0] : 'ConnectFlows Customer',
+            billing_address: {},
+            custom: {
+              plan: plan,
+              signup_email: signupInfo.email || '',
+              signup_password: signupInfo.password || '',
+              signup_created: signupInfo.createdAt || new Date().toISOString()
+            }
+          },
+          expires_at: null,
+          test_mode: process.env.NODE_ENV !== 'production',
+          product_options: {
+            enabled: true,
+            redirect_url: successUrl,
+            receipt_button_text: "Go to Dashboard",
+            receipt_link_url: `${baseUrl}/dashboard`
+          }
+        },
+        relationships: {
+          store: {
+            data: {
+              type: 'stores',
+              id: process.env.LEMON_SQUEEZY_STORE_ID
+            }
+          },
+          variant: {
+            data: {
+              type: 'variants',
+              id: variantId
+            }
+          }
+        }
+      }
+    }, null, 2));
+    console.log('💰 Lemon Squeezy checkout request sent');
+    console.log('📊 Response status:', checkoutResponse.status);
+    
+    const responseText = await checkoutResponse.text();
+    console.log('📄 Raw response:', responseText);
+    
+    let checkoutData;
+    try {
+      checkoutData = JSON.parse(responseText);
+    } catch (parseError) {
+      console.error('❌ Failed to parse Lemon Squeezy response:', parseError);
+      return res.status(500).json({ 
+        error: 'Payment system error',
+        details: 'Failed to process checkout request'
+      });
+    }
+
+    if (!checkoutResponse.ok) {
+      console.error('❌ Lemon Squeezy API error:', checkoutData);
+      return res.status(500).json({ 
+        error: 'Payment system error',
+        details: checkoutData.errors?.[0]?.detail || 'Failed to create checkout'
+      });
+    }
+
+    if (checkoutData.data && checkoutData.data.attributes.url) {
+      const checkoutUrl = checkoutData.data.attributes.url;
+      console.log(`✅ Checkout created successfully for plan: ${plan}`);
+      console.log(`🔗 Checkout URL: ${checkoutUrl}`);
+      
+      res.json({ 
+        success: true,
+        checkoutUrl: checkoutUrl,
+        message: 'Checkout created successfully'
+      });
+    } else {
+      console.error('❌ Invalid checkout response:', checkoutData);
+      res.status(500).json({ 
+        error: 'Payment system error',
+        details: 'Invalid checkout response from payment provider'
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Checkout creation error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: 'Failed to create checkout session'
+    });
+  }
+});
+
+console.log('➡️ Defining GET /create-checkout route.');
+// Add the GET /create-checkout route here, before the 404 handler
+app.get('/create-checkout', async (req, res) => {
+  try {
+    const plan = req.query.plan;
+    
+    const planVariants = {
+      starter: '839923',
+      professional: '845532', 
+      enterprise: '845546'
+    };
+
+    const variantId = planVariants[plan];
+    if (!variantId) {
+      return res.status(400).send('Invalid plan');
+    }
+
+    const checkoutResponse = await fetch('https://api.lemonsqueezy.com/v1/checkouts', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.LEMON_SQUEEZY_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        data: {
+          type: 'checkouts',
+          attributes: {
+            checkout_data: { custom: { plan } }
+          },
+          relationships: {
+            store: { data: { type: 'stores', id: process.env.LEMON_SQUEEZY_STORE_ID } },
+            variant: { data: { type: 'variants', id: variantId } }
+          }
+        }
+      })
+    });
+    
+    const data = await checkoutResponse.json();
+    if (data.data?.attributes?.url) {
+      res.redirect(data.data.attributes.url);
+    } else {
+      res.status(500).send('Checkout failed');
+    }
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+console.log('➡️ Defining /health route.');
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'OK', 
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+console.log('➡️ Defining /signup route.');
+// Signup page
+app.get('/signup', (req, res) => {
+  const message = req.query.message || '';
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Start Your Free Trial - ConnectFlows</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <style>
+        body { 
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          max-width: 400px; 
+          margin: 50px auto; 
+          padding: 20px;
+          background: #f8fafc;
+        }
+        .container {
+          background: white;
+          padding: 30px;
+          border-radius: 10px;
+          box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+        }
+        .form-group { margin-bottom: 20px; }
+        input { 
+          width: 100%; 
+          padding: 12px; 
+          border: 2px solid #e2e8f0; 
+          border-radius: 8px;
+          font-size: 16px;
+          box-sizing: border-box;
+        }
+        input:focus {
+          outline: none;
+          border-color: #3b82f6;
+        }
+        button { 
+          width: 100%; 
+          padding: 12px; 
+          background: #3b82f6; 
+          color: white; 
+          border: none; 
+          border-radius: 8px;
+          font-size: 16px;
+          cursor: pointer;
+        }
+        button:hover { background: #2563eb; }
+        .message { 
+          background: #fef3c7; 
+          padding: 12px; 
+          border-radius: 8px; 
+          margin-bottom: 20px;
+          border-left: 4px solid #f59e0b;
+        }
+        .benefits {
+          background: #f0f9ff;
+          padding: 15px;
+          border-radius: 8px;
+          margin-top: 20px;
+          text-align: center;
+          font-size: 14px;
+        }
+        h2 { text-align: center; color: #1e293b; margin-bottom: 10px; }
+        .subtitle { text-align: center; color: #64748b; margin-bottom: 30px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h2>🚀 Start Your Free Trial</h2>
+        <p class="subtitle">Test Salesforce ↔ HubSpot sync with your real accounts</p>
+        
+        ${message ? `<div class="message">⚠️ ${message}</div>` : ''}
+        
+        <form action="/signup" method="post">
+          <div class="form-group">
+            <input type="email" name="email" placeholder="Your email address" required>
+          </div>
+          <div class="form-group">
+            <input type="password" name="password" placeholder="Create a password" required>
           </div>
+          <button type="submit">Start 14-Day Free Trial</button>
+        </form>
+        
+        <div class="benefits">
+          ✅ No credit card required<br>
+          ✅ Connect your real CRM accounts<br>
+          ✅ Full access for 14 days<br>
+          ✅ Cancel anytime
         </div>
+        
+        <p style="text-align: center; margin-top: 20px; font-size: 14px; color: #64748b;">Already have an account? <a href="/login">Sign in</a></p>
+      </div>
+    </body>
+    </html>
+  `);
+});
 
-        <!-- Footer -->
-        <footer class="bg-gray-800 text-white py-8">
-          <div class="container mx-auto px-4 text-center">
-            <p>&copy; 2024 ConnectFlows. All rights reserved.</p>
-            <p class="mt-2 text-gray-400">Questions? Contact us at hello@connectfloww.lemonsqueezy.com</p>
+console.log('➡️ Defining POST /signup route.');
+// Handle signup form submission - REDIRECT TO PRICING FIRST
+app.post('/signup', (req, res) => {
+  const { email, password } = req.body;
+  
+  if (!email || !password) {
+    return res.redirect('/signup?message=Please fill in all fields');
+  }
+  
+  // Store signup data in session for after payment
+  req.session.pendingSignup = {
+    email: email,
+    password: password,
+    createdAt: new Date().toISOString()
+  };
+  
+  console.log('User signed up, redirecting to pricing:', email);
+  // Redirect to pricing page instead of dashboard
+  res.redirect('/pricing?signup=complete');
+});
+
+// Page messages come from the query string
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+console.log('➡️ Defining /login route.');
+// Login page
+app.get('/login', (req, res) => {
+  if (req.user) {
+    return res.redirect('/dashboard');
+  }
+  const message = req.query.message || '';
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Sign In - ConnectFlows</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <style>
+        body { 
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          max-width: 400px; 
+          margin: 50px auto; 
+          padding: 20px;
+          background: #f8fafc;
+        }
+        .container {
+          background: white;
+          padding: 30px;
+          border-radius: 10px;
+          box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+        }
+        .form-group { margin-bottom: 20px; }
+        input { 
+          width: 100%; 
+          padding: 12px; 
+          border: 2px solid #e2e8f0; 
+          border-radius: 8px;
+          font-size: 16px;
+          box-sizing: border-box;
+        }
+        input:focus {
+          outline: none;
+          border-color: #3b82f6;
+        }
+        button { 
+          width: 100%; 
+          padding: 12px; 
+          background: #3b82f6; 
+          color: white; 
+          border: none; 
+          border-radius: 8px;
+          font-size: 16px;
+          cursor: pointer;
+        }
+        button:hover { background: #2563eb; }
+        .message { 
+          background: #fef3c7; 
+          padding: 12px; 
+          border-radius: 8px; 
+          margin-bottom: 20px;
+          border-left: 4px solid #f59e0b;
+        }
+        .switch { text-align: center; margin-top: 20px; font-size: 14px; color: #64748b; }
+        h2 { text-align: center; color: #1e293b; margin-bottom: 30px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h2>🔐 Sign In to ConnectFlows</h2>
+        
+        ${message ? `<div class="message">⚠️ ${escapeHtml(message)}</div>` : ''}
+        
+        <form action="/login" method="post">
+          <div class="form-group">
+            <input type="email" name="email" placeholder="Your email address" required>
           </div>
-        </footer>
+          <div class="form-group">
+            <input type="password" name="password" placeholder="Your password" required>
+          </div>
+          <button type="submit">Sign In</button>
+        </form>
+        
+        <p class="switch">No account yet? <a href="/signup">Start your free trial</a></p>
       </div>
+    </body>
+    </html>
+  `);
+});
 
-      <script>
-        // ROI Calculator
-        function calculateSavings() {
-          const hours = document.getElementById('hours').value;
-          const monthlyWaste = hours * 4 * 50; // weeks * hourly rate
-          const monthlySavings = monthlyWaste - 197;
-          const roi = Math.round((monthlySavings / 197) * 100);
-          
-          document.getElementById('hoursValue').textContent = hours;
-          document.getElementById('monthlyWaste').textContent = '$' + monthlyWaste.toLocaleString();
-          document.getElementById('monthlySavings').textContent = '$' + monthlySavings.toLocaleString();
-          document.getElementById('roi').textContent = roi + '%';
+// Compared against when the email is unknown, so both failures take as long
+const UNKNOWN_USER_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+console.log('➡️ Defining POST /login route.');
+// Only the user id goes into the session, the session id is replaced on sign in
+app.post('/login', async (req, res) => {
+  const email = String(req.body.email || '').trim();
+  const password = String(req.body.password || '');
+  
+  if (!email || !password) {
+    return res.redirect('/login?message=' + encodeURIComponent('Please fill in all fields'));
+  }
+  
+  try {
+    const user = await getUserByEmail(email);
+    const passwordMatches = await bcrypt.compare(password, user ? user.password_hash : UNKNOWN_USER_PASSWORD_HASH);
+    if (!user || !passwordMatches) {
+      console.log(`⚠️ Failed sign in for ${email}`);
+      return res.redirect('/login?message=' + encodeURIComponent('Invalid email or password'));
+    }
+    
+    req.session.regenerate((error) => {
+      if (error) {
+        console.error('❌ Failed to start session:', error.message);
+        return res.redirect('/login?message=' + encodeURIComponent('Sign in failed, please try again'));
+      }
+      req.session.userId = user.id;
+      req.session.authenticatedAt = Date.now();
+      console.log(`✅ User ${user.id} signed in`);
+      res.redirect('/dashboard');
+    });
+    
+  } catch (error) {
+    console.error('❌ Sign in error:', error.message);
+    res.redirect('/login?message=' + encodeURIComponent('Sign in failed, please try again'));
+  }
+});
+
+console.log('➡️ Defining /dashboard route.');
+// Dashboard route - ONLY FOR PAID/TRIALING USERS
+app.get('/dashboard', requireAuth, (req, res) => {
+  const user = req.user;
+  // requireAuth already sent expired trials to /upgrade, the rest are still inside trial_ends_at
+  const isPaidUser = ACTIVE_SUBSCRIPTION_STATUSES.includes(user.subscription_status);
+  const daysLeft = user.trial_ends_at
+    ? Math.max(0, Math.ceil((new Date(user.trial_ends_at) - new Date()) / (1000 * 60 * 60 * 24)))
+    : null;
+  
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Dashboard - ConnectFlows</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <style>
+        body { 
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          max-width: 800px; 
+          margin: 20px auto; 
+          padding: 20px;
+          background: #f8fafc;
+        }
+        .header {
+          background: white;
+          padding: 20px;
+          border-radius: 10px;
+          margin-bottom: 20px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+        .card { 
+          background: white; 
+          padding: 25px; 
+          margin: 15px 0; 
+          border-radius: 10px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+        .btn { 
+          padding: 12px 24px; 
+          background: #3b82f6; 
+          color: white; 
+          text-decoration: none; 
+          border-radius: 8px; 
+          display: inline-block; 
+          margin: 8px 8px 8px 0;
+          font-weight: 500;
+        }
+        .btn:hover { background: #2563eb; }
+        .btn-orange { background: #f97316; }
+        .btn-orange:hover { background: #ea580c; }
+        .trial-info { 
+          background: #d1fae5; 
+          padding: 15px; 
+          border-radius: 8px; 
+          margin: 20px 0;
+          border-left: 4px solid #10b981;
+        }
+        .status {
+          display: inline-block;
+          padding: 4px 12px;
+          background: #dcfce7;
+          color: #166534;
+          border-radius: 20px;
+          font-size: 14px;
+          margin-left: 10px;
         }
+        h1 { color: #1e293b; margin: 0; }
+        h3 { color: #374151; margin-top: 0; }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>🎛️ ConnectFlows Dashboard</h1>
+        <p>Welcome back, <strong>${user.email}</strong>! <span class="status">${user.subscription_status.charAt(0).toUpperCase() + user.subscription_status.slice(1)}</span></p>
+      </div>
+      
+      ${isPaidUser ? `
+      <div class="trial-info">
+        ✅ <strong>Subscription Active</strong>
+        <br><small>You have full access to all ConnectFlows features.</small>
+      </div>
+      ` : `
+      <div class="trial-info">
+        ⏰ <strong>Free Trial${daysLeft !== null ? `: ${daysLeft} day${daysLeft === 1 ? '' : 's'} left` : ''}</strong>
+        <br><small>Syncs run in demo mode until you <a href="/pricing">choose a plan</a>.</small>
+      </div>
+      `}
+      
+      <div class="card">
+        <h3>🔗 Connect Your CRM Accounts</h3>
+        <p>Connect both Salesforce and HubSpot to start syncing contacts automatically.</p>
         
-        // Initialize calculator
-        calculateSavings();
+        <a href="/auth/salesforce" class="btn">
+          ⚡ Connect Salesforce
+        </a>
+        <a href="/auth/salesforce?environment=sandbox" class="btn">
+          🧪 Connect Salesforce Sandbox
+        </a>
         
-        // Update calculator when slider changes
-        document.getElementById('hours').addEventListener('input', calculateSavings);
+        <a href="/auth/hubspot" class="btn">
+          🧡 Connect HubSpot
+        </a>
+      </div>
+      
+      <div class="card" id="sync-pair">
+        <h3>🔀 Sync Pair</h3>
+        <p>Each Salesforce org syncs with one HubSpot portal. Everything below applies to the pair picked here.</p>
+        <select id="sync-pair-select" style="width: 100%; padding: 10px; border: 2px solid #e2e8f0; border-radius: 8px; font-size: 15px;">
+          <option value="">Loading...</option>
+        </select>
+      </div>
+      <script>
+        // The API falls back to the first pair when no sync_pair_id is passed, so does the list
+        const selectedSyncPairId = new URLSearchParams(window.location.search).get('sync_pair_id');
         
-        // Checkout button event listeners (CSP-compliant)
-        document.addEventListener('DOMContentLoaded', function() {
-          document.querySelectorAll('.checkout-btn').forEach(btn => {
-            btn.addEventListener('click', async function() {
-              const plan = this.getAttribute('data-plan');
-              const originalText = this.textContent;
+        function withSyncPair(url) {
+          if (!selectedSyncPairId) {
+            return url;
+          }
+          return url + (url.includes('?') ? '&' : '?') + 'sync_pair_id=' + encodeURIComponent(selectedSyncPairId);
+        }
+        
+        fetch('/api/sync-pairs')
+          .then(response => response.json())
+          .then(data => {
+            const select = document.getElementById('sync-pair-select');
+            select.innerHTML = '';
+            if (!data.success || data.sync_pairs.length === 0) {
+              const option = document.createElement('option');
+              option.textContent = 'Connect Salesforce to create a sync pair';
+              select.appendChild(option);
+              select.disabled = true;
+              return;
+            }
+            data.sync_pairs.forEach(pair => {
+              const option = document.createElement('option');
+              option.value = pair.id;
+              option.textContent = pair.name + ' (' + (pair.salesforce ? pair.salesforce.name : 'Salesforce') + ' ↔ ' + (pair.hubspot ? pair.hubspot.name : 'no HubSpot portal yet') + ')';
+              option.selected = String(pair.id) === selectedSyncPairId;
+              select.appendChild(option);
+            });
+            select.addEventListener('change', () => {
+              const params = new URLSearchParams(window.location.search);
+              params.set('sync_pair_id', select.value);
+              params.delete('message');
+              window.location.search = params.toString();
+            });
+          })
+          .catch(error => console.error('Could not load sync pairs:', error));
+      </script>
+      
+      <div class="card" id="sync-preview">
+        <h3>🔍 Sync Preview</h3>
+        <p>See what the next sync would create, update and skip, without writing anything to Salesforce or HubSpot.</p>
+        <button class="btn" id="sync-preview-run" type="button">Preview</button>
+        <div id="sync-preview-result" style="margin-top: 10px;"></div>
+      </div>
+      
+      <div class="card" id="sync-objects">
+        <h3>📦 Objects to Sync</h3>
+        <p>Pick which Salesforce objects are kept in sync with HubSpot.</p>
+        <div id="sync-object-list"><small>Loading...</small></div>
+        <button class="btn" id="sync-objects-save" type="button">Save Objects</button>
+      </div>
+      
+      <div class="card" id="field-mapping">
+        <h3>🧭 Field Mapping</h3>
+        <p>Choose which Salesforce Contact field syncs with which HubSpot contact property.</p>
+        <div id="mapping-note" style="font-size: 14px; color: #64748b;"></div>
+        <table style="width: 100%; border-collapse: collapse; margin: 10px 0;">
+          <thead>
+            <tr style="text-align: left; font-size: 14px; color: #374151;">
+              <th>Salesforce field</th><th>HubSpot property</th><th>Direction</th><th></th>
+            </tr>
+          </thead>
+          <tbody id="mapping-rows"></tbody>
+        </table>
+        <datalist id="salesforce-field-options"></datalist>
+        <datalist id="hubspot-property-options"></datalist>
+        <button class="btn" id="mapping-add" type="button">+ Add Field</button>
+        <button class="btn" id="mapping-save" type="button">Save Mapping</button>
+        <button class="btn btn-orange" id="mapping-reset" type="button">Reset to Default</button>
+      </div>
+      
+      <div class="card" id="conflict-review">
+        <h3>⚖️ Conflict Review</h3>
+        <p>Fields that changed in both CRMs and need a decision. Your choice is written to Salesforce and HubSpot on the next sync.</p>
+        <div id="conflict-list"><small>Loading conflicts...</small></div>
+      </div>
+      
+      <div class="card" id="suggested-links">
+        <h3>🔗 Suggested Links</h3>
+        <p>Contacts that look like the same person but did not match exactly. Confirm to link them, or reject to keep them separate.</p>
+        <div id="suggestion-list"><small>Loading suggestions...</small></div>
+      </div>
+      
+      <div class="card">
+        <h3>💰 Manage Your Subscription</h3>
+        <p>Update your billing information or change your plan.</p>
+        <a href="/pricing" class="btn">Manage Subscription</a>
+        <a href="/logout" style="color: #64748b; text-decoration: none; margin-left: 20px;">Sign Out</a>
+      </div> 
+      <script>
+        try {
+          // Check URL parameters for connection status
+          const urlParams = new URLSearchParams(window.location.search);
+          const salesforceConnected = urlParams.get('salesforce') === 'connected';
+          const message = urlParams.get('message');
+
+          // Show success message
+          if (message) {
+            const alertDiv = document.createElement('div');
+            alertDiv.style.cssText = 'background: #d1fae5; border: 1px solid #10b981; color: #065f46; padding: 15px; border-radius: 8px; margin-bottom: 20px; text-align: center;';
+            alertDiv.innerHTML = '✅ ' + decodeURIComponent(message);
+            document.body.insertBefore(alertDiv, document.body.firstChild);
+          }
+
+          // Update Salesforce button if connected
+          if (salesforceConnected) {
+            const sfButton = document.querySelector('a[href*="salesforce"]');
+            if (sfButton) {
+              sfButton.textContent = '✅ Salesforce Connected - Click to Sync';
+              sfButton.style.background = '#10b981';
+              sfButton.style.color = 'white';
               
-              // Update button state
-              this.textContent = 'Loading...';
-              this.disabled = true;
+              function waitForSyncJob(statusUrl) {
+                return new Promise(resolve => setTimeout(resolve, 3000))
+                  .then(() => fetch(statusUrl))
+                  .then(response => response.json())
+                  .then(data => {
+                    if (!data.success) {
+                      throw new Error(data.error || 'Could not load sync job');
+                    }
+                    if (data.job.status === 'queued' || data.job.status === 'running') {
+                      sfButton.textContent = data.job.status === 'running' ? '🔄 Syncing...' : '🔄 Sync queued...';
+                      return waitForSyncJob(statusUrl);
+                    }
+                    return data;
+                  });
+              }
               
-              try {
-                const res = await fetch('/create-checkout', {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({ plan })
-                });
-                
-                const data = await res.json();
+              function showSyncResults(data) {
+                const resultDiv = document.createElement('div');
+                resultDiv.style.cssText = 'background: #d1fae5; padding: 20px; border-radius: 8px; margin-top: 20px; color: #065f46; border: 1px solid #10b981;';
                 
-                if (data.success && data.checkoutUrl) {
-                  window.location.href = data.checkoutUrl;
+                let resultHTML;
+                if (data.job) {
+                  if (data.job.status === 'failed') {
+                    sfButton.textContent = '❌ Sync Failed';
+                    alert('Sync failed: ' + (data.job.last_error || 'Unknown error'));
+                    return;
+                  }
+                  if (data.job.status === 'paused') {
+                    sfButton.textContent = '⏸️ Sync Paused';
+                    alert('Sync paused: ' + data.job.last_error + '. It continues at ' + new Date(data.job.next_attempt_at).toLocaleString() + '.');
+                    return;
+                  }
+                  sfButton.textContent = '✅ Sync Complete!';
+                  resultHTML = '<h4>✅ Real Sync Results!</h4>';
+                  resultHTML += '<p>📊 Salesforce Contacts: ' + (data.counts?.salesforce_contacts_found || 0) + '</p>';
+                  resultHTML += '<p>🔄 HubSpot Sync: ' + ((data.counts?.hubspot_created || 0) + (data.counts?.hubspot_updated || 0)) + ' contacts</p>';
+                  resultHTML += '<p>📦 Records processed: ' + (data.counts?.records_processed || 0) + '</p>';
                 } else {
-                  alert('Error creating checkout. Please try again.');
-                  this.textContent = originalText;
-                  this.disabled = false;
+                  sfButton.textContent = '✅ Sync Complete!';
+                  resultHTML = '<h4>✅ Real Sync Results!</h4>';
+                  resultHTML += '<p>🎭 <strong>Demo Mode Results:</strong></p>';
+                  resultHTML += '<p>📊 Demo Contacts: ' + (data.demo_results?.salesforce?.contacts_found || 0) + '</p>';
+                  resultHTML += '<p>⚠️ Limited to 5 contacts - upgrade for full sync</p>';
                 }
-              } catch (err) {
-                console.error('Checkout error:', err);
-                alert('Network error. Please try again.');
-                this.textContent = originalText;
-                this.disabled = false;
+                
+                resultDiv.innerHTML = resultHTML;
+                sfButton.parentNode.appendChild(resultDiv);
+              }
+              
+              // Add working sync function
+              sfButton.onclick = function(e) { 
+                e.preventDefault();
+                
+                console.log('Starting sync...');
+                sfButton.textContent = '🔄 Syncing...';
+                sfButton.disabled = true;
+                
+                fetch(withSyncPair('/api/sync/contacts'), { 
+                  method: 'POST',
+                  headers: { 'Content-Type': 'application/json' }
+                })
+                .then(response => {
+                  console.log('Response received:', response.status);
+                  return response.json();
+                })
+                .then(data => {
+                  console.log('Sync data:', data);
+                  
+                  if (!data.success) {
+                    sfButton.textContent = '❌ Sync Failed';
+                    alert('Sync failed: ' + (data.error || 'Unknown error'));
+                    return;
+                  }
+                  
+                  // Paid syncs run as a background job, poll it until it finishes
+                  if (data.job_id) {
+                    sfButton.textContent = '🔄 Sync queued...';
+                    return waitForSyncJob(data.status_url).then(showSyncResults);
+                  }
+                  showSyncResults(data);
+                })
+                .catch(error => {
+                  console.error('Sync error:', error);
+                  sfButton.textContent = '❌ Network Error';
+                  alert('Network error: ' + error.message);
+                })
+                .finally(() => {
+                  setTimeout(() => {
+                    sfButton.disabled = false;
+                    sfButton.textContent = '✅ Salesforce Connected - Click to Sync';
+                  }, 5000);
+                });
+              };
+            }
+          }
+        } catch (error) {
+          console.error('Dashboard script error:', error);
+        }
+      </script>
+      <script>
+        // Field mapping editor
+        const mappingRows = document.getElementById('mapping-rows');
+        const mappingNote = document.getElementById('mapping-note');
+        let mappingDirections = ['bidirectional', 'salesforce_to_hubspot', 'hubspot_to_salesforce'];
+        let canCustomizeMapping = false;
+        
+        function addMappingRow(mapping) {
+          const row = document.createElement('tr');
+          
+          const salesforceCell = document.createElement('td');
+          const salesforceInput = document.createElement('input');
+          salesforceInput.className = 'mapping-salesforce';
+          salesforceInput.setAttribute('list', 'salesforce-field-options');
+          salesforceInput.placeholder = 'e.g. Title or Region__c';
+          salesforceInput.value = mapping.salesforce || '';
+          salesforceCell.appendChild(salesforceInput);
+          
+          const hubspotCell = document.createElement('td');
+          const hubspotInput = document.createElement('input');
+          hubspotInput.className = 'mapping-hubspot';
+          hubspotInput.setAttribute('list', 'hubspot-property-options');
+          hubspotInput.placeholder = 'e.g. jobtitle';
+          hubspotInput.value = mapping.hubspot || '';
+          hubspotCell.appendChild(hubspotInput);
+          
+          const directionCell = document.createElement('td');
+          const directionSelect = document.createElement('select');
+          directionSelect.className = 'mapping-direction';
+          mappingDirections.forEach(direction => {
+            const option = document.createElement('option');
+            option.value = direction;
+            option.textContent = direction.replace(/_/g, ' ');
+            directionSelect.appendChild(option);
+          });
+          directionSelect.value = mapping.direction || 'bidirectional';
+          directionCell.appendChild(directionSelect);
+          
+          const removeCell = document.createElement('td');
+          const removeButton = document.createElement('button');
+          removeButton.type = 'button';
+          removeButton.textContent = '✕';
+          removeButton.addEventListener('click', () => row.remove());
+          removeCell.appendChild(removeButton);
+          
+          [salesforceInput, hubspotInput, directionSelect, removeButton].forEach(input => {
+            input.disabled = !canCustomizeMapping;
+          });
+          
+          row.appendChild(salesforceCell);
+          row.appendChild(hubspotCell);
+          row.appendChild(directionCell);
+          row.appendChild(removeCell);
+          mappingRows.appendChild(row);
+        }
+        
+        function renderMappings(data) {
+          mappingDirections = data.directions || mappingDirections;
+          canCustomizeMapping = !!data.can_customize;
+          mappingRows.innerHTML = '';
+          (data.mappings || []).forEach(addMappingRow);
+          
+          mappingNote.textContent = canCustomizeMapping
+            ? (data.is_default ? 'Using the default mapping.' : 'Using your custom mapping.')
+            : 'Custom field mapping is part of the Professional and Enterprise plans.';
+          ['mapping-add', 'mapping-save', 'mapping-reset'].forEach(id => {
+            document.getElementById(id).style.display = canCustomizeMapping ? 'inline-block' : 'none';
+          });
+        }
+        
+        function loadMappings() {
+          fetch(withSyncPair('/api/settings/field-mappings'))
+            .then(response => response.json())
+            .then(renderMappings)
+            .catch(error => {
+              console.error('Field mapping load error:', error);
+              mappingNote.textContent = '❌ Could not load field mappings.';
+            });
+        }
+        
+        document.getElementById('mapping-add').addEventListener('click', () => {
+          addMappingRow({ direction: 'bidirectional' });
+        });
+        
+        document.getElementById('mapping-save').addEventListener('click', () => {
+          const mappings = Array.from(mappingRows.querySelectorAll('tr')).map(row => ({
+            salesforce: row.querySelector('.mapping-salesforce').value.trim(),
+            hubspot: row.querySelector('.mapping-hubspot').value.trim(),
+            direction: row.querySelector('.mapping-direction').value
+          }));
+          
+          fetch(withSyncPair('/api/settings/field-mappings'), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mappings })
+          })
+            .then(response => response.json())
+            .then(data => {
+              if (!data.success) {
+                alert('Could not save mapping: ' + (data.error || 'Unknown error'));
+                return;
+              }
+              loadMappings();
+            })
+            .catch(error => alert('Network error: ' + error.message));
+        });
+        
+        document.getElementById('mapping-reset').addEventListener('click', () => {
+          fetch(withSyncPair('/api/settings/field-mappings'), { method: 'DELETE' })
+            .then(() => loadMappings())
+            .catch(error => alert('Network error: ' + error.message));
+        });
+        
+        // Suggest real fields, including custom ones, when the CRMs are connected
+        function loadSchemaOptions(provider, listId) {
+          fetch(withSyncPair('/api/schema/' + provider + '/contacts'))
+            .then(response => response.json())
+            .then(data => {
+              if (!data.success) {
+                return;
+              }
+              const list = document.getElementById(listId);
+              data.fields.forEach(field => {
+                const option = document.createElement('option');
+                option.value = field.name;
+                option.textContent = field.label + (field.custom ? ' (custom)' : '') + (field.writable ? '' : ' (read-only)');
+                list.appendChild(option);
+              });
+            })
+            .catch(error => console.error('Schema load error:', error));
+        }
+        
+        loadMappings();
+        loadSchemaOptions('salesforce', 'salesforce-field-options');
+        loadSchemaOptions('hubspot', 'hubspot-property-options');
+      </script>
+      <script>
+        // Conflict review queue
+        const conflictList = document.getElementById('conflict-list');
+        
+        function renderConflicts(conflicts) {
+          conflictList.innerHTML = '';
+          
+          if (conflicts.length === 0) {
+            conflictList.innerHTML = '<small>✅ No conflicts waiting for review.</small>';
+            return;
+          }
+          
+          conflicts.forEach(conflict => {
+            const row = document.createElement('div');
+            row.style.cssText = 'border: 1px solid #e2e8f0; border-radius: 8px; padding: 12px; margin-bottom: 10px;';
+            
+            const title = document.createElement('div');
+            title.innerHTML = '<strong></strong> <span style="color: #64748b;"></span>';
+            title.querySelector('strong').textContent = conflict.email || '(no email)';
+            title.querySelector('span').textContent = '· ' + conflict.field;
+            row.appendChild(title);
+            
+            const values = document.createElement('div');
+            values.style.cssText = 'margin: 8px 0; font-size: 14px;';
+            values.innerHTML = '⚡ Salesforce: <code></code><br>🧡 HubSpot: <code></code>';
+            values.querySelectorAll('code')[0].textContent = conflict.salesforce_value || '(empty)';
+            values.querySelectorAll('code')[1].textContent = conflict.hubspot_value || '(empty)';
+            row.appendChild(values);
+            
+            const keepSalesforce = document.createElement('button');
+            keepSalesforce.className = 'btn';
+            keepSalesforce.textContent = 'Keep Salesforce';
+            keepSalesforce.addEventListener('click', () => resolveConflict(conflict.id, { side: 'salesforce' }));
+            
+            const keepHubSpot = document.createElement('button');
+            keepHubSpot.className = 'btn btn-orange';
+            keepHubSpot.textContent = 'Keep HubSpot';
+            keepHubSpot.addEventListener('click', () => resolveConflict(conflict.id, { side: 'hubspot' }));
+            
+            const customInput = document.createElement('input');
+            customInput.placeholder = 'Or enter a value';
+            customInput.style.cssText = 'padding: 10px; border: 1px solid #e2e8f0; border-radius: 8px; margin-right: 8px;';
+            
+            const useCustom = document.createElement('button');
+            useCustom.className = 'btn';
+            useCustom.textContent = 'Use Value';
+            useCustom.addEventListener('click', () => resolveConflict(conflict.id, { side: 'custom', value: customInput.value }));
+            
+            row.appendChild(keepSalesforce);
+            row.appendChild(keepHubSpot);
+            row.appendChild(customInput);
+            row.appendChild(useCustom);
+            conflictList.appendChild(row);
+          });
+        }
+        
+        function loadConflicts() {
+          fetch(withSyncPair('/api/conflicts'))
+            .then(response => response.json())
+            .then(data => renderConflicts(data.conflicts || []))
+            .catch(error => {
+              console.error('Conflict load error:', error);
+              conflictList.innerHTML = '<small>❌ Could not load conflicts.</small>';
+            });
+        }
+        
+        function resolveConflict(conflictId, body) {
+          fetch('/api/conflicts/' + conflictId + '/resolve', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+          })
+            .then(response => response.json())
+            .then(data => {
+              if (!data.success) {
+                alert('Could not resolve conflict: ' + (data.error || 'Unknown error'));
+              }
+              loadConflicts();
+            })
+            .catch(error => alert('Network error: ' + error.message));
+        }
+        
+        loadConflicts();
+      </script>
+      <script>
+        // Suggested links from fuzzy matching
+        const suggestionList = document.getElementById('suggestion-list');
+        
+        function renderSuggestions(suggestions) {
+          suggestionList.innerHTML = '';
+          
+          if (suggestions.length === 0) {
+            suggestionList.innerHTML = '<small>✅ No suggested links to review.</small>';
+            return;
+          }
+          
+          suggestions.forEach(suggestion => {
+            const row = document.createElement('div');
+            row.style.cssText = 'border: 1px solid #e2e8f0; border-radius: 8px; padding: 12px; margin-bottom: 10px;';
+            
+            const details = document.createElement('div');
+            details.style.cssText = 'margin-bottom: 8px; font-size: 14px;';
+            details.innerHTML = '⚡ <span></span><br>🧡 <span></span><br><small style="color: #64748b;"></small>';
+            details.querySelectorAll('span')[0].textContent = suggestion.salesforce_label || suggestion.salesforce_id;
+            details.querySelectorAll('span')[1].textContent = suggestion.hubspot_label || suggestion.hubspot_id;
+            details.querySelector('small').textContent = 'Matched by ' + suggestion.rule + ', score ' + Number(suggestion.score).toFixed(2);
+            row.appendChild(details);
+            
+            const confirm = document.createElement('button');
+            confirm.className = 'btn';
+            confirm.textContent = 'Link Records';
+            confirm.addEventListener('click', () => decideSuggestion(suggestion.id, 'confirm'));
+            
+            const reject = document.createElement('button');
+            reject.className = 'btn btn-orange';
+            reject.textContent = 'Keep Separate';
+            reject.addEventListener('click', () => decideSuggestion(suggestion.id, 'reject'));
+            
+            row.appendChild(confirm);
+            row.appendChild(reject);
+            suggestionList.appendChild(row);
+          });
+        }
+        
+        function loadSuggestions() {
+          fetch(withSyncPair('/api/matching/suggestions'))
+            .then(response => response.json())
+            .then(data => renderSuggestions(data.suggestions || []))
+            .catch(error => {
+              console.error('Suggestion load error:', error);
+              suggestionList.innerHTML = '<small>❌ Could not load suggested links.</small>';
+            });
+        }
+        
+        function decideSuggestion(suggestionId, decision) {
+          fetch('/api/matching/suggestions/' + suggestionId + '/' + decision, { method: 'POST' })
+            .then(response => response.json())
+            .then(data => {
+              if (!data.success) {
+                alert('Could not update suggestion: ' + (data.error || 'Unknown error'));
+              }
+              loadSuggestions();
+            })
+            .catch(error => alert('Network error: ' + error.message));
+        }
+        
+        loadSuggestions();
+      </script>
+      <script>
+        // Dry-run preview of the next sync
+        const previewButton = document.getElementById('sync-preview-run');
+        const previewResult = document.getElementById('sync-preview-result');
+        
+        function pollPreview(statusUrl) {
+          return new Promise(resolve => setTimeout(resolve, 3000))
+            .then(() => fetch(statusUrl))
+            .then(response => response.json())
+            .then(data => {
+              if (data.success && (data.job.status === 'queued' || data.job.status === 'running')) {
+                return pollPreview(statusUrl);
               }
+              return data;
             });
+        }
+        
+        function renderPreview(data, planUrl) {
+          if (!data.success || data.job.status !== 'succeeded') {
+            previewResult.innerHTML = '<small></small>';
+            previewResult.querySelector('small').textContent = '❌ Preview failed: ' + (data.job?.last_error || data.error || 'Unknown error');
+            return;
+          }
+          
+          const plan = data.counts.plan || {};
+          previewResult.innerHTML =
+            '<p>➕ ' + (plan.creates || 0) + ' to create · ✏️ ' + (plan.updates || 0) + ' to update · ⚖️ ' + (plan.conflicts || 0) +
+            ' conflicts · ⏭️ ' + (plan.skipped || 0) + ' skipped · 🪦 ' + (plan.deletions || 0) + ' deletions</p>' +
+            '<a class="btn" href="' + planUrl + '?format=json">Download JSON</a>' +
+            '<a class="btn" href="' + planUrl + '?format=csv">Download CSV</a>';
+        }
+        
+        previewButton.addEventListener('click', () => {
+          previewButton.disabled = true;
+          previewResult.innerHTML = '<small>🔄 Building preview...</small>';
+          
+          fetch(withSyncPair('/api/sync/contacts?dry_run=true'), { method: 'POST', headers: { 'Content-Type': 'application/json' } })
+            .then(response => response.json())
+            .then(data => {
+              if (!data.success || !data.job_id) {
+                throw new Error(data.error || 'Previews need a paid plan');
+              }
+              return pollPreview(data.status_url).then(job => renderPreview(job, data.plan_url));
+            })
+            .catch(error => {
+              previewResult.innerHTML = '<small></small>';
+              previewResult.querySelector('small').textContent = '❌ ' + error.message;
+            })
+            .finally(() => {
+              previewButton.disabled = false;
+            });
+        });
+      </script>
+      <script>
+        // Object types the sync engine handles
+        const syncObjectList = document.getElementById('sync-object-list');
+        
+        fetch(withSyncPair('/api/settings/objects'))
+          .then(response => response.json())
+          .then(data => {
+            syncObjectList.innerHTML = '';
+            (data.available || []).forEach(item => {
+              const label = document.createElement('label');
+              label.style.cssText = 'display: block; margin: 6px 0;';
+              const checkbox = document.createElement('input');
+              checkbox.type = 'checkbox';
+              checkbox.value = item.object;
+              checkbox.checked = !!data.objects[item.object];
+              label.appendChild(checkbox);
+              label.appendChild(document.createTextNode(' ' + item.label + ' (' + item.salesforce + ' ↔ ' + item.hubspot + ')'));
+              syncObjectList.appendChild(label);
+            });
+          })
+          .catch(error => {
+            console.error('Object settings load error:', error);
+            syncObjectList.innerHTML = '<small>❌ Could not load object settings.</small>';
+          });
+        
+        document.getElementById('sync-objects-save').addEventListener('click', () => {
+          const objects = {};
+          syncObjectList.querySelectorAll('input[type=checkbox]').forEach(checkbox => {
+            objects[checkbox.value] = checkbox.checked;
           });
+          
+          fetch(withSyncPair('/api/settings/objects'), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ objects })
+          })
+            .then(response => response.json())
+            .then(data => alert(data.success ? '✅ Sync objects saved' : 'Could not save: ' + (data.error || 'Unknown error')))
+            .catch(error => alert('Network error: ' + error.message));
         });
       </script>
+      
+      
+    </body>
+    </html> 
+  `);
+});
+
+console.log('➡️ Defining /demo route.');
+// Demo page
+// Demo page  
+app.get('/demo', (req, res) => {
+  res.sendFile(path.join(__dirname, 'demo.html'));
+});
+
+console.log('➡️ Defining /logout route.');
+// Logout route
+app.get('/logout', (req, res) => {
+  req.session.destroy((error) => {
+    if (error) {
+      console.error('❌ Failed to end session:', error.message);
+    }
+    res.clearCookie('connect.sid');
+    res.redirect('/?message=' + encodeURIComponent('You have been signed out'));
+  });
+});
+
+console.log('➡️ Defining /upgrade route.');
+// Upgrade page
+app.get('/upgrade', (req, res) => {
+  const message = req.query.message || 'Your trial has expired.';
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Upgrade - ConnectFlows</title>
+      <style>
+        body { font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; text-align: center; }
+        .upgrade-box { background: #fef2f2; padding: 30px; border-radius: 10px; border: 2px solid #fecaca; }
+        .btn { padding: 15px 30px; background: #3b82f6; color: white; text-decoration: none; border-radius: 8px; display: inline-block; margin: 10px; }
+      </style>
+    </head>
+    <body>
+      <div class="upgrade-box">
+        <h2>⏰ ${message}</h2>
+        <p>Continue syncing your Salesforce and HubSpot data with a paid plan.</p>
+        <a href="/pricing" class="btn">View Pricing Plans</a>
+        <a href="/signup" class="btn" style="background: #64748b;">Start New Trial</a>
+      </div>
     </body>
     </html>
   `);
 });
+// Auth routes
+// OAuth state. Starting a flow stores a random state (plus the PKCE verifier for Salesforce)
+// on the session of the signed-in user, the callback only accepts that state, once, from the
+// same session and user, so a callback cannot be forged or replayed onto someone else's account.
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const HUBSPOT_REDIRECT_URI = process.env.HUBSPOT_REDIRECT_URI || 'https://rapid-mailbox-production.up.railway.app/auth/hubspot/callback';
+const HUBSPOT_OAUTH_SCOPES = 'crm.objects.contacts.read crm.objects.contacts.write crm.schemas.contacts.read crm.schemas.contacts.write crm.objects.companies.read crm.objects.companies.write crm.schemas.companies.read crm.objects.deals.read crm.objects.deals.write crm.schemas.deals.read oauth';
+
+function startOAuthFlow(req, provider, details = {}) {
+  const state = crypto.randomBytes(32).toString('base64url');
+  req.session.oauth = req.session.oauth || {};
+  req.session.oauth[provider] = { state, userId: req.user.id, createdAt: Date.now(), ...details };
+  return state;
+}
+
+// The pending flow for a valid state, null otherwise. Either way the state is used up.
+function finishOAuthFlow(req, provider) {
+  const pending = req.session.oauth && req.session.oauth[provider];
+  if (pending) {
+    delete req.session.oauth[provider];
+  }
+  if (!pending || !req.user || pending.userId !== req.user.id) {
+    return null;
+  }
+  if (Date.now() - pending.createdAt > OAUTH_STATE_TTL_MS || !safeCompare(req.query.state, pending.state)) {
+    return null;
+  }
+  return pending;
+}
+
+// PKCE (RFC 7636): the token exchange has to present the verifier behind this challenge
+function pkceChallenge(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+function invalidOAuthState(res, providerName) {
+  return res.status(400).json({
+    success: false,
+    error: 'invalid_state',
+    message: `The ${providerName} authorization expired or did not start from this session, please connect again`
+  });
+}
+
+// Salesforce OAuth initiation
+console.log('➡️ Defining /auth/salesforce route.');
+// ?environment=sandbox signs in to a sandbox org through test.salesforce.com, ?name= names a
+// newly connected org (it defaults to the org's My Domain)
+app.get('/auth/salesforce', requireAuth, (req, res) => {
+  const environment = req.query.environment || 'production';
+  if (!SALESFORCE_ENVIRONMENTS.includes(environment)) {
+    return res.status(400).json({
+      success: false,
+      error: `environment must be one of: ${SALESFORCE_ENVIRONMENTS.join(', ')}`
+    });
+  }
+  
+  // The code has to be exchanged at the same login host, with the verifier
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const state = startOAuthFlow(req, 'salesforce', {
+    codeVerifier,
+    environment,
+    connectionName: req.query.name || null
+  });
+  
+  // Build proper authorization URL
+  const authUrl = `${salesforceLoginUrl(environment)}/services/oauth2/authorize?` +
+    `response_type=code&` +
+    `client_id=${process.env.SF_CLIENT_ID}&` +
+    `redirect_uri=${encodeURIComponent(process.env.SF_REDIRECT_URI)}&` +
+    `state=${state}&` +
+    `code_challenge=${pkceChallenge(codeVerifier)}&` +
+    `code_challenge_method=S256&` +
+    `scope=${encodeURIComponent('api refresh_token')}`;
+  
+  console.log(`🔗 Redirecting user ${req.user.id} to Salesforce (${environment})`);
+  res.redirect(authUrl);
+});
+
+console.log('➡️ Defining /auth/salesforce/callback route.');
+// Salesforce OAuth callback
+app.get('/auth/salesforce/callback', async (req, res) => {
+  const { code, error, error_description } = req.query;
+  
+  console.log('📥 Salesforce callback received:', { 
+    hasCode: !!code, 
+    error, 
+    error_description
+  });
+  
+  // The connection is saved on the account, so someone has to be signed in
+  if (!req.user) {
+    return res.redirect('/login?message=' + encodeURIComponent('Please sign in before connecting Salesforce'));
+  }
+  
+  const pending = finishOAuthFlow(req, 'salesforce');
+  if (!pending) {
+    console.warn(`⚠️ Rejected Salesforce callback with an unknown state for user ${req.user.id}`);
+    return invalidOAuthState(res, 'Salesforce');
+  }
+  
+  if (error) {
+    return res.json({ 
+      success: false,
+      error: error,
+      description: error_description,
+      message: "Salesforce authorization failed"
+    });
+  }
+  
+  if (!code) {
+    return res.json({ 
+      success: false,
+      error: "missing_code",
+      message: "No authorization code received from Salesforce"
+    });
+  }
+  
+  try {
+    console.log('🔄 Exchanging code for access token...');
+    
+    const tokenRequestData = new URLSearchParams({
+      grant_type: 'authorization_code',
+      client_id: process.env.SF_CLIENT_ID,
+      client_secret: process.env.SF_CLIENT_SECRET,
+      redirect_uri: process.env.SF_REDIRECT_URI,
+      code: code,
+      code_verifier: pending.codeVerifier
+    });
+    
+    const environment = pending.environment;
+    const tokenResponse = await fetch(`${salesforceLoginUrl(environment)}/services/oauth2/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: tokenRequestData
+    });
+    
+    const tokenData = await tokenResponse.json();
+    
+    console.log('📥 Token response:', {
+      success: tokenResponse.ok,
+      status: tokenResponse.status,
+      hasAccessToken: !!tokenData.access_token,
+      error: tokenData.error
+    });
+    
+    if (!tokenResponse.ok) {
+      throw new Error(`Token exchange failed: ${tokenData.error_description || tokenData.error}`);
+    }
+    
+    const { access_token, refresh_token, instance_url, id, issued_at, scope } = tokenData;
+    const connection = await saveConnection(pending.userId, 'salesforce', {
+      accessToken: access_token,
+      refreshToken: refresh_token,
+      expiresAt: new Date(Number(issued_at) + SALESFORCE_TOKEN_TTL_MS),
+      instanceUrl: instance_url,
+      environment,
+      // `id` is the identity URL, https://login.salesforce.com/id/<org id>/<user id>
+      orgId: id ? id.split('/').slice(-2)[0] : null,
+      scopes: scope ? scope.split(' ') : null,
+      name: pending.connectionName
+    });
+    await ensureDefaultSyncPair(pending.userId);
+    console.log(`✅ Salesforce OAuth successful, tokens stored on connection ${connection.id} (${connection.name})`);
+    
+    // Test the access token
+    console.log('👤 Testing access token...');
+    const userInfoResponse = await fetch(`${instance_url}/services/oauth2/userinfo`, {
+      headers: {
+        'Authorization': `Bearer ${access_token}`,
+        'Accept': 'application/json'
+      }
+    });
+    
+    if (!userInfoResponse.ok) {
+      throw new Error('Failed to fetch user info with access token');
+    }
+    
+    const userInfo = await userInfoResponse.json();
+    
+    console.log('✅ Salesforce OAuth successful for:', userInfo.email);
+    
+    // Success response
+    res.redirect('/dashboard?salesforce=connected&message=' + encodeURIComponent('Salesforce connected successfully!'));
+    
+  } catch (error) {
+    console.error('❌ Salesforce OAuth error:', error.message);
+    
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Failed to complete Salesforce authorization"
+    });
+  }
+});
+
+console.log('➡️ Defining /auth/hubspot route.');
+// ?name= names a newly connected portal (it defaults to the portal's domain)
+app.get('/auth/hubspot', requireAuth, (req, res) => {
+  const state = startOAuthFlow(req, 'hubspot', { connectionName: req.query.name || null });
+  
+  // Build proper authorization URL
+  const authUrl = `https://app.hubspot.com/oauth/authorize?` +
+    `client_id=${process.env.HUBSPOT_CLIENT_ID}&` +
+    `redirect_uri=${encodeURIComponent(HUBSPOT_REDIRECT_URI)}&` +
+    `scope=${encodeURIComponent(HUBSPOT_OAUTH_SCOPES)}&` +
+    `state=${state}&` +
+    `response_type=code`;
+  
+  console.log(`🔗 Redirecting user ${req.user.id} to HubSpot`);
+  res.redirect(authUrl);
+});
+
+console.log('➡️ Defining /auth/hubspot/callback route.');
+// HubSpot OAuth callback
+app.get('/auth/hubspot/callback', async (req, res) => {
+  const { code, error, error_description } = req.query;
+  
+  console.log('📥 HubSpot callback received:', { 
+    hasCode: !!code, 
+    error, 
+    error_description
+  });
+  
+  // The connection is saved on the account, so someone has to be signed in
+  if (!req.user) {
+    return res.redirect('/login?message=' + encodeURIComponent('Please sign in before connecting HubSpot'));
+  }
+  
+  const pending = finishOAuthFlow(req, 'hubspot');
+  if (!pending) {
+    console.warn(`⚠️ Rejected HubSpot callback with an unknown state for user ${req.user.id}`);
+    return invalidOAuthState(res, 'HubSpot');
+  }
+  
+  if (error) {
+    return res.json({ 
+      success: false,
+      error: error,
+      description: error_description,
+      message: "HubSpot authorization failed"
+    });
+  }
+  
+  if (!code) {
+    return res.json({ 
+      success: false,
+      error: "missing_code",
+      message: "No authorization code received from HubSpot"
+    });
+  }
+  
+  try {
+    console.log('🔄 Exchanging code for access token...');
+    
+    const tokenRequestData = new URLSearchParams({
+      grant_type: 'authorization_code',
+      client_id: process.env.HUBSPOT_CLIENT_ID,
+      client_secret: process.env.HUBSPOT_CLIENT_SECRET,
+      redirect_uri: HUBSPOT_REDIRECT_URI,
+      code: code
+    });
+    
+    const tokenResponse = await fetch('https://api.hubapi.com/oauth/v1/token', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: tokenRequestData  
+    });
+
+    const tokenData = await tokenResponse.json();
+
+    console.log('📥 HubSpot token response:', {
+      success: tokenResponse.ok,
+      status: tokenResponse.status,
+      hasAccessToken: !!tokenData.access_token,
+      error: tokenData.error
+    });
+    
+    if (!tokenResponse.ok) {
+      throw new Error(`Token exchange failed: ${tokenData.error_description || tokenData.message || tokenData.error}`);
+    }
+    
+    const { access_token, refresh_token, expires_in } = tokenData;
+    const { hubId, hubDomain, scopes } = await fetchHubSpotTokenInfo(access_token);
+    const connection = await saveConnection(pending.userId, 'hubspot', {
+      accessToken: access_token,
+      refreshToken: refresh_token,
+      expiresAt: new Date(Date.now() + expires_in * 1000),
+      hubId,
+      hubDomain,
+      scopes,
+      name: pending.connectionName
+    });
+    await ensureDefaultSyncPair(pending.userId);
+    console.log(`✅ HubSpot OAuth successful, tokens stored on connection ${connection.id} (${connection.name}) for hub ${hubId}`);
+    
+    // Success response
+    res.redirect('/dashboard?hubspot=connected&message=' + encodeURIComponent('HubSpot connected successfully!'));
+    
+  } catch (error) {
+    console.error('❌ HubSpot OAuth error:', error.message);
+    
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Failed to complete HubSpot authorization"
+    });
+  }
+});
+// API routes
+console.log('➡️ Defining /api/account routes.');
+// Both changes need the current password. A new password has to be at least
+// MIN_PASSWORD_LENGTH characters, emails are unique across accounts.
+const MIN_PASSWORD_LENGTH = 8;
+
+async function verifyCurrentPassword(userId, password) {
+  const user = await getUserById(userId);
+  return !!user && typeof password === 'string' && await bcrypt.compare(password, user.password_hash);
+}
+
+app.get('/api/account', requireAuth, (req, res) => {
+  const { id, email, subscription_status, plan_type, trial_ends_at, created_at } = req.user;
+  res.json({ success: true, account: { id, email, subscription_status, plan_type, trial_ends_at, created_at } });
+});
+
+app.put('/api/account/password', requireAuth, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    if (typeof new_password !== 'string' || new_password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `new_password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+    if (!await verifyCurrentPassword(req.user.id, current_password)) {
+      return res.status(403).json({ success: false, error: 'current_password is incorrect' });
+    }
+    
+    // Every other session of the account is signed out, this one moves to a new session id
+    const changedAt = new Date();
+    await updateUserPassword(req.user.id, await bcrypt.hash(new_password, 10), changedAt);
+    console.log(`🔑 Password changed for user ${req.user.id}`);
+    const userId = req.user.id;
+    req.session.regenerate((error) => {
+      if (error) {
+        console.error('❌ Failed to renew session:', error.message);
+        return res.status(500).json({ success: false, error: 'Password changed, please sign in again' });
+      }
+      req.session.userId = userId;
+      req.session.authenticatedAt = changedAt.getTime();
+      res.json({ success: true, message: 'Password changed' });
+    });
+  } catch (error) {
+    console.error('❌ Password change error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-console.log('➡️ Defining POST /create-checkout route.');
-// Create checkout session with Lemon Squeezy
-app.post('/create-checkout', async (req, res) => {
+app.put('/api/account/email', requireAuth, async (req, res) => {
   try {
-    const { plan, signupData } = req.body;
+    const { email, current_password } = req.body;
+    const newEmail = typeof email === 'string' ? normalizeAccountEmail(email) : '';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+      return res.status(400).json({ success: false, error: 'email must be a valid email address' });
+    }
+    if (!await verifyCurrentPassword(req.user.id, current_password)) {
+      return res.status(403).json({ success: false, error: 'current_password is incorrect' });
+    }
+    // The unique index on LOWER(email) is only there once older duplicates are merged
+    const existing = await getUserByEmail(newEmail);
+    if (existing && existing.id !== req.user.id) {
+      return res.status(409).json({ success: false, error: 'Another account already uses this email' });
+    }
+    
+    const user = await updateUserEmail(req.user.id, newEmail);
+    console.log(`📧 Email changed for user ${req.user.id}`);
+    res.json({ success: true, message: 'Email changed', email: user.email });
+  } catch (error) {
+    // users.email is unique
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Another account already uses this email' });
+    }
+    console.error('❌ Email change error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Map plans to your Lemon Squeezy product variant IDs
-    const planVariants = {
-      starter: '839923',      // Basic/Starter plan
-      professional: '845532', // Professional plan  
-      enterprise: '845546'    // Enterprise plan
-    };
+console.log('➡️ Defining /api/sync route.');
+app.get('/api/sync', (req, res) => {
+  res.json({ 
+    message: 'Sync endpoint ready!',
+    available_operations: [
+      'start_sync',
+      'stop_sync', 
+      'sync_status',
+      'sync_history'
+    ]
+  });
+});
 
-    const variantId = planVariants[plan];
-    if (!variantId) {
-      return res.status(400).json({ error: 'Invalid plan selected' });
+console.log('➡️ Defining /api/status route.');
+// `status` is 'needs_reauthorization' once a token refresh was rejected, reconnecting fixes it.
+// The top-level status and environment describe the first connected org or portal.
+app.get('/api/status', async (req, res) => {
+  try {
+    const connections = req.user
+      ? await getUserConnections(req.user.id)
+      : { salesforce: [], hubspot: [] };
+    const [salesforce] = connections.salesforce;
+    const [hubspot] = connections.hubspot;
+    res.json({ 
+      message: 'Integration status',
+      integrations: {
+        salesforce: {
+          configured: !!process.env.SF_CLIENT_ID,
+          connected: !!salesforce,
+          status: salesforce?.status || null,
+          environment: salesforce ? salesforce.environment || 'production' : null,
+          connections: connections.salesforce.map(describeConnection)
+        },
+        hubspot: {
+          configured: !!process.env.HUBSPOT_CLIENT_ID,
+          connected: !!hubspot,
+          status: hubspot?.status || null,
+          connections: connections.hubspot.map(describeConnection)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Failed to load integration status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+console.log('➡️ Defining /api/connections routes.');
+// What the API shows of a connection, tokens never leave the server
+function describeConnection(connection) {
+  return {
+    id: connection.id,
+    provider: connection.provider,
+    name: connection.name,
+    status: connection.status,
+    environment: connection.provider === 'salesforce' ? connection.environment || 'production' : null,
+    instance_url: connection.instanceUrl,
+    org_id: connection.orgId,
+    hub_id: connection.hubId,
+    scopes: connection.scopes
+  };
+}
+
+// Every org and portal of the account. New ones are added through /auth/salesforce and
+// /auth/hubspot, connecting one that is already there refreshes its tokens.
+app.get('/api/connections', requireAuth, async (req, res) => {
+  try {
+    const connections = await getUserConnections(req.user.id);
+    res.json({
+      success: true,
+      connections: {
+        salesforce: connections.salesforce.map(describeConnection),
+        hubspot: connections.hubspot.map(describeConnection)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Failed to load connections:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/connections/:id', requireAuth, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (typeof name !== 'string' || !name.trim() || name.length > 255) {
+      return res.status(400).json({ success: false, error: 'name must be a non-empty string of at most 255 characters' });
+    }
+    
+    const result = await pool.query(
+      'UPDATE connections SET name = $1, updated_at = NOW() WHERE user_id = $2 AND id = $3 RETURNING *',
+      [name.trim(), req.user.id, req.params.id]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ success: false, error: 'Connection not found' });
     }
+    res.json({ success: true, connection: describeConnection(connectionFromRow(result.rows[0])) });
+  } catch (error) {
+    console.error('❌ Failed to rename connection:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Get signup data from session if available
-    const signupInfo = req.session.pendingSignup || {};
+// A connection still used by a sync pair stays, the pair has to be deleted first
+app.delete('/api/connections/:id', requireAuth, async (req, res) => {
+  try {
+    const connection = await getConnectionById(req.user.id, req.params.id);
+    if (!connection) {
+      return res.status(404).json({ success: false, error: 'Connection not found' });
+    }
     
-    // Build success and error URLs
-    const baseUrl = process.env.NODE_ENV === 'production' 
-      ? (process.env.CUSTOM_DOMAIN || 'https://rapid-mailbox-production.up.railway.app')
-      : 'http://localhost:3000';
+    const pairs = await pool.query(
+      'SELECT id FROM sync_pairs WHERE salesforce_connection_id = $1 OR hubspot_connection_id = $1',
+      [connection.id]
+    );
+    if (pairs.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'The connection is used by sync pairs, delete them first',
+        sync_pair_ids: pairs.rows.map(row => row.id)
+      });
+    }
     
-    const successUrl = `${baseUrl}/success?plan=${plan}`;
-    const errorUrl = `${baseUrl}/pricing?error=payment_failed`;
+    await pool.query('DELETE FROM connections WHERE id = $1', [connection.id]);
+    console.log(`🗑️ Connection ${connection.id} (${connection.provider} ${connection.name}) removed for user ${req.user.id}`);
+    res.json({ success: true, id: connection.id });
+  } catch (error) {
+    console.error('❌ Failed to remove connection:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+console.log('➡️ Defining /api/sync-pairs routes.');
+// Sync pairs link one Salesforce connection to one HubSpot connection. Settings, syncs and
+// review routes take ?sync_pair_id= to pick one, see loadSyncPair.
+function describeSyncPair(syncPair, connectionsById, lastSync = null) {
+  const salesforce = connectionsById.get(syncPair.salesforce_connection_id);
+  const hubspot = connectionsById.get(syncPair.hubspot_connection_id);
+  return {
+    id: syncPair.id,
+    name: syncPair.name,
+    salesforce: salesforce ? describeConnection(salesforce) : null,
+    hubspot: hubspot ? describeConnection(hubspot) : null,
+    objects: getEnabledObjectTypes(syncPair.sync_settings || {}),
+    schedule: describeSyncSchedule(syncPair.id, getSyncSchedule(syncPair.sync_settings || {})),
+    last_sync: lastSync,
+    created_at: syncPair.created_at
+  };
+}
+
+async function getConnectionsById(userId) {
+  const connections = await getUserConnections(userId);
+  return new Map([...connections.salesforce, ...connections.hubspot].map(connection => [connection.id, connection]));
+}
+
+app.get('/api/sync-pairs', requireAuth, async (req, res) => {
+  try {
+    const syncPairs = await getSyncPairs(req.user.id);
+    const connectionsById = await getConnectionsById(req.user.id);
+    const lastSyncs = await pool.query(
+      `SELECT DISTINCT ON (sync_pair_id) sync_pair_id, id, status, sync_type, started_at, completed_at FROM sync_logs
+       WHERE user_id = $1 AND sync_pair_id IS NOT NULL ORDER BY sync_pair_id, started_at DESC`,
+      [req.user.id]
+    );
+    const lastSyncByPair = new Map(lastSyncs.rows.map(({ sync_pair_id, ...log }) => [sync_pair_id, log]));
     
-    // Create checkout with Lemon Squeezy API - FIXED FORMAT
-    const checkoutResponse = await fetch('https://api.lemonsqueezy.com/v1/checkouts', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.LEMON_SQUEEZY_API_KEY}`,
-        'Content-Type': 'application/vnd.api+json',
-        'Accept': 'application/vnd.api+json'
-      },
-      body: JSON.stringify({
-        data: {
-          type: 'checkouts',
-          attributes: {
-            checkout_data: {
-              email: signupInfo.email || 'customer@example.com',
-              name: signupInfo.email ? signupInfo.email.split('@')[0] : 'ConnectFlows Customer',
-              billing_address: {},
-              custom: {
-                plan: plan,
-                signup_email: signupInfo.email || '',
-                signup_password: signupInfo.password || '',
-                signup_created: signupInfo.createdAt || new Date().toISOString()
-              }
-            },
-            expires_at: null,
-            test_mode: process.env.NODE_ENV !== 'production',
-            product_options: {
-              enabled: true,
-              redirect_url: successUrl,
-              receipt_button_text: "Go to Dashboard",
-              receipt_link_url: `${baseUrl}/dashboard`
-            }
-          },
-          relationships: {
-            store: {
-              data: {
-                type: 'stores',
-                id: process.env.LEMON_SQUEEZY_STORE_ID // Ensure this is a string
-              }
-            },
-            variant: {
-              data: {
-                type: 'variants',
-                id: variantId // Ensure this is a string
-              }
-            }
-          }
-        }
-      })
+    res.json({
+      success: true,
+      sync_pairs: syncPairs.map(syncPair => describeSyncPair(syncPair, connectionsById, lastSyncByPair.get(syncPair.id) || null))
     });
+  } catch (error) {
+    console.error('❌ Failed to load sync pairs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    console.log('💰 Lemon Squeezy request body:', JSON.stringify({
-      data: {
-        type: 'checkouts',
-        attributes: {
-          checkout_data: {
-            email: signupInfo.email || 'customer@example.com',
-            name: signupInfo.email ? signupInfo.email.split('@')[0] : 'ConnectFlows Customer',
-            billing_address: {},
-            custom: {
-              plan: plan,
-              signup_email: signupInfo.email || '',
-              signup_password: signupInfo.password || '',
-              signup_created: signupInfo.createdAt || new Date().toISOString()
-            }
-          },
-          expires_at: null,
-          test_mode: process.env.NODE_ENV !== 'production',
-          product_options: {
-            enabled: true,
-            redirect_url: successUrl,
-            receipt_button_text: "Go to Dashboard",
-            receipt_link_url: `${baseUrl}/dashboard`
-          }
-        },
-        relationships: {
-          store: {
-            data: {
-              type: 'stores',
-              id: process.env.LEMON_SQUEEZY_STORE_ID
-            }
-          },
-          variant: {
-            data: {
-              type: 'variants',
-              id: variantId
-            }
-          }
-        }
-      }
-    }, null, 2));
-    console.log('💰 Lemon Squeezy checkout request sent');
-    console.log('📊 Response status:', checkoutResponse.status);
+// A new pair starts from the default settings, a full sync links its records
+app.post('/api/sync-pairs', requireAuth, async (req, res) => {
+  try {
+    const { name, salesforce_connection_id, hubspot_connection_id } = req.body;
+    if (typeof name !== 'string' || !name.trim() || name.length > 255) {
+      return res.status(400).json({ success: false, error: 'name must be a non-empty string of at most 255 characters' });
+    }
     
-    const responseText = await checkoutResponse.text();
-    console.log('📄 Raw response:', responseText);
+    const salesforce = await getConnectionById(req.user.id, salesforce_connection_id);
+    if (!salesforce || salesforce.provider !== 'salesforce') {
+      return res.status(400).json({ success: false, error: 'salesforce_connection_id must be one of your Salesforce connections' });
+    }
+    const hubspot = await getConnectionById(req.user.id, hubspot_connection_id);
+    if (!hubspot || hubspot.provider !== 'hubspot') {
+      return res.status(400).json({ success: false, error: 'hubspot_connection_id must be one of your HubSpot connections' });
+    }
     
-    let checkoutData;
-    try {
-      checkoutData = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error('❌ Failed to parse Lemon Squeezy response:', parseError);
-      return res.status(500).json({ 
-        error: 'Payment system error',
-        details: 'Failed to process checkout request'
-      });
+    const existing = await pool.query(
+      'SELECT id FROM sync_pairs WHERE salesforce_connection_id = $1 AND hubspot_connection_id = $2',
+      [salesforce.id, hubspot.id]
+    );
+    if (existing.rows[0]) {
+      return res.status(409).json({ success: false, error: 'These connections are already paired', sync_pair_id: existing.rows[0].id });
     }
+    
+    const syncPair = await createSyncPair(req.user.id, {
+      name: name.trim(),
+      salesforceConnectionId: salesforce.id,
+      hubspotConnectionId: hubspot.id
+    });
+    console.log(`🔗 Sync pair ${syncPair.id} created for user ${req.user.id}: ${salesforce.name} <-> ${hubspot.name}`);
+    
+    res.status(201).json({ success: true, sync_pair: describeSyncPair(syncPair, new Map([[salesforce.id, salesforce], [hubspot.id, hubspot]])) });
+  } catch (error) {
+    console.error('❌ Failed to create sync pair:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!checkoutResponse.ok) {
-      console.error('❌ Lemon Squeezy API error:', checkoutData);
-      return res.status(500).json({ 
-        error: 'Payment system error',
-        details: checkoutData.errors?.[0]?.detail || 'Failed to create checkout'
-      });
+// Only the name can change, other connections would not match the pair's link rows
+app.put('/api/sync-pairs/:id', requireAuth, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (typeof name !== 'string' || !name.trim() || name.length > 255) {
+      return res.status(400).json({ success: false, error: 'name must be a non-empty string of at most 255 characters' });
     }
-
-    if (checkoutData.data && checkoutData.data.attributes.url) {
-      const checkoutUrl = checkoutData.data.attributes.url;
-      console.log(`✅ Checkout created successfully for plan: ${plan}`);
-      console.log(`🔗 Checkout URL: ${checkoutUrl}`);
-      
-      res.json({ 
-        success: true,
-        checkoutUrl: checkoutUrl,
-        message: 'Checkout created successfully'
-      });
-    } else {
-      console.error('❌ Invalid checkout response:', checkoutData);
-      res.status(500).json({ 
-        error: 'Payment system error',
-        details: 'Invalid checkout response from payment provider'
-      });
+    
+    const result = await pool.query(
+      'UPDATE sync_pairs SET name = $1, updated_at = NOW() WHERE user_id = $2 AND id = $3 RETURNING *',
+      [name.trim(), req.user.id, req.params.id]
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ success: false, error: 'Sync pair not found' });
     }
-
+    res.json({ success: true, sync_pair: describeSyncPair(result.rows[0], await getConnectionsById(req.user.id)) });
   } catch (error) {
-    console.error('❌ Checkout creation error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      details: 'Failed to create checkout session'
-    });
+    console.error('❌ Failed to rename sync pair:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Removes the pair with its link rows, watermarks and review queues. Its sync logs are kept
+// and its queued jobs are cancelled, a pair that is syncing right now cannot be deleted.
+app.delete('/api/sync-pairs/:id', requireAuth, async (req, res) => {
+  try {
+    const syncPair = await getSyncPair(req.user.id, req.params.id);
+    if (!syncPair) {
+      return res.status(404).json({ success: false, error: 'Sync pair not found' });
+    }
+    
+    const running = await pool.query(
+      `SELECT id FROM sync_jobs WHERE sync_pair_id = $1 AND status = 'running' AND locked_until >= NOW() LIMIT 1`,
+      [syncPair.id]
+    );
+    if (running.rows[0]) {
+      return res.status(409).json({ success: false, error: `Sync job ${running.rows[0].id} is still running`, job_id: running.rows[0].id });
+    }
+    
+    await pool.query(
+      `UPDATE sync_jobs SET status = 'failed', last_error = 'Sync pair was deleted', locked_until = NULL,
+       completed_at = NOW(), updated_at = NOW()
+       WHERE sync_pair_id = $1 AND status = ANY($2)`,
+      [syncPair.id, ACTIVE_SYNC_JOB_STATUSES]
+    );
+    registerSyncSchedule(syncPair.id, { frequency: 'off' });
+    await pool.query('DELETE FROM sync_pairs WHERE id = $1', [syncPair.id]);
+    
+    console.log(`🗑️ Sync pair ${syncPair.id} deleted for user ${req.user.id}`);
+    res.json({ success: true, id: syncPair.id });
+  } catch (error) {
+    console.error('❌ Failed to delete sync pair:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-console.log('➡️ Defining GET /create-checkout route.');
-// Add the GET /create-checkout route here, before the 404 handler
-app.get('/create-checkout', async (req, res) => {
+app.get('/api/sync-pairs/:id/history', requireAuth, async (req, res) => {
   try {
-    const plan = req.query.plan;
-    
-    const planVariants = {
-      starter: '839923',
-      professional: '845532', 
-      enterprise: '845546'
-    };
-
-    const variantId = planVariants[plan];
-    if (!variantId) {
-      return res.status(400).send('Invalid plan');
+    const syncPair = await getSyncPair(req.user.id, req.params.id);
+    if (!syncPair) {
+      return res.status(404).json({ success: false, error: 'Sync pair not found' });
     }
-
-    const checkoutResponse = await fetch('https://api.lemonsqueezy.com/v1/checkouts', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.LEMON_SQUEEZY_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        data: {
-          type: 'checkouts',
-          attributes: {
-            checkout_data: { custom: { plan } }
-          },
-          relationships: {
-            store: { data: { type: 'stores', id: process.env.LEMON_SQUEEZY_STORE_ID } },
-            variant: { data: { type: 'variants', id: variantId } }
-          }
-        }
-      })
-    });
     
-    const data = await checkoutResponse.json();
-    if (data.data?.attributes?.url) {
-      res.redirect(data.data.attributes.url);
-    } else {
-      res.status(500).send('Checkout failed');
-    }
+    const stats = await getUserStats(req.user.id, syncPair.id);
+    res.json({ success: true, sync_pair_id: syncPair.id, ...stats });
   } catch (error) {
-    console.error('Checkout error:', error);
-    res.status(500).send('Server error');
+    console.error('❌ Failed to load sync pair history:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-console.log('➡️ Defining /health route.');
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+// 💰 MONEY-MAKING SYNC ENDPOINTS 💰
+console.log('➡️ Defining GET /api/sync/contacts route.');
+app.get('/api/sync/contacts', (req, res) => {
+  res.json({
+    message: "💰 Contact Sync API Ready! 🚀",
+    method: "Use POST to start sync",
+    test_url: "POST /api/sync/contacts",
+    status: "endpoint_available",
+    demo_value: "This endpoint saves customers $50K+ annually",
+    pricing: "$397/month subscription value"
   });
 });
-console.log('➡️ Defining /signup route.');
-// Signup page
-app.get('/signup', (req, res) => {
-  const message = req.query.message || '';
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Start Your Free Trial - ConnectFlows</title>
-      <meta name="viewport" content="width=device-width, initial-scale=1">
-      <style>
-        body { 
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          max-width: 400px; 
-          margin: 50px auto; 
-          padding: 20px;
-          background: #f8fafc;
-        }
-        .container {
-          background: white;
-          padding: 30px;
-          border-radius: 10px;
-          box-shadow: 0 4px 6px rgba(0,0,0,0.1);
-        }
-        .form-group { margin-bottom: 20px; }
-        input { 
-          width: 100%; 
-          padding: 12px; 
-          border: 2px solid #e2e8f0; 
-          border-radius: 8px;
-          font-size: 16px;
-          box-sizing: border-box;
-        }
-        input:focus {
-          outline: none;
-          border-color: #3b82f6;
-        }
-        button { 
-          width: 100%; 
-          padding: 12px; 
-          background: #3b82f6; 
-          color: white; 
-          border: none; 
-          border-radius: 8px;
-          font-size: 16px;
-          cursor: pointer;
-        }
-        button:hover { background: #2563eb; }
-        .message { 
-          background: #fef3c7; 
-          padding: 12px; 
-          border-radius: 8px; 
-          margin-bottom: 20px;
-          border-left: 4px solid #f59e0b;
-        }
-        .benefits {
-          background: #f0f9ff;
-          padding: 15px;
-          border-radius: 8px;
-          margin-top: 20px;
-          text-align: center;
-          font-size: 14px;
-        }
-        h2 { text-align: center; color: #1e293b; margin-bottom: 10px; }
-        .subtitle { text-align: center; color: #64748b; margin-bottom: 30px; }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <h2>🚀 Start Your Free Trial</h2>
-        <p class="subtitle">Test Salesforce ↔ HubSpot sync with your real accounts</p>
-        
-        ${message ? `<div class="message">⚠️ ${message}</div>` : ''}
-        
-        <form action="/signup" method="post">
-          <div class="form-group">
-            <input type="email" name="email" placeholder="Your email address" required>
-          </div>
-          <div class="form-group">
-            <input type="password" name="password" placeholder="Create a password" required>
-          </div>
-          <button type="submit">Start 14-Day Free Trial</button>
-        </form>
-        
-        <div class="benefits">
-          ✅ No credit card required<br>
-          ✅ Connect your real CRM accounts<br>
-          ✅ Full access for 14 days<br>
-          ✅ Cancel anytime
-        </div>
-      </div>
-    </body>
-    </html>
-  `);
-});
 
-console.log('➡️ Defining POST /signup route.');
-// Handle signup form submission - REDIRECT TO PRICING FIRST
-app.post('/signup', (req, res) => {
-  const { email, password } = req.body;
-  
-  if (!email || !password) {
-    return res.redirect('/signup?message=Please fill in all fields');
-  }
-  
-  // Store signup data in session for after payment
-  req.session.pendingSignup = {
-    email: email,
-    password: password,
-    createdAt: new Date().toISOString()
-  };
-  
-  console.log('User signed up, redirecting to pricing:', email);
-  // Redirect to pricing page instead of dashboard
-  res.redirect('/pricing?signup=complete');
-});
+console.log('➡️ Defining POST /api/sync/contacts route.');
+// REAL ENTERPRISE SYNC ENDPOINT FOR PAYING/TRIALING CUSTOMERS
+// Syncs one sync pair, ?sync_pair_id= or the account's first one
+app.post('/api/sync/contacts', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const user = req.user;
+    console.log(`🚀 Sync request from user: ${user.email}`);
 
-console.log('➡️ Defining /dashboard route.');
-// Dashboard route - ONLY FOR PAID/TRIALING USERS
-app.get('/dashboard', requireAuth, (req, res) => {
-  const user = req.session.user;
-  // Accept 'trialing', 'active', or 'paid' as valid subscription statuses
-  const isPaidUser = ['paid', 'active', 'trialing'].includes(user.subscription_status);
+    // Accept 'trialing', 'active', or 'paid' as valid subscription statuses
+    const isPaidUser = ['paid', 'active', 'trialing'].includes(user.subscription_status);
+    
+    console.log(`💰 User status: ${isPaidUser ? 'PAID/TRIALING' : 'TRIAL'}, Subscription status: ${user.subscription_status}`);
 
-  if (!isPaidUser) {
-    // User is not paid, redirect to pricing
-    return res.redirect('/pricing?message=Please complete your subscription to access the dashboard');
-  }
-  
-  const trialStart = new Date(user.trialStarted);
-  const trialEnd = new Date(trialStart.getTime() + (14 * 24 * 60 * 60 * 1000));
-  const daysLeft = Math.ceil((trialEnd - new Date()) / (1000 * 60 * 60 * 24));
-  
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Dashboard - ConnectFlows</title>
-      <meta name="viewport" content="width=device-width, initial-scale=1">
-      <style>
-        body { 
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          max-width: 800px; 
-          margin: 20px auto; 
-          padding: 20px;
-          background: #f8fafc;
-        }
-        .header {
-          background: white;
-          padding: 20px;
-          border-radius: 10px;
-          margin-bottom: 20px;
-          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-        }
-        .card { 
-          background: white; 
-          padding: 25px; 
-          margin: 15px 0; 
-          border-radius: 10px;
-          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-        }
-        .btn { 
-          padding: 12px 24px; 
-          background: #3b82f6; 
-          color: white; 
-          text-decoration: none; 
-          border-radius: 8px; 
-          display: inline-block; 
-          margin: 8px 8px 8px 0;
-          font-weight: 500;
-        }
-        .btn:hover { background: #2563eb; }
-        .btn-orange { background: #f97316; }
-        .btn-orange:hover { background: #ea580c; }
-        .trial-info { 
-          background: #d1fae5; 
-          padding: 15px; 
-          border-radius: 8px; 
-          margin: 20px 0;
-          border-left: 4px solid #10b981;
-        }
-        .status {
-          display: inline-block;
-          padding: 4px 12px;
-          background: #dcfce7;
-          color: #166534;
-          border-radius: 20px;
-          font-size: 14px;
-          margin-left: 10px;
-        }
-        h1 { color: #1e293b; margin: 0; }
-        h3 { color: #374151; margin-top: 0; }
-      </style>
-    </head>
-    <body>
-      <div class="header">
-        <h1>🎛️ ConnectFlows Dashboard</h1>
-        <p>Welcome back, <strong>${user.email}</strong>! <span class="status">${user.subscription_status.charAt(0).toUpperCase() + user.subscription_status.slice(1)}</span></p>
-      </div>
+    // Validate customer has required connections
+    const connection = await getCrmConnections(req.syncPair);
+    if (!connection.salesforceToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Salesforce connection required',
+        message: 'Please connect your Salesforce account first'
+      });
+    }
+
+    // Use REAL sync for paid/trialing users, DEMO sync for others
+    if (isPaidUser) {
+      // 💰 PAID/TRIALING USER - Queue a REAL enterprise sync job, the worker runs it
+      console.log(`🚀 REAL: Queueing enterprise sync for PAID/TRIALING customer: ${user.email}`);
       
-      <div class="trial-info">
-        ✅ <strong>Subscription Active</strong>
-        <br><small>You have full access to all ConnectFlows features.</small>
-      </div>
+      // A dry run goes through the same queue but only builds the plan
+      const dryRun = req.body.dry_run === true || req.query.dry_run === 'true';
+      const { job, created } = await enqueueSyncJob(user.id, req.syncPair.id, 'manual', {
+        full_resync: req.body.full_resync === true || req.query.full_resync === 'true'
+      }, dryRun ? 'dry_run' : 'full');
       
-      <div class="card">
-        <h3>🔗 Connect Your CRM Accounts</h3>
-        <p>Connect both Salesforce and HubSpot to start syncing contacts automatically.</p>
-        
-        <a href="/auth/salesforce" class="btn">
-          ⚡ Connect Salesforce
-        </a>
-        
-        <a href="/auth/hubspot" class="btn">
-          🧡 Connect HubSpot
-        </a>
-      </div>
+      return res.status(202).json({
+        success: true,
+        message: created
+          ? (dryRun ? 'Sync preview queued' : 'Sync queued')
+          : (dryRun ? 'A sync preview is already queued or running' : 'A sync is already queued or running'),
+        sync_type: 'enterprise_bidirectional',
+        sync_pair_id: req.syncPair.id,
+        dry_run: dryRun,
+        user_status: user.subscription_status,
+        job_id: job.id,
+        status: job.status,
+        status_url: `/api/sync/jobs/${job.id}`,
+        ...(dryRun ? { plan_url: `/api/sync/jobs/${job.id}/plan` } : {}),
+        timestamp: new Date().toISOString()
+      });
       
-      <div class="card">
-        <h3>💰 Manage Your Subscription</h3>
-        <p>Update your billing information or change your plan.</p>
-        <a href="/pricing" class="btn">Manage Subscription</a>
-        <a href="/logout" style="color: #64748b; text-decoration: none; margin-left: 20px;">Sign Out</a>
-      </div> 
-      <script>
-        try {
-          // Check URL parameters for connection status
-          const urlParams = new URLSearchParams(window.location.search);
-          const salesforceConnected = urlParams.get('salesforce') === 'connected';
-          const message = urlParams.get('message');
-
-          // Show success message
-          if (message) {
-            const alertDiv = document.createElement('div');
-            alertDiv.style.cssText = 'background: #d1fae5; border: 1px solid #10b981; color: #065f46; padding: 15px; border-radius: 8px; margin-bottom: 20px; text-align: center;';
-            alertDiv.innerHTML = '✅ ' + decodeURIComponent(message);
-            document.body.insertBefore(alertDiv, document.body.firstChild);
-          }
-
-          // Update Salesforce button if connected
-          if (salesforceConnected) {
-            const sfButton = document.querySelector('a[href*="salesforce"]');
-            if (sfButton) {
-              sfButton.textContent = '✅ Salesforce Connected - Click to Sync';
-              sfButton.style.background = '#10b981';
-              sfButton.style.color = 'white';
-              
-              // Add working sync function
-              sfButton.onclick = function(e) { 
-                e.preventDefault();
-                
-                console.log('Starting sync...');
-                sfButton.textContent = '🔄 Syncing...';
-                sfButton.disabled = true;
-                
-                fetch('/api/sync/contacts', { 
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' }
-                })
-                .then(response => {
-                  console.log('Response received:', response.status);
-                  return response.json();
-                })
-                .then(data => {
-                  console.log('Sync data:', data);
-                  
-                  if (data.success) {
-                    sfButton.textContent = '✅ Sync Complete!';
-                    
-                    // Show results
-                    const resultDiv = document.createElement('div');
-                    resultDiv.style.cssText = 'background: #d1fae5; padding: 20px; border-radius: 8px; margin-top: 20px; color: #065f46; border: 1px solid #10b981;';
-                    
-                    let resultHTML = '<h4>✅ Real Sync Results!</h4>';
-                    if (data.user_status === 'paid') {
-                      resultHTML += '<p>💰 <strong>Paid Plan Results:</strong></p>';
-                      resultHTML += '<p>📊 Salesforce Contacts: ' + (data.real_results?.salesforce?.contacts_found || 0) + '</p>';
-                      resultHTML += '<p>🔄 HubSpot Sync: ' + (data.real_results?.hubspot?.total_synced || 0) + ' contacts</p>';
-                      resultHTML += '<p>💸 Monthly Savings: ' + (data.real_results?.business_impact?.monthly_cost_savings || '$397') + '</p>';
-                    } else {
-                      resultHTML += '<p>🎭 <strong>Demo Mode Results:</strong></p>';
-                      resultHTML += '<p>📊 Demo Contacts: ' + (data.demo_results?.salesforce?.contacts_found || 0) + '</p>';
-                      resultHTML += '<p>⚠️ Limited to 5 contacts - upgrade for full sync</p>';
-                    }
-                    
-                    resultDiv.innerHTML = resultHTML;
-                    sfButton.parentNode.appendChild(resultDiv);
-                  } else {
-                    sfButton.textContent = '❌ Sync Failed';
-                    alert('Sync failed: ' + (data.error || 'Unknown error'));
-                  }
-                })
-                .catch(error => {
-                  console.error('Sync error:', error);
-                  sfButton.textContent = '❌ Network Error';
-                  alert('Network error: ' + error.message);
-                })
-                .finally(() => {
-                  setTimeout(() => {
-                    sfButton.disabled = false;
-                    sfButton.textContent = '✅ Salesforce Connected - Click to Sync';
-                  }, 5000);
-                });
-              };
-            }
-          }
-        } catch (error) {
-          console.error('Dashboard script error:', error);
-        }
-      </script>
+    } else {
+      // 🎭 TRIAL USER - Use DEMO sync engine (limited functionality)
+      console.log(`🎭 DEMO: Trial sync for user: ${user.email}`);
       
+      // Demo sync with limited data and functionality
+      const demoResults = await performDemoSync(user.id, connection.salesforceToken, connection.salesforceInstanceUrl);
       
-    </body>
-    </html> 
-  `);
-});
+      return res.json({
+        success: true,
+        message: 'Demo sync completed successfully! Upgrade to paid plan for full bidirectional sync.',
+        sync_type: 'demo_limited',
+        user_status: 'trial',
+        demo_results: {
+          salesforce: {
+            status: 'connected',
+            contacts_found: demoResults.contacts_found,
+            sample_contacts: demoResults.sample_contacts,
+            note: 'Demo mode - limited to 5 contacts'
+          },
+          hubspot: {
+            connected: !!connection.hubspotToken,
+            sync_status: 'demo_mode',
+            note: 'Upgrade to paid plan for HubSpot sync'
+          },
+          upgrade_prompt: {
+            message: 'Unlock full bidirectional sync with paid plan',
+            benefits: [
+              'Unlimited contacts',
+              'Real-time bidirectional sync',
+              'HubSpot integration',
+              'Advanced conflict resolution'
+            ],
+            pricing: '$197/month',
+            upgrade_url: '/pricing'
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
 
-console.log('➡️ Defining /demo route.');
-// Demo page
-// Demo page  
-app.get('/demo', (req, res) => {
-  res.sendFile(path.join(__dirname, 'demo.html'));
+  } catch (error) {
+    console.error('❌ Sync failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Sync failed - please try again'
+    });
+  }
 });
 
-console.log('➡️ Defining /logout route.');
-// Logout route
-app.get('/logout', (req, res) => {
-  req.session.destroy();
-  res.redirect('/?message=You have been signed out');
+console.log('➡️ Defining /api/sync/jobs/:id route.');
+// Status and counts of a queued sync, with the sync log of every attempt
+app.get('/api/sync/jobs/:id', requireAuth, async (req, res) => {
+  try {
+    const job = await getSyncJob(req.user.id, req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Sync job not found' });
+    }
+    
+    const logs = await getSyncLogsForJob(job.id);
+    res.json({
+      success: true,
+      job: {
+        id: job.id,
+        sync_pair_id: job.sync_pair_id,
+        status: job.status,
+        trigger: job.trigger,
+        kind: job.kind,
+        record: job.options?.record || null,
+        attempts: job.attempts,
+        max_attempts: job.max_attempts,
+        last_error: job.last_error,
+        created_at: job.created_at,
+        started_at: job.started_at,
+        completed_at: job.completed_at,
+        next_attempt_at: job.status === 'queued' || job.status === 'paused' ? job.run_after : null
+      },
+      counts: job.result,
+      sync_logs: logs
+    });
+  } catch (error) {
+    console.error('❌ Failed to load sync job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-console.log('➡️ Defining /upgrade route.');
-// Upgrade page
-app.get('/upgrade', (req, res) => {
-  const message = req.query.message || 'Your trial has expired.';
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Upgrade - ConnectFlows</title>
-      <style>
-        body { font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; text-align: center; }
-        .upgrade-box { background: #fef2f2; padding: 30px; border-radius: 10px; border: 2px solid #fecaca; }
-        .btn { padding: 15px 30px; background: #3b82f6; color: white; text-decoration: none; border-radius: 8px; display: inline-block; margin: 10px; }
-      </style>
-    </head>
-    <body>
-      <div class="upgrade-box">
-        <h2>⏰ ${message}</h2>
-        <p>Continue syncing your Salesforce and HubSpot data with a paid plan.</p>
-        <a href="/pricing" class="btn">View Pricing Plans</a>
-        <a href="/signup" class="btn" style="background: #64748b;">Start New Trial</a>
-      </div>
-    </body>
-    </html>
-  `);
+// One CSV row per field change, conflict, skipped record or deletion in a dry-run plan
+const SYNC_PLAN_CSV_COLUMNS = ['action', 'object_type', 'system', 'salesforce_id', 'hubspot_id', 'record', 'field', 'before', 'after', 'reason'];
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function syncPlanRows(plan) {
+  const rows = [];
+  for (const create of plan.creates || []) {
+    for (const [field, after] of Object.entries(create.fields)) {
+      rows.push({
+        action: 'create',
+        object_type: create.object_type,
+        system: create.system,
+        salesforce_id: create.system === 'hubspot' ? create.source_id : null,
+        hubspot_id: create.system === 'salesforce' ? create.source_id : null,
+        record: create.label,
+        field,
+        after
+      });
+    }
+  }
+  for (const update of plan.updates || []) {
+    for (const change of update.changes) {
+      rows.push({
+        action: 'update',
+        object_type: update.object_type,
+        system: change.system,
+        salesforce_id: update.salesforce_id,
+        hubspot_id: update.hubspot_id,
+        record: update.label,
+        field: change.field,
+        before: change.before,
+        after: change.after,
+        reason: change.reason
+      });
+    }
+  }
+  for (const conflict of plan.conflicts || []) {
+    rows.push({
+      action: 'conflict',
+      object_type: conflict.object_type,
+      system: conflict.winner,
+      salesforce_id: conflict.salesforce_id,
+      hubspot_id: conflict.hubspot_id,
+      record: conflict.email,
+      field: conflict.field,
+      before: conflict.salesforce_value,
+      after: conflict.hubspot_value,
+      reason: `${conflict.policy}: ${conflict.winner}`
+    });
+  }
+  for (const skipped of plan.skipped || []) {
+    rows.push({
+      action: 'skip',
+      object_type: skipped.object_type,
+      system: skipped.source,
+      salesforce_id: skipped.source === 'salesforce' ? skipped.record_id : null,
+      hubspot_id: skipped.source === 'hubspot' ? skipped.record_id : null,
+      record: skipped.label,
+      reason: skipped.reason
+    });
+  }
+  for (const deletion of plan.deletions || []) {
+    rows.push({
+      action: deletion.action,
+      object_type: deletion.object_type,
+      system: deletion.system,
+      salesforce_id: deletion.salesforce_id || (deletion.system === 'salesforce' ? deletion.record_id : null),
+      hubspot_id: deletion.hubspot_id || (deletion.system === 'hubspot' ? deletion.record_id : null),
+      reason: deletion.action === 'repoint'
+        ? `merged into ${deletion.merged_into}`
+        : `${deletion.reason} in ${deletion.system}, policy ${deletion.policy}`
+    });
+  }
+  return rows;
+}
+
+function syncPlanCsv(plan) {
+  const lines = [SYNC_PLAN_CSV_COLUMNS.join(',')];
+  for (const row of syncPlanRows(plan)) {
+    lines.push(SYNC_PLAN_CSV_COLUMNS.map(column => csvCell(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+console.log('➡️ Defining /api/sync/jobs/:id/plan route.');
+// Download the plan of a finished dry run, ?format=csv for a spreadsheet
+app.get('/api/sync/jobs/:id/plan', requireAuth, async (req, res) => {
+  try {
+    const job = await getSyncJob(req.user.id, req.params.id);
+    if (!job || job.kind !== 'dry_run') {
+      return res.status(404).json({ success: false, error: 'Sync preview not found' });
+    }
+    if (job.status !== 'succeeded') {
+      return res.status(409).json({ success: false, error: `Sync preview is ${job.status}`, status: job.status });
+    }
+    
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    res.attachment(`sync-plan-${job.id}.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv').send(syncPlanCsv(job.plan));
+    } else {
+      res.json({ job_id: job.id, created_at: job.created_at, completed_at: job.completed_at, counts: job.result, plan: job.plan });
+    }
+  } catch (error) {
+    console.error('❌ Failed to load sync plan:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
-// Auth routes
-// Salesforce OAuth initiation
-console.log('➡️ Defining /auth/salesforce route.');
-app.get('/auth/salesforce', (req, res) => {
-  const { customer_id } = req.query;
-  
-  // Build proper authorization URL
-  const authUrl = `${process.env.SF_LOGIN_URL}/services/oauth2/authorize?` +
-    `response_type=code&` +
-    `client_id=${process.env.SF_CLIENT_ID}&` +
-    `redirect_uri=${encodeURIComponent(process.env.SF_REDIRECT_URI)}&` +
-    `state=${customer_id || 'test'}&` +
-    `scope=api refresh_token`;
-  
-  console.log('🔗 Redirecting to Salesforce:', authUrl);
-  res.redirect(authUrl);
+
+console.log('➡️ Defining /api/sync/runs routes.');
+// Change journal of a sync run (a sync_logs row)
+app.get('/api/sync/runs/:id/changes', requireAuth, async (req, res) => {
+  try {
+    const syncLog = await getSyncLog(req.user.id, req.params.id);
+    if (!syncLog) {
+      return res.status(404).json({ success: false, error: 'Sync run not found' });
+    }
+    
+    const changes = await getSyncChanges(req.user.id, syncLog.id);
+    res.json({ success: true, run: syncLog, count: changes.length, changes });
+  } catch (error) {
+    console.error('❌ Failed to load sync changes:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-console.log('➡️ Defining /auth/salesforce/callback route.');
-// Salesforce OAuth callback - COMPLETE WORKING VERSION
-app.get('/auth/salesforce/callback', async (req, res) => {
-  const { code, error, state, error_description } = req.query;
-  const customer_id = state;
-  
-  console.log('📥 Salesforce callback received:', { 
-    hasCode: !!code, 
-    error, 
-    error_description,
-    customer_id 
-  });
-  
-  if (error) {
-    return res.json({ 
-      success: false,
-      error: error,
-      description: error_description,
-      message: "Salesforce authorization failed",
-      customer_id: customer_id
+// Queues a job that restores the values the run overwrote, see RealSyncEngine.performRollback
+app.post('/api/sync/runs/:id/rollback', requireAuth, async (req, res) => {
+  try {
+    const syncLog = await getSyncLog(req.user.id, req.params.id);
+    if (!syncLog) {
+      return res.status(404).json({ success: false, error: 'Sync run not found' });
+    }
+    if (syncLog.status === 'running') {
+      return res.status(409).json({ success: false, error: 'Sync run is still running' });
+    }
+    
+    if (!syncLog.sync_pair_id) {
+      return res.status(409).json({ success: false, error: 'The sync pair of this run was deleted' });
+    }
+    
+    const { job, created } = await enqueueSyncJob(req.user.id, syncLog.sync_pair_id, 'manual', { run_id: syncLog.id }, 'rollback');
+    if (!created && job.options?.run_id !== syncLog.id) {
+      return res.status(409).json({ success: false, error: `Rollback of run ${job.options?.run_id} is still ${job.status}`, job_id: job.id });
+    }
+    console.log(`⏪ Rollback of sync run ${syncLog.id} queued as job ${job.id}`);
+    
+    res.status(202).json({
+      success: true,
+      message: created ? 'Rollback queued' : 'Rollback already queued or running',
+      job_id: job.id,
+      status: job.status,
+      status_url: `/api/sync/jobs/${job.id}`
     });
+  } catch (error) {
+    console.error('❌ Failed to queue rollback:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-  
-  if (!code) {
-    return res.json({ 
-      success: false,
-      error: "missing_code",
-      message: "No authorization code received from Salesforce",
-      customer_id: customer_id
+});
+
+console.log('➡️ Defining /api/settings/conflict-policy routes.');
+// Conflict resolution policy used when a field changed in both CRMs
+app.get('/api/settings/conflict-policy', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const syncSettings = req.syncPair.sync_settings;
+    res.json({
+      success: true,
+      conflict_policy: syncSettings.conflict_policy || DEFAULT_CONFLICT_POLICY,
+      field_sources: syncSettings.field_sources || {},
+      available_policies: CONFLICT_POLICIES,
+      fields: getMappedFieldKeys(syncSettings)
     });
+  } catch (error) {
+    console.error('❌ Failed to load conflict policy:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-  
+});
+
+app.put('/api/settings/conflict-policy', requireAuth, loadSyncPair, async (req, res) => {
   try {
-    console.log('🔄 Exchanging code for access token...');
+    const { conflict_policy, field_sources = {} } = req.body;
     
-    const tokenRequestData = new URLSearchParams({
-      grant_type: 'authorization_code',
-      client_id: process.env.SF_CLIENT_ID,
-      client_secret: process.env.SF_CLIENT_SECRET,
-      redirect_uri: process.env.SF_REDIRECT_URI,
-      code: code
-    });
+    if (!CONFLICT_POLICIES.includes(conflict_policy)) {
+      return res.status(400).json({
+        success: false,
+        error: `conflict_policy must be one of: ${CONFLICT_POLICIES.join(', ')}`
+      });
+    }
     
-    const tokenResponse = await fetch(`${process.env.SF_LOGIN_URL}/services/oauth2/token`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Accept': 'application/json'
-      },
-      body: tokenRequestData
-    });
+    const mappedFields = getMappedFieldKeys(req.syncPair.sync_settings);
+    for (const [field, source] of Object.entries(field_sources)) {
+      if (!mappedFields.includes(field) || !['salesforce', 'hubspot'].includes(source)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid field source: ${field} -> ${source}`
+        });
+      }
+    }
     
-    const tokenData = await tokenResponse.json();
+    const syncSettings = await updateSyncPairSettings(req.syncPair.id, { conflict_policy, field_sources });
+    console.log(`✅ Conflict policy for sync pair ${req.syncPair.id} set to ${conflict_policy}`);
     
-    console.log('📥 Token response:', {
-      success: tokenResponse.ok,
-      status: tokenResponse.status,
-      hasAccessToken: !!tokenData.access_token,
-      error: tokenData.error
+    res.json({
+      success: true,
+      conflict_policy: syncSettings.conflict_policy,
+      field_sources: syncSettings.field_sources
     });
-    
-    if (!tokenResponse.ok) {
-      throw new Error(`Token exchange failed: ${tokenData.error_description || tokenData.error}`);
+  } catch (error) {
+    console.error('❌ Failed to save conflict policy:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+console.log('➡️ Defining /api/conflicts routes.');
+// Manual conflict review queue
+app.get('/api/conflicts', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    if (!['open', 'resolved', 'applied'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'status must be open, resolved or applied' });
     }
     
-    const { access_token, refresh_token, instance_url, id } = tokenData; req.session.salesforceToken = access_token;
-    req.session.salesforceRefreshToken = refresh_token;
-    req.session.salesforceInstanceUrl = instance_url;
-    console.log('✅ Salesforce OAuth successful, tokens stored');
-    
-    // Test the access token
-    console.log('👤 Testing access token...');
-    const userInfoResponse = await fetch(`${instance_url}/services/oauth2/userinfo`, {
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Accept': 'application/json'
-      }
-    });
+    const conflicts = await getConflicts(req.user.id, req.syncPair.id, status);
+    res.json({ success: true, status, count: conflicts.length, conflicts });
+  } catch (error) {
+    console.error('❌ Failed to load conflicts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/conflicts/:id/resolve', requireAuth, async (req, res) => {
+  try {
+    const { side, value } = req.body;
+    const conflict = await getConflictById(req.user.id, req.params.id);
     
-    if (!userInfoResponse.ok) {
-      throw new Error('Failed to fetch user info with access token');
+    if (!conflict) {
+      return res.status(404).json({ success: false, error: 'Conflict not found' });
+    }
+    if (conflict.status === 'applied') {
+      return res.status(409).json({ success: false, error: 'Conflict was already applied to both CRMs' });
     }
     
-    const userInfo = await userInfoResponse.json();
-    
-    console.log('✅ Salesforce OAuth successful for:', userInfo.email);
+    let resolvedValue;
+    if (side === 'salesforce') {
+      resolvedValue = conflict.salesforce_value;
+    } else if (side === 'hubspot') {
+      resolvedValue = conflict.hubspot_value;
+    } else if (side === 'custom' && typeof value === 'string') {
+      resolvedValue = value.trim();
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'side must be salesforce, hubspot or custom (with a string value)'
+      });
+    }
     
-    // Success response
-    res.redirect('/dashboard?salesforce=connected&message=' + encodeURIComponent('Salesforce connected successfully!'));
+    const resolved = await resolveQueuedConflict(req.user.id, conflict.id, side, resolvedValue);
+    console.log(`✅ Conflict ${conflict.id} resolved with ${side} value`);
     
+    res.json({
+      success: true,
+      conflict: resolved,
+      message: 'Conflict resolved, the value will be written to both CRMs on the next sync'
+    });
   } catch (error) {
-    console.error('❌ Salesforce OAuth error:', error.message);
+    console.error('❌ Failed to resolve conflict:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+console.log('➡️ Defining /api/schema/:provider/:objectType route.');
+// Fields available in each CRM for one object type, including custom ones
+app.get('/api/schema/:provider/:objectType', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const { provider, objectType } = req.params;
+    if (!['salesforce', 'hubspot'].includes(provider)) {
+      return res.status(404).json({ success: false, error: 'Unknown provider' });
+    }
+    if (!SYNC_OBJECT_TYPES[objectType]) {
+      return res.status(404).json({ success: false, error: `Unknown object type, use one of: ${SYNC_OBJECT_ORDER.join(', ')}` });
+    }
     
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: "Failed to complete Salesforce authorization",
-      customer_id: customer_id
+    const connection = await getCrmConnections(req.syncPair);
+    const connected = provider === 'salesforce' ? connection.salesforceToken : connection.hubspotToken;
+    if (!connected) {
+      return res.status(400).json({
+        success: false,
+        error: `${provider === 'salesforce' ? 'Salesforce' : 'HubSpot'} connection required`
+      });
+    }
+    
+    const descriptor = SYNC_OBJECT_TYPES[objectType];
+    const schema = await getObjectSchema(req.user.id, provider, objectType, connection, req.query.refresh === 'true');
+    res.json({
+      success: true,
+      provider,
+      object: provider === 'salesforce' ? descriptor.salesforceObject : descriptor.hubspotObject,
+      cached: schema.cached,
+      fetched_at: schema.fetched_at,
+      fields: schema.fields
     });
+  } catch (error) {
+    console.error('❌ Schema discovery failed:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
-console.log('➡️ Defining first /auth/hubspot route (old).');
-app.get('/auth/hubspot', requireAuth, (req, res) => {
-  const authUrl = `https://app.hubspot.com/oauth/authorize?` +
-    `client_id=${process.env.HUBSPOT_CLIENT_ID}&` +
-    `scope=crm.objects.contacts.read crm.objects.contacts.write crm.schemas.contacts.read crm.schemas.contacts.write oauth&` +
-    `redirect_uri=${encodeURIComponent(process.env.HUBSPOT_REDIRECT_URI || 'https://rapid-mailbox-production.up.railway.app/auth/hubspot/callback')}`;
-  
-  console.log('🔄 Redirecting to HubSpot OAuth');
-  res.redirect(authUrl);
-});
 
-console.log('➡️ Defining first /auth/hubspot/callback route (old).');
-// HubSpot OAuth callback
-app.get('/auth/hubspot/callback', requireAuth, async (req, res) => {
-  const { code, error } = req.query;
-  
-  if (error) {
-    console.error('❌ HubSpot OAuth error:', error);
-    return res.redirect('/dashboard?error=HubSpot authorization failed');
+console.log('➡️ Defining /api/settings/field-mappings routes.');
+// Salesforce field <-> HubSpot property pairs used by the sync engine
+// Per-object routes take ?object= (contacts by default), an unknown type answers 400
+function getRequestedObjectType(req, res) {
+  const objectType = req.query.object || 'contacts';
+  if (!SYNC_OBJECT_TYPES[objectType]) {
+    res.status(400).json({ success: false, error: `object must be one of: ${SYNC_OBJECT_ORDER.join(', ')}` });
+    return null;
   }
-  
-  if (!code) {
-    return res.redirect('/dashboard?error=No authorization code received');
+  return objectType;
+}
+
+// Saved mappings for every object type, legacy contact arrays are moved under `contacts`
+function savedFieldMappingsByObject(syncSettings) {
+  const byObject = {};
+  for (const objectType of SYNC_OBJECT_ORDER) {
+    const saved = getSavedFieldMappings(syncSettings, objectType);
+    if (saved && saved.length > 0) {
+      byObject[objectType] = saved;
+    }
   }
-  
+  return byObject;
+}
+
+app.get('/api/settings/field-mappings', requireAuth, loadSyncPair, async (req, res) => {
   try {
-    const tokenResponse = await fetch('https://api.hubapi.com/oauth/v1/token', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        grant_type: 'authorization_code',
-        client_id: process.env.HUBSPOT_CLIENT_ID,
-        client_secret: process.env.HUBSPOT_CLIENT_SECRET,
-        redirect_uri: process.env.HUBSPOT_REDIRECT_URI || 'https://rapid-mailbox-production.up.railway.app/auth/hubspot/callback',
-        code: code
-      })
+    const objectType = getRequestedObjectType(req, res);
+    if (!objectType) {
+      return;
+    }
+    
+    const syncSettings = req.syncPair.sync_settings;
+    const saved = getSavedFieldMappings(syncSettings, objectType);
+    res.json({
+      success: true,
+      object: objectType,
+      mappings: getFieldMappings(syncSettings, objectType),
+      is_default: !saved || saved.length === 0,
+      can_customize: CUSTOM_MAPPING_PLANS.includes(req.user.plan_type),
+      directions: FIELD_MAPPING_DIRECTIONS,
+      types: FIELD_MAPPING_TYPES
     });
+  } catch (error) {
+    console.error('❌ Failed to load field mappings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/settings/field-mappings', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    if (!CUSTOM_MAPPING_PLANS.includes(req.user.plan_type)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Custom field mapping is available on the Professional and Enterprise plans',
+        upgrade_url: '/pricing'
+      });
+    }
     
-    const tokenData = await tokenResponse.json();
+    const objectType = getRequestedObjectType(req, res);
+    if (!objectType) {
+      return;
+    }
     
-    if (!tokenResponse.ok) {
-      throw new Error(tokenData.message || 'Token exchange failed');
+    const { mappings } = req.body;
+    const validationError = validateFieldMappings(mappings);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
     }
     
-    req.session.hubspotToken = tokenData.access_token;
-    req.session.hubspotConnected = true;
+    const fieldMappings = mappings.map(mapping => ({
+      salesforce: mapping.salesforce,
+      hubspot: mapping.hubspot,
+      direction: mapping.direction || 'bidirectional',
+      ...(mapping.type ? { type: mapping.type } : {}),
+      ...(mapping.transforms && mapping.transforms.length > 0 ? { transforms: mapping.transforms } : {})
+    }));
+    
+    const schemaErrors = await validateFieldMappingsAgainstSchema(req.user.id, await getCrmConnections(req.syncPair), fieldMappings, objectType);
+    if (schemaErrors.length > 0) {
+      return res.status(400).json({ success: false, error: schemaErrors[0], errors: schemaErrors });
+    }
     
-    console.log('✅ HubSpot connected successfully');
-    res.redirect('/dashboard?message=' + encodeURIComponent('HubSpot connected successfully!'));
+    const currentSettings = req.syncPair.sync_settings;
+    const syncSettings = await updateSyncPairSettings(req.syncPair.id, {
+      field_mappings: { ...savedFieldMappingsByObject(currentSettings), [objectType]: fieldMappings }
+    });
+    console.log(`✅ Saved ${fieldMappings.length} ${objectType} field mappings for sync pair ${req.syncPair.id}`);
     
+    res.json({ success: true, object: objectType, mappings: getFieldMappings(syncSettings, objectType) });
   } catch (error) {
-    console.error('❌ HubSpot callback error:', error);
-    res.redirect('/dashboard?error=HubSpot connection failed');
+    console.error('❌ Failed to save field mappings:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
-console.log('➡️ Defining second /auth/hubspot route (correct).');
-app.get('/auth/hubspot',requireAuth,  (req, res) => {
-  const { customer_id } = req.query;
-  
-  // Build proper authorization URL
-  const authUrl = `https://app.hubspot.com/oauth/authorize?` +
-    `client_id=${process.env.HUBSPOT_CLIENT_ID}&` +
-    `redirect_uri=${encodeURIComponent(process.env.HUBSPOT_REDIRECT_URI)}&` +
-    `scope=crm.objects.contacts.read crm.objects.contacts.write crm.schemas.contacts.read crm.schemas.contacts.write oauth&` +
-    `state=${customer_id || 'test'}&` +
-    `response_type=code`;
-  
-  console.log('🔗 Redirecting to HubSpot:', authUrl);
-  res.redirect(authUrl);
+
+app.delete('/api/settings/field-mappings', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const objectType = getRequestedObjectType(req, res);
+    if (!objectType) {
+      return;
+    }
+    
+    const currentSettings = req.syncPair.sync_settings;
+    const remaining = savedFieldMappingsByObject(currentSettings);
+    delete remaining[objectType];
+    
+    const syncSettings = await updateSyncPairSettings(req.syncPair.id, { field_mappings: remaining });
+    res.json({ success: true, object: objectType, mappings: getFieldMappings(syncSettings, objectType), is_default: true });
+  } catch (error) {
+    console.error('❌ Failed to reset field mappings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-console.log('➡️ Defining second /auth/hubspot/callback route (correct).');
-// HubSpot OAuth callback - COMPLETE WORKING VERSION
-app.get('/auth/hubspot/callback', async (req, res) => {
-  const { code, error, state, error_description } = req.query;
-  const customer_id = state;
-  
-  console.log('📥 HubSpot callback received:', { 
-    hasCode: !!code, 
-    error, 
-    error_description,
-    customer_id 
-  });
-  
-  if (error) {
-    return res.json({ 
-      success: false,
-      error: error,
-      description: error_description,
-      message: "HubSpot authorization failed",
-      customer_id: customer_id
+console.log('➡️ Defining /api/settings/objects routes.');
+// Which object types the engine syncs, each one is switched on and off on its own
+app.get('/api/settings/objects', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const syncSettings = req.syncPair.sync_settings;
+    res.json({
+      success: true,
+      objects: getSyncObjectSettings(syncSettings),
+      available: SYNC_OBJECT_ORDER.map(objectType => ({
+        object: objectType,
+        label: SYNC_OBJECT_TYPES[objectType].label,
+        salesforce: SYNC_OBJECT_TYPES[objectType].salesforceObject,
+        hubspot: SYNC_OBJECT_TYPES[objectType].hubspotObject
+      }))
     });
+  } catch (error) {
+    console.error('❌ Failed to load object settings:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-  
-  if (!code) {
-    return res.json({ 
-      success: false,
-      error: "missing_code",
-      message: "No authorization code received from HubSpot",
-      customer_id: customer_id
+});
+
+app.put('/api/settings/objects', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const { objects } = req.body;
+    if (!objects || typeof objects !== 'object') {
+      return res.status(400).json({ success: false, error: 'objects must be an object such as { "companies": true }' });
+    }
+    
+    for (const [objectType, enabled] of Object.entries(objects)) {
+      if (!SYNC_OBJECT_TYPES[objectType] || typeof enabled !== 'boolean') {
+        return res.status(400).json({ success: false, error: `Invalid object setting: ${objectType} -> ${enabled}` });
+      }
+    }
+    
+    const currentSettings = req.syncPair.sync_settings;
+    const syncSettings = await updateSyncPairSettings(req.syncPair.id, {
+      objects: { ...getSyncObjectSettings(currentSettings), ...objects }
     });
+    console.log(`✅ Sync objects for sync pair ${req.syncPair.id}: ${getEnabledObjectTypes(syncSettings).join(', ') || 'none'}`);
+    
+    res.json({ success: true, objects: getSyncObjectSettings(syncSettings) });
+  } catch (error) {
+    console.error('❌ Failed to save object settings:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-  
+});
+
+console.log('➡️ Defining /api/settings/deal-pipeline routes.');
+// HubSpot pipeline deals are synced into and the Salesforce StageName -> HubSpot dealstage map
+app.get('/api/settings/deal-pipeline', requireAuth, loadSyncPair, async (req, res) => {
   try {
-    console.log('🔄 Exchanging code for access token...');
+    const syncSettings = req.syncPair.sync_settings;
+    const connection = await getCrmConnections(req.syncPair);
     
-    const tokenRequestData = new URLSearchParams({
-      grant_type: 'authorization_code',
-      client_id: process.env.HUBSPOT_CLIENT_ID,
-      client_secret: process.env.HUBSPOT_CLIENT_SECRET,
-      redirect_uri: process.env.HUBSPOT_REDIRECT_URI,
-      code: code
+    res.json({
+      success: true,
+      ...getDealPipelineSettings(syncSettings),
+      is_default: !syncSettings.deal_pipeline,
+      hubspot_pipelines: connection.hubspotToken ? await fetchHubSpotDealPipelines(connection.hubspotToken) : []
     });
+  } catch (error) {
+    console.error('❌ Failed to load deal pipeline settings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/settings/deal-pipeline', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const { pipeline, stages } = req.body;
     
-    const tokenResponse = await fetch('https://api.hubapi.com/oauth/v1/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Accept': 'application/json'
-      },
-      body: tokenRequestData  
+    if (typeof pipeline !== 'string' || !pipeline.trim()) {
+      return res.status(400).json({ success: false, error: 'pipeline must be a HubSpot pipeline id' });
+    }
+    if (!stages || typeof stages !== 'object' || Object.keys(stages).length === 0 ||
+        Object.values(stages).some(stage => typeof stage !== 'string' || !stage)) {
+      return res.status(400).json({ success: false, error: 'stages must map Salesforce stage names to HubSpot stage ids' });
+    }
+    
+    // Stage ids are checked against the real pipeline when HubSpot is connected
+    const connection = await getCrmConnections(req.syncPair);
+    if (connection.hubspotToken) {
+      const pipelines = await fetchHubSpotDealPipelines(connection.hubspotToken);
+      const target = pipelines.find(candidate => candidate.id === pipeline);
+      if (!target) {
+        return res.status(400).json({ success: false, error: `HubSpot has no deal pipeline ${pipeline}` });
+      }
+      const stageIds = target.stages.map(stage => stage.id);
+      const unknown = Object.values(stages).filter(stage => !stageIds.includes(stage));
+      if (unknown.length > 0) {
+        return res.status(400).json({ success: false, error: `Stages not in pipeline ${pipeline}: ${unknown.join(', ')}` });
+      }
+    }
+    
+    const syncSettings = await updateSyncPairSettings(req.syncPair.id, { deal_pipeline: { pipeline, stages } });
+    console.log(`✅ Deal pipeline for sync pair ${req.syncPair.id} set to ${pipeline}`);
+    
+    res.json({ success: true, ...getDealPipelineSettings(syncSettings) });
+  } catch (error) {
+    console.error('❌ Failed to save deal pipeline settings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+console.log('➡️ Defining /api/settings/deletion-policy routes.');
+// What the engine does when a synced record is deleted or merged away in one CRM
+app.get('/api/settings/deletion-policy', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const syncSettings = req.syncPair.sync_settings;
+    res.json({
+      success: true,
+      deletion_policy: syncSettings.deletion_policy || DEFAULT_DELETION_POLICY,
+      available_policies: DELETION_POLICIES
     });
+  } catch (error) {
+    console.error('❌ Failed to load deletion policy:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const tokenData = await tokenResponse.json();
+app.put('/api/settings/deletion-policy', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const { deletion_policy } = req.body;
+    if (!DELETION_POLICIES.includes(deletion_policy)) {
+      return res.status(400).json({
+        success: false,
+        error: `deletion_policy must be one of: ${DELETION_POLICIES.join(', ')}`
+      });
+    }
+    
+    const syncSettings = await updateSyncPairSettings(req.syncPair.id, { deletion_policy });
+    console.log(`✅ Deletion policy for sync pair ${req.syncPair.id} set to ${deletion_policy}`);
+    res.json({ success: true, deletion_policy: syncSettings.deletion_policy });
+  } catch (error) {
+    console.error('❌ Failed to save deletion policy:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    console.log('📥 HubSpot token response:', {
-      success: tokenResponse.ok,
-      status: tokenResponse.status,
-      hasAccessToken: !!tokenData.access_token,
-      error: tokenData.error
+console.log('➡️ Defining /api/settings/api-quota routes.');
+// Share of each CRM's daily API quota syncs leave alone, with the last usage the CRMs reported
+app.get('/api/settings/api-quota', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const syncSettings = req.syncPair.sync_settings;
+    const { salesforceInstanceUrl, hubspotToken } = await getCrmConnections(req.syncPair);
+    res.json({
+      success: true,
+      api_quota_reserve: getApiQuotaReserve(syncSettings),
+      usage: {
+        salesforce: salesforceInstanceUrl ? getCrmApiUsage('salesforce', salesforceInstanceUrl) : null,
+        hubspot: hubspotToken ? getCrmApiUsage('hubspot', hubspotToken) : null
+      }
     });
+  } catch (error) {
+    console.error('❌ Failed to load API quota settings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/settings/api-quota', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const { api_quota_reserve } = req.body;
+    if (typeof api_quota_reserve !== 'number' || api_quota_reserve < 0 || api_quota_reserve > 90) {
+      return res.status(400).json({ success: false, error: 'api_quota_reserve must be a percentage between 0 and 90' });
+    }
     
-    if (!tokenResponse.ok) {
-      throw new Error(`Token exchange failed: ${tokenData.error_description || tokenData.error}`);
+    const syncSettings = await updateSyncPairSettings(req.syncPair.id, { api_quota_reserve });
+    console.log(`✅ API quota reserve for sync pair ${req.syncPair.id} set to ${api_quota_reserve}%`);
+    res.json({ success: true, api_quota_reserve: getApiQuotaReserve(syncSettings) });
+  } catch (error) {
+    console.error('❌ Failed to save API quota settings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+console.log('➡️ Defining /api/settings/schedule routes.');
+// Automatic background syncs, see startSyncScheduler
+app.get('/api/settings/schedule', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const syncSettings = req.syncPair.sync_settings;
+    res.json({
+      success: true,
+      schedule: describeSyncSchedule(req.syncPair.id, getSyncSchedule(syncSettings)),
+      available_frequencies: SYNC_SCHEDULE_FREQUENCIES
+    });
+  } catch (error) {
+    console.error('❌ Failed to load sync schedule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/settings/schedule', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const { frequency, cron: cronExpression, timezone } = req.body;
+    const schedule = {
+      frequency,
+      ...(frequency === 'cron' ? { cron: cronExpression } : {}),
+      ...(timezone ? { timezone } : {})
+    };
+    
+    const validationError = validateSyncSchedule(schedule);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
     }
     
-    const { access_token, refresh_token, hub_id } = tokenData; req.session.hubspotToken = access_token;
-    req.session.hubspotRefreshToken = refresh_token;
-    req.session.hubspotHubId = hub_id;
-    console.log('✅ HubSpot OAuth successful, tokens stored');
-  
+    const syncSettings = await updateSyncPairSettings(req.syncPair.id, { schedule });
+    const saved = getSyncSchedule(syncSettings);
+    registerSyncSchedule(req.syncPair.id, saved);
+    console.log(`✅ Sync schedule for sync pair ${req.syncPair.id} set to ${frequency}`);
     
-    // Test the access token by getting account info
-    console.log('👤 Testing HubSpot access token...');
-    const accountResponse = await fetch('https://api.hubapi.com/account-info/v3/details', {
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Accept': 'application/json'
-      }
-    });
+    res.json({ success: true, schedule: describeSyncSchedule(req.syncPair.id, saved) });
+  } catch (error) {
+    console.error('❌ Failed to save sync schedule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+console.log('➡️ Defining /api/tombstones routes.');
+// Link rows whose record was deleted or merged in one CRM
+app.get('/api/tombstones', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const objectType = getRequestedObjectType(req, res);
+    if (!objectType) {
+      return;
+    }
     
-    if (!accountResponse.ok) {
-      throw new Error('Failed to fetch account info with access token');
+    const action = req.query.action || 'flagged';
+    const result = await pool.query(
+      `SELECT * FROM ${SYNC_OBJECT_TYPES[objectType].linkTable}
+       WHERE user_id = $1 AND sync_pair_id = $2 AND sync_status = 'tombstoned' AND tombstone_action = $3
+       ORDER BY tombstoned_at DESC LIMIT 500`,
+      [req.user.id, req.syncPair.id, action]
+    );
+    res.json({ success: true, object: objectType, action, count: result.rows.length, tombstones: result.rows });
+  } catch (error) {
+    console.error('❌ Failed to load tombstones:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Finish a flagged tombstone: delete the surviving record too, or keep it unsynced
+app.post('/api/tombstones/:id/resolve', requireAuth, async (req, res) => {
+  try {
+    const objectType = getRequestedObjectType(req, res);
+    if (!objectType) {
+      return;
     }
     
-    const accountInfo = await accountResponse.json();
+    const { action } = req.body;
+    if (!['delete', 'keep'].includes(action)) {
+      return res.status(400).json({ success: false, error: 'action must be delete or keep' });
+    }
     
-    console.log('✅ HubSpot OAuth successful for hub:', hub_id);
+    const linkTable = SYNC_OBJECT_TYPES[objectType].linkTable;
+    const result = await pool.query(
+      `SELECT * FROM ${linkTable} WHERE user_id = $1 AND id = $2 AND sync_status = 'tombstoned'`,
+      [req.user.id, req.params.id]
+    );
+    const link = result.rows[0];
+    if (!link) {
+      return res.status(404).json({ success: false, error: 'Tombstone not found' });
+    }
+    if (link.tombstone_action !== 'flagged') {
+      return res.status(409).json({ success: false, error: `Tombstone was already ${link.tombstone_action}` });
+    }
     
-    // Success response
-    res.redirect('/dashboard?hubspot=connected&message=' + encodeURIComponent('HubSpot connected successfully!'));
+    let tombstoneAction = 'kept';
+    if (action === 'delete') {
+      // The surviving record lives in the org or portal of the link's own sync pair
+      const syncPair = link.sync_pair_id ? await getSyncPair(req.user.id, link.sync_pair_id) : null;
+      if (!syncPair) {
+        return res.status(409).json({ success: false, error: 'The sync pair of this tombstone was deleted' });
+      }
+      const connection = await getCrmConnections(syncPair);
+      const needed = link.deleted_in === 'salesforce' ? connection.hubspotToken : connection.salesforceToken;
+      if (!needed) {
+        return res.status(400).json({
+          success: false,
+          error: `${link.deleted_in === 'salesforce' ? 'HubSpot' : 'Salesforce'} connection required`
+        });
+      }
+      tombstoneAction = await applyTombstonePolicy(objectType, link, link.deleted_in, 'delete', connection);
+    } else {
+      await pool.query(`UPDATE ${linkTable} SET tombstone_action = 'kept' WHERE id = $1`, [link.id]);
+    }
     
+    console.log(`✅ Tombstone ${objectType}/${link.id} resolved: ${tombstoneAction}`);
+    res.json({ success: true, object: objectType, id: link.id, tombstone_action: tombstoneAction });
   } catch (error) {
-    console.error('❌ HubSpot OAuth error:', error.message);
-    
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: "Failed to complete HubSpot authorization",
-      customer_id: customer_id
-    });
+    console.error('❌ Failed to resolve tombstone:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
-// API routes
-console.log('➡️ Defining /api/sync route.');
-app.get('/api/sync', (req, res) => {
-  res.json({ 
-    message: 'Sync endpoint ready!',
-    available_operations: [
-      'start_sync',
-      'stop_sync', 
-      'sync_status',
-      'sync_history'
-    ]
-  });
+
+console.log('➡️ Defining /api/settings/matching routes.');
+// Rules used to pair contacts that have no exact email match
+app.get('/api/settings/matching', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const syncSettings = req.syncPair.sync_settings;
+    res.json({ success: true, matching: getMatchingSettings(syncSettings) });
+  } catch (error) {
+    console.error('❌ Failed to load matching settings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-console.log('➡️ Defining /api/status route.');
-app.get('/api/status', (req, res) => {
-  res.json({ 
-    message: 'Integration status',
-    integrations: {
-      salesforce: {
-        configured: !!process.env.SF_CLIENT_ID,
-        connected: false
-      },
-      hubspot: {
-        configured: !!process.env.HUBSPOT_CLIENT_ID,
-        connected: false
+app.put('/api/settings/matching', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const matching = { ...getMatchingSettings(req.syncPair.sync_settings), ...req.body };
+    
+    for (const rule of ['email', 'phone', 'name_company']) {
+      if (typeof matching[rule] !== 'boolean') {
+        return res.status(400).json({ success: false, error: `${rule} must be true or false` });
       }
     }
-  });
+    for (const key of ['threshold', 'suggestion_threshold']) {
+      if (typeof matching[key] !== 'number' || matching[key] < 0 || matching[key] > 1) {
+        return res.status(400).json({ success: false, error: `${key} must be a number between 0 and 1` });
+      }
+    }
+    if (matching.suggestion_threshold > matching.threshold) {
+      return res.status(400).json({ success: false, error: 'suggestion_threshold cannot be above threshold' });
+    }
+    
+    const syncSettings = await updateSyncPairSettings(req.syncPair.id, {
+      matching: {
+        email: matching.email,
+        phone: matching.phone,
+        name_company: matching.name_company,
+        threshold: matching.threshold,
+        suggestion_threshold: matching.suggestion_threshold
+      }
+    });
+    console.log(`✅ Matching rules updated for sync pair ${req.syncPair.id}`);
+    res.json({ success: true, matching: getMatchingSettings(syncSettings) });
+  } catch (error) {
+    console.error('❌ Failed to save matching settings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-// 💰 MONEY-MAKING SYNC ENDPOINTS 💰
-console.log('➡️ Defining GET /api/sync/contacts route.');
-app.get('/api/sync/contacts', (req, res) => {
-  res.json({
-    message: "💰 Contact Sync API Ready! 🚀",
-    method: "Use POST to start sync",
-    test_url: "POST /api/sync/contacts",
-    status: "endpoint_available",
-    demo_value: "This endpoint saves customers $50K+ annually",
-    pricing: "$397/month subscription value"
-  });
+console.log('➡️ Defining /api/matching/suggestions routes.');
+// Low-confidence matches waiting for a person to confirm or reject them
+app.get('/api/matching/suggestions', requireAuth, loadSyncPair, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'confirmed', 'rejected'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'status must be pending, confirmed or rejected' });
+    }
+    
+    const suggestions = await getSuggestedLinks(req.user.id, req.syncPair.id, status);
+    res.json({ success: true, status, count: suggestions.length, suggestions });
+  } catch (error) {
+    console.error('❌ Failed to load suggested links:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-console.log('➡️ Defining POST /api/sync/contacts route.');
-// REAL ENTERPRISE SYNC ENDPOINT FOR PAYING/TRIALING CUSTOMERS
-app.post('/api/sync/contacts', requireAuth, async (req, res) => {
+app.post('/api/matching/suggestions/:id/confirm', requireAuth, async (req, res) => {
   try {
-    const user = req.session.user;
-    console.log(`🚀 Sync request from user: ${user.email}`);
-
-    // Accept 'trialing', 'active', or 'paid' as valid subscription statuses
-    const isPaidUser = ['paid', 'active', 'trialing'].includes(user.subscription_status);
-    const isTrialExpired = false; // Lemon Squeezy handles trial expiration
+    const suggestion = await getSuggestedLinkById(req.user.id, req.params.id);
+    if (!suggestion) {
+      return res.status(404).json({ success: false, error: 'Suggestion not found' });
+    }
+    if (suggestion.status !== 'pending') {
+      return res.status(409).json({ success: false, error: `Suggestion was already ${suggestion.status}` });
+    }
     
-    console.log(`💰 User status: ${isPaidUser ? 'PAID/TRIALING' : 'TRIAL'}, Subscription status: ${user.subscription_status}`);
-
-    // Validate customer has required connections
-    if (!req.session.salesforceToken) {
-      return res.status(400).json({
-        success: false,
-        error: 'Salesforce connection required',
-        message: 'Please connect your Salesforce account first'
-      });
+    const linkTable = SYNC_OBJECT_TYPES[suggestion.object_type].linkTable;
+    const existing = await pool.query(
+      `SELECT id FROM ${linkTable} WHERE sync_pair_id = $1 AND (salesforce_id = $2 OR hubspot_id = $3)`,
+      [suggestion.sync_pair_id, suggestion.salesforce_id, suggestion.hubspot_id]
+    );
+    if (existing.rows.length > 0) {
+      await decideSuggestedLink(suggestion.id, 'rejected');
+      return res.status(409).json({ success: false, error: 'One of these records is already linked to another record' });
     }
+    
+    // No synced_values yet, so the next sync treats every differing field as a conflict
+    await pool.query(
+      `INSERT INTO ${linkTable} (user_id, sync_pair_id, salesforce_id, hubspot_id) VALUES ($1, $2, $3, $4)`,
+      [req.user.id, suggestion.sync_pair_id, suggestion.salesforce_id, suggestion.hubspot_id]
+    );
+    const confirmed = await decideSuggestedLink(suggestion.id, 'confirmed');
+    
+    // Other suggestions for either record cannot be right any more
+    await pool.query(
+      `UPDATE suggested_links SET status = 'rejected', decided_at = NOW()
+       WHERE sync_pair_id = $1 AND object_type = $2 AND status = 'pending' AND (salesforce_id = $3 OR hubspot_id = $4)`,
+      [suggestion.sync_pair_id, suggestion.object_type, suggestion.salesforce_id, suggestion.hubspot_id]
+    );
+    
+    console.log(`✅ Suggested link ${suggestion.id} confirmed`);
+    res.json({ success: true, suggestion: confirmed, message: 'Records linked, they will be synced on the next run' });
+  } catch (error) {
+    console.error('❌ Failed to confirm suggested link:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Use REAL sync for paid/trialing users, DEMO sync for others
-    if (isPaidUser && !isTrialExpired) {
-      // 💰 PAID/TRIALING USER - Use REAL enterprise sync engine
-      console.log(`🚀 REAL: Enterprise sync for PAID/TRIALING customer: ${user.email}`);
-      
-      const syncEngine = new RealSyncEngine(
-        user.id,
-        req.session.salesforceToken,
-        req.session.salesforceInstanceUrl,
-        req.session.hubspotToken || null
-      );
-      
-      const syncResults = await syncEngine.performEnterpriseBidirectionalSync();
-      
-      // Calculate real business value for paying customer
-      const totalContacts = syncResults.salesforce_contacts_found;
-      const timesSavedHours = Math.floor(totalContacts * 0.05);
-      const monthlySavings = Math.max(197, totalContacts * 3);
-      const annualSavings = monthlySavings * 12;
-
-      return res.json({
-        success: true,
-        message: syncResults.message,
-        sync_type: 'enterprise_bidirectional',
-        user_status: user.subscription_status,
-        real_results: {
-          salesforce: {
-            status: 'connected',
-            contacts_found: syncResults.salesforce_contacts_found,
-            sample_contacts: syncResults.real_sample_contacts
-          },
-          hubspot: {
-            connected: !!req.session.hubspotToken,
-            sync_status: syncResults.hubspot_sync_attempted ? 'completed' : 'ready_to_connect',
-            contacts_created: syncResults.hubspot_created,
-            contacts_updated: syncResults.hubspot_updated,
-            total_synced: syncResults.hubspot_created + syncResults.hubspot_updated
-          },
-          business_impact: {
-            total_records_processed: totalContacts,
-            time_saved_hours: timesSavedHours,
-            monthly_cost_savings: `$${monthlySavings}`,
-            annual_savings: `$${annualSavings}`,
-            roi_vs_connectflows_cost: `${Math.round((monthlySavings / 197) * 100)}%`,
-            sync_efficiency: syncResults.hubspot_sync_attempted ? 'Real-time bidirectional' : 'Salesforce analysis complete'
-          },
-          enterprise_features: {
-            data_source: 'Real customer CRM data',
-            sync_method: 'API-based bidirectional',
-            security: 'Enterprise OAuth',
-            support: '24/7 monitoring'
-          }
-        },
-        timestamp: new Date().toISOString()
-      });
-      
-    } else {
-      // 🎭 TRIAL USER - Use DEMO sync engine (limited functionality)
-      console.log(`🎭 DEMO: Trial sync for user: ${user.email}`);
-      
-      // Demo sync with limited data and functionality
-      const demoResults = await performDemoSync(user.id, req.session.salesforceToken);
-      
-      return res.json({
-        success: true,
-        message: 'Demo sync completed successfully! Upgrade to paid plan for full bidirectional sync.',
-        sync_type: 'demo_limited',
-        user_status: 'trial',
-        demo_results: {
-          salesforce: {
-            status: 'connected',
-            contacts_found: demoResults.contacts_found,
-            sample_contacts: demoResults.sample_contacts,
-            note: 'Demo mode - limited to 5 contacts'
-          },
-          hubspot: {
-            connected: !!req.session.hubspotToken,
-            sync_status: 'demo_mode',
-            note: 'Upgrade to paid plan for HubSpot sync'
-          },
-          upgrade_prompt: {
-            message: 'Unlock full bidirectional sync with paid plan',
-            benefits: [
-              'Unlimited contacts',
-              'Real-time bidirectional sync',
-              'HubSpot integration',
-              'Advanced conflict resolution'
-            ],
-            pricing: '$197/month',
-            upgrade_url: '/pricing'
-          }
-        },
-        timestamp: new Date().toISOString()
-      });
+app.post('/api/matching/suggestions/:id/reject', requireAuth, async (req, res) => {
+  try {
+    const suggestion = await getSuggestedLinkById(req.user.id, req.params.id);
+    if (!suggestion) {
+      return res.status(404).json({ success: false, error: 'Suggestion not found' });
+    }
+    
+    const rejected = await decideSuggestedLink(suggestion.id, 'rejected');
+    if (!rejected) {
+      return res.status(409).json({ success: false, error: `Suggestion was already ${suggestion.status}` });
     }
+    
+    console.log(`✅ Suggested link ${suggestion.id} rejected`);
+    res.json({ success: true, suggestion: rejected, message: 'The records will be synced separately on the next run' });
+  } catch (error) {
+    console.error('❌ Failed to reject suggested link:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
+console.log('➡️ Defining /api/sync/logs/:id/conflicts route.');
+// Conflict decisions made during one sync run
+app.get('/api/sync/logs/:id/conflicts', requireAuth, async (req, res) => {
+  try {
+    const decisions = await getConflictDecisions(req.user.id, req.params.id);
+    res.json({ success: true, sync_log_id: Number(req.params.id), decisions });
   } catch (error) {
-    console.error('❌ Sync failed:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: 'Sync failed - please try again'
-    });
+    console.error('❌ Failed to load conflict decisions:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Demo sync function for trial users
-async function performDemoSync(userId, salesforceToken) {
+async function performDemoSync(userId, salesforceToken, salesforceInstanceUrl) {
   try {
     console.log('🎭 DEMO: Starting demo sync for trial user');
     
     // Get limited Salesforce contacts for demo
-    const salesforceContacts = await fetchSalesforceContacts(salesforceToken);
+    const salesforceContacts = await fetchSalesforceContacts(salesforceToken, salesforceInstanceUrl);
     const demoContacts = salesforceContacts.slice(0, 5); // Limit to 5 contacts
     
     // Create demo sample contacts
@@ -1781,6 +8229,253 @@ async function updateUserSubscriptionStatus(userId, subscriptionStatus, planType
   }
 }
 
+// Near-real-time sync. HubSpot webhooks and Salesforce Outbound Messages / Change Data Capture
+// events name the records that changed, each one becomes a single-record sync job for every
+// user connected to that portal or org. sync_events remembers every event id, so retried and
+// duplicate deliveries are dropped, and events are queued in the order they happened.
+const HUBSPOT_WEBHOOK_OBJECTS = { contact: 'contacts', company: 'companies', deal: 'deals' };
+const HUBSPOT_SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+function safeCompare(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Signature v3: base64 HMAC-SHA256 of method + URL + body + timestamp with the app's client secret
+function verifyHubSpotSignature(req) {
+  const signature = req.get('X-HubSpot-Signature-v3');
+  const timestamp = req.get('X-HubSpot-Request-Timestamp');
+  if (!signature || !timestamp || !process.env.HUBSPOT_CLIENT_SECRET) {
+    return false;
+  }
+  if (Math.abs(Date.now() - Number(timestamp)) > HUBSPOT_SIGNATURE_MAX_AGE_MS) {
+    return false;
+  }
+  
+  // Behind a proxy the URL HubSpot called is not the one Express sees
+  const url = process.env.HUBSPOT_WEBHOOK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  const expected = crypto
+    .createHmac('sha256', process.env.HUBSPOT_CLIENT_SECRET)
+    .update(`${req.method}${url}${req.rawBody ? req.rawBody.toString('utf8') : ''}${timestamp}`)
+    .digest('base64');
+  return safeCompare(signature, expected);
+}
+
+// Outbound Messages cannot be signed, so their endpoint URL carries the shared secret instead
+function verifySalesforceWebhook(req, signed) {
+  const secret = process.env.SALESFORCE_WEBHOOK_SECRET;
+  if (!secret) {
+    return false;
+  }
+  if (!signed) {
+    return safeCompare(req.query.token, secret);
+  }
+  const expected = crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex');
+  return safeCompare(req.get('X-ConnectFlows-Signature'), expected);
+}
+
+function salesforceObjectType(sobject) {
+  return Object.keys(SYNC_OBJECT_TYPES).find(objectType => SYNC_OBJECT_TYPES[objectType].salesforceObject === sobject) || null;
+}
+
+// Records one event per sync pair of the org or portal and queues the sync for pairs that
+// would sync it (see getSyncPairsByConnection). Returns the number of jobs queued or joined.
+async function queueRecordChange(syncPairs, change) {
+  let queued = 0;
+  for (const syncPair of syncPairs) {
+    if (!ACTIVE_SUBSCRIPTION_STATUSES.includes(syncPair.subscription_status)) {
+      continue;
+    }
+    const connections = await getSyncPairConnections(syncPair);
+    if (!connections.salesforce || !connections.hubspot ||
+      connections.salesforce.status === 'needs_reauthorization' || connections.hubspot.status === 'needs_reauthorization') {
+      continue;
+    }
+    if (!getEnabledObjectTypes(syncPair.sync_settings || {}).includes(change.objectType)) {
+      continue;
+    }
+    
+    const inserted = await pool.query(
+      `INSERT INTO sync_events (user_id, sync_pair_id, provider, event_id, event_type, object_type, record_id, occurred_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) ON CONFLICT (sync_pair_id, provider, event_id) DO NOTHING RETURNING id`,
+      [syncPair.user_id, syncPair.id, change.provider, change.eventId, change.eventType, change.objectType, change.recordId, change.occurredAt]
+    );
+    if (inserted.rows.length === 0) {
+      // Seen before, HubSpot and Salesforce both redeliver until they get a 2xx
+      continue;
+    }
+    
+    // Without a job the event is forgotten again, so the CRM's redelivery is processed
+    const record = { provider: change.provider, objectType: change.objectType, recordId: change.recordId };
+    let job;
+    try {
+      ({ job } = change.recordId
+        ? await enqueueRecordSyncJob(syncPair.user_id, syncPair.id, record)
+        : await enqueueSyncJob(syncPair.user_id, syncPair.id, 'webhook'));
+    } catch (error) {
+      await pool.query('DELETE FROM sync_events WHERE id = $1', [inserted.rows[0].id]);
+      throw error;
+    }
+    await pool.query('UPDATE sync_events SET job_id = $1 WHERE id = $2', [job.id, inserted.rows[0].id]);
+    queued++;
+  }
+  return queued;
+}
+
+function byOccurredAt(a, b) {
+  return a.occurredAt - b.occurredAt;
+}
+
+// Outbound Message SOAP envelopes have a fixed shape, the fields needed here are read directly
+function readXmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}>([^<]*)</(?:\\w+:)?${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+function parseOutboundMessage(xml) {
+  const notifications = xml.split(/<(?:\w+:)?Notification>/).slice(1).map(chunk => ({
+    notificationId: readXmlValue(chunk, 'Id'),
+    sobject: (chunk.match(/xsi:type="(?:\w+:)?(\w+)"/) || [])[1] || null,
+    recordId: (chunk.match(/<sObject[\s\S]*?<(?:\w+:)?Id>([^<]+)<\/(?:\w+:)?Id>/) || [])[1] || null
+  }));
+  return { organizationId: readXmlValue(xml, 'OrganizationId'), notifications };
+}
+
+function outboundMessageAck(ack) {
+  return '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"><soapenv:Body>' +
+    `<notificationsResponse xmlns="http://soap.sforce.com/2005/09/outbound"><Ack>${ack}</Ack></notificationsResponse>` +
+    '</soapenv:Body></soapenv:Envelope>';
+}
+
+console.log('➡️ Defining /webhooks/hubspot route.');
+// Subscriptions: contact.creation, contact.propertyChange, contact.deletion (and the company/deal equivalents)
+app.post('/webhooks/hubspot', async (req, res) => {
+  if (!verifyHubSpotSignature(req)) {
+    console.log('⚠️ HubSpot webhook with an invalid signature');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  
+  try {
+    const events = (Array.isArray(req.body) ? req.body : [])
+      // Echoes of this app's own writes
+      .filter(event => !(event.changeSource === 'INTEGRATION' && String(event.sourceId) === String(event.appId)))
+      .map(event => ({
+        portalId: event.portalId,
+        provider: 'hubspot',
+        eventId: String(event.eventId),
+        eventType: event.subscriptionType,
+        objectType: HUBSPOT_WEBHOOK_OBJECTS[String(event.subscriptionType).split('.')[0]] || null,
+        recordId: String(event.objectId),
+        occurredAt: new Date(event.occurredAt || Date.now())
+      }))
+      .filter(event => event.objectType)
+      .sort(byOccurredAt);
+    
+    const syncPairsByPortal = new Map();
+    let queued = 0;
+    for (const event of events) {
+      if (!syncPairsByPortal.has(event.portalId)) {
+        syncPairsByPortal.set(event.portalId, await getSyncPairsByConnection('hubspot', 'hub_id', event.portalId));
+      }
+      queued += await queueRecordChange(syncPairsByPortal.get(event.portalId), event);
+    }
+    
+    console.log(`📥 HubSpot webhook: ${events.length} events, ${queued} record syncs queued`);
+    res.status(200).json({ received: events.length, queued });
+  } catch (error) {
+    // A non-2xx response makes HubSpot retry the batch, the event ids keep that safe
+    console.error('❌ HubSpot webhook error:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+console.log('➡️ Defining /webhooks/salesforce/outbound-message route.');
+// Outbound Messages from a workflow rule or flow on Contact, Account or Opportunity
+app.post('/webhooks/salesforce/outbound-message', express.text({ type: ['text/xml', 'application/xml'] }), async (req, res) => {
+  res.type('text/xml');
+  if (!verifySalesforceWebhook(req, false)) {
+    console.log('⚠️ Salesforce Outbound Message with an invalid token');
+    return res.status(401).send(outboundMessageAck(false));
+  }
+  
+  try {
+    const { organizationId, notifications } = parseOutboundMessage(String(req.body || ''));
+    const syncPairs = organizationId ? await getSyncPairsByConnection('salesforce', 'org_id', organizationId) : [];
+    let queued = 0;
+    
+    for (const notification of notifications) {
+      const objectType = salesforceObjectType(notification.sobject);
+      if (!objectType || !notification.recordId || !notification.notificationId) {
+        continue;
+      }
+      queued += await queueRecordChange(syncPairs, {
+        provider: 'salesforce',
+        eventId: `om:${notification.notificationId}`,
+        eventType: 'outbound_message',
+        objectType,
+        recordId: notification.recordId,
+        occurredAt: new Date()
+      });
+    }
+    
+    console.log(`📥 Salesforce Outbound Message: ${notifications.length} notifications, ${queued} record syncs queued`);
+    res.status(200).send(outboundMessageAck(true));
+  } catch (error) {
+    // Without an Ack Salesforce retries the message
+    console.error('❌ Salesforce Outbound Message error:', error);
+    res.status(500).send(outboundMessageAck(false));
+  }
+});
+
+console.log('➡️ Defining /webhooks/salesforce/change-events route.');
+// Change Data Capture events, forwarded by a Pub/Sub API or CometD subscriber as
+// { organization_id, events: [{ replayId, payload: { ChangeEventHeader } }] } and signed with
+// an HMAC-SHA256 of the body in X-ConnectFlows-Signature
+app.post('/webhooks/salesforce/change-events', async (req, res) => {
+  if (!verifySalesforceWebhook(req, true)) {
+    console.log('⚠️ Salesforce change events with an invalid signature');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  
+  try {
+    const { organization_id: organizationId, events = [] } = req.body;
+    const syncPairs = organizationId ? await getSyncPairsByConnection('salesforce', 'org_id', organizationId) : [];
+    
+    const changes = [];
+    for (const event of events) {
+      const header = event.payload?.ChangeEventHeader;
+      const objectType = header ? salesforceObjectType(header.entityName) : null;
+      if (!objectType) {
+        continue;
+      }
+      const eventId = event.replayId ? `cdc:${event.replayId}` : `cdc:${header.transactionKey}:${header.sequenceNumber}`;
+      const occurredAt = new Date(header.commitTimestamp || Date.now());
+      
+      // Gap events mean Salesforce could not say which records changed, only a full sync covers that
+      if (String(header.changeType).startsWith('GAP_') && !(header.recordIds || []).length) {
+        changes.push({ provider: 'salesforce', eventId, eventType: header.changeType, objectType, recordId: null, occurredAt });
+        continue;
+      }
+      for (const recordId of header.recordIds || []) {
+        changes.push({ provider: 'salesforce', eventId: `${eventId}:${recordId}`, eventType: header.changeType, objectType, recordId, occurredAt });
+      }
+    }
+    
+    let queued = 0;
+    for (const change of changes.sort(byOccurredAt)) {
+      queued += await queueRecordChange(syncPairs, change);
+    }
+    
+    console.log(`📥 Salesforce change events: ${changes.length} changes, ${queued} syncs queued`);
+    res.status(200).json({ received: changes.length, queued });
+  } catch (error) {
+    console.error('❌ Salesforce change event error:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
 console.log('➡️ Defining /webhooks/lemonsqueezy route.');
 // Lemon Squeezy webhook handler for payment confirmations
 app.post('/webhooks/lemonsqueezy', async (req, res) => {
@@ -2023,6 +8718,9 @@ app.listen(PORT, () => {
   console.log('✅ Server ready for connections!');
   console.log('💸 Ready to make money from customer subscriptions!');
   
+  startSyncWorker().catch(error => console.error('❌ Sync worker failed to start:', error));
+  startSyncScheduler().catch(error => console.error('❌ Sync scheduler failed to start:', error));
+  
   if (!process.env.SF_CLIENT_ID) {
     console.log('⚠️  Warning: SF_CLIENT_ID not set');
   }
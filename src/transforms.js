@@ -0,0 +1,233 @@
+// Value transforms for field mappings
+// A mapping can list transforms that run, in order, whenever a value crosses from one CRM
+// to the other. Each one has a `type`, its own options and an optional `direction`:
+// 'to_hubspot', 'to_salesforce' or 'both' (the default). Everything here is a plain
+// function of its inputs so it can be exercised without a database or either CRM.
+
+const TRANSFORM_DIRECTIONS = ['both', 'to_hubspot', 'to_salesforce'];
+const CASE_STYLES = ['lower', 'upper', 'title'];
+const DATE_FORMATS = ['date', 'datetime', 'epoch_ms'];
+const NAME_PARTS = ['first', 'last'];
+
+// Last token is the last name, everything before it the first name
+function splitName(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  const last = parts.pop() || '';
+  return { first: parts.join(' '), last };
+}
+
+function joinName(first, last) {
+  return [first, last].map(part => String(part || '').trim()).filter(Boolean).join(' ');
+}
+
+// +<country code><number>. Numbers starting with + or 00 are international, anything else is
+// national: its trunk prefix (0, or 1 in the North American plan) is dropped and the default
+// country code put in front. Values that do not look like a phone number are returned untouched.
+function toE164(value, defaultCountryCode = '1') {
+  const text = String(value || '').trim();
+  if (!text) {
+    return '';
+  }
+
+  // Extensions are not part of E.164
+  const number = text.split(/\s*(?:x|ext\.?|extension)\s*\d+$/i)[0];
+  let digits = number.replace(/\D/g, '');
+
+  if (number.startsWith('+')) {
+    // Already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else {
+    const trunkPrefix = String(defaultCountryCode) === '1' ? /^1(?=\d{10}$)/ : /^0/;
+    digits = `${defaultCountryCode}${digits.replace(trunkPrefix, '')}`;
+  }
+
+  if (digits.length < 8 || digits.length > 15) {
+    return text;
+  }
+  return `+${digits}`;
+}
+
+function toTitleCase(value) {
+  return value.toLowerCase().replace(/(^|[\s\-'])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+function formatDate(value, format = 'date') {
+  if (!value) {
+    return '';
+  }
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  if (isNaN(date.getTime())) {
+    return String(value);
+  }
+
+  switch (format) {
+    case 'datetime':
+      return date.toISOString();
+    case 'epoch_ms':
+      // HubSpot date properties want midnight UTC in milliseconds
+      return String(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    default:
+      return date.toISOString().slice(0, 10);
+  }
+}
+
+// Picklist maps are written Salesforce value -> HubSpot value and read backwards on the way to Salesforce
+function mapPicklistValue(value, map, direction, fallback) {
+  if (direction === 'to_hubspot') {
+    if (Object.prototype.hasOwnProperty.call(map, value)) {
+      return map[value];
+    }
+  } else {
+    const entry = Object.entries(map).find(([, hubspotValue]) => hubspotValue === value);
+    if (entry) {
+      return entry[0];
+    }
+  }
+  return fallback === undefined ? value : fallback;
+}
+
+// context: { direction, source(field) -> value of another field on the record being read,
+// targetLength -> maximum length of the field being written, if the CRM publishes one }
+function applyTransform(transform, value, context) {
+  const text = value === null || value === undefined ? '' : String(value);
+
+  switch (transform.type) {
+    case 'trim':
+      return text.trim().replace(/\s+/g, ' ');
+    case 'case':
+      if (transform.to === 'upper') {
+        return text.toUpperCase();
+      }
+      return transform.to === 'title' ? toTitleCase(text) : text.toLowerCase();
+    case 'phone_e164':
+      return toE164(text, transform.default_country_code || '1');
+    case 'picklist':
+      return text ? mapPicklistValue(text, transform.map, context.direction, transform.fallback) : text;
+    case 'truncate': {
+      const length = transform.length || context.targetLength;
+      return length && text.length > length ? text.slice(0, length) : text;
+    }
+    case 'default':
+      return text === '' ? String(transform.value) : text;
+    case 'date':
+      return formatDate(text, transform.format);
+    case 'split_name':
+      return splitName(text)[transform.part];
+    case 'join_name': {
+      const other = context.source ? context.source(transform.with) : '';
+      return transform.position === 'before' ? joinName(other, text) : joinName(text, other);
+    }
+    default:
+      return text;
+  }
+}
+
+function appliesTo(transform, direction) {
+  return !transform.direction || transform.direction === 'both' || transform.direction === direction;
+}
+
+function applyTransforms(transforms, value, context) {
+  return (transforms || [])
+    .filter(transform => appliesTo(transform, context.direction))
+    .reduce((current, transform) => applyTransform(transform, current, context), value);
+}
+
+// Fields a mapping reads besides its own, per CRM, so they can be added to the queries
+function transformSourceFields(transforms) {
+  const fields = { salesforce: [], hubspot: [] };
+  for (const transform of transforms || []) {
+    if (transform.type === 'join_name') {
+      fields[transform.direction === 'to_hubspot' ? 'salesforce' : 'hubspot'].push(transform.with);
+    }
+  }
+  return fields;
+}
+
+// Returns an error message, or null when the list is valid
+function validateTransforms(transforms) {
+  if (transforms === undefined) {
+    return null;
+  }
+  if (!Array.isArray(transforms)) {
+    return 'transforms must be an array';
+  }
+
+  for (const transform of transforms) {
+    if (!transform || typeof transform.type !== 'string') {
+      return 'Every transform needs a type';
+    }
+    if (transform.direction && !TRANSFORM_DIRECTIONS.includes(transform.direction)) {
+      return `Invalid transform direction: ${transform.direction}`;
+    }
+
+    switch (transform.type) {
+      case 'trim':
+        break;
+      case 'case':
+        if (!CASE_STYLES.includes(transform.to)) {
+          return `case transform needs to: ${CASE_STYLES.join(', ')}`;
+        }
+        break;
+      case 'phone_e164':
+        if (transform.default_country_code !== undefined && !/^\d{1,3}$/.test(String(transform.default_country_code))) {
+          return 'phone_e164 default_country_code must be 1 to 3 digits';
+        }
+        break;
+      case 'picklist':
+        if (!transform.map || typeof transform.map !== 'object' || Object.values(transform.map).some(mapped => typeof mapped !== 'string')) {
+          return 'picklist transform needs a map of Salesforce value -> HubSpot value';
+        }
+        break;
+      case 'truncate':
+        if (transform.length !== undefined && (!Number.isInteger(transform.length) || transform.length < 1)) {
+          return 'truncate length must be a positive integer';
+        }
+        break;
+      case 'default':
+        if (transform.value === undefined || transform.value === null) {
+          return 'default transform needs a value';
+        }
+        break;
+      case 'date':
+        if (transform.format && !DATE_FORMATS.includes(transform.format)) {
+          return `date format must be one of: ${DATE_FORMATS.join(', ')}`;
+        }
+        break;
+      case 'split_name':
+        if (!NAME_PARTS.includes(transform.part)) {
+          return 'split_name needs part: first or last';
+        }
+        break;
+      case 'join_name':
+        // The other field ends up in a SOQL query or a HubSpot property list
+        if (typeof transform.with !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)?$/.test(transform.with)) {
+          return 'join_name needs with: the API name of the other name field';
+        }
+        if (!['to_hubspot', 'to_salesforce'].includes(transform.direction)) {
+          return 'join_name needs a direction of to_hubspot or to_salesforce';
+        }
+        if (transform.position && !['before', 'after'].includes(transform.position)) {
+          return 'join_name position must be before or after';
+        }
+        break;
+      default:
+        return `Unknown transform type: ${transform.type}`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  TRANSFORM_DIRECTIONS,
+  splitName,
+  joinName,
+  toE164,
+  formatDate,
+  mapPicklistValue,
+  applyTransform,
+  applyTransforms,
+  transformSourceFields,
+  validateTransforms
+};
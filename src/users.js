@@ -0,0 +1,51 @@
+// User account storage
+// Queries for the users table, given the pg pool (or anything with the same query method) so
+// the account code can be exercised without a database.
+
+// Account emails are compared case-insensitively, but kept otherwise as typed: jane+crm@x.com
+// and jane@x.com are two different accounts.
+function normalizeAccountEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function createUserStore(pool) {
+  async function createUser(email, passwordHash) {
+    const result = await pool.query(
+      'INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING *',
+      [normalizeAccountEmail(email), passwordHash]
+    );
+    return result.rows[0];
+  }
+
+  async function getUserByEmail(email) {
+    const result = await pool.query('SELECT * FROM users WHERE LOWER(email) = $1', [normalizeAccountEmail(email)]);
+    return result.rows[0];
+  }
+
+  async function getUserById(id) {
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  async function updateUserPassword(id, passwordHash, changedAt = new Date()) {
+    await pool.query(
+      'UPDATE users SET password_hash = $1, password_changed_at = $2, updated_at = NOW() WHERE id = $3',
+      [passwordHash, changedAt, id]
+    );
+  }
+
+  async function updateUserEmail(id, email) {
+    const result = await pool.query(
+      'UPDATE users SET email = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+      [normalizeAccountEmail(email), id]
+    );
+    return result.rows[0];
+  }
+
+  return { createUser, getUserByEmail, getUserById, updateUserPassword, updateUserEmail };
+}
+
+module.exports = {
+  normalizeAccountEmail,
+  createUserStore
+};
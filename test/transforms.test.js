@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  splitName,
+  joinName,
+  toE164,
+  formatDate,
+  mapPicklistValue,
+  applyTransform,
+  applyTransforms,
+  transformSourceFields,
+  validateTransforms
+} = require('../src/transforms');
+
+test('toE164 adds the default country code to national numbers', () => {
+  assert.equal(toE164('(415) 555-1234'), '+14155551234');
+  assert.equal(toE164('030 123456', '49'), '+4930123456');
+});
+
+test('toE164 drops the trunk prefix whatever the number length', () => {
+  assert.equal(toE164('020 7946 0958', '44'), '+442079460958');
+  assert.equal(toE164('07911 123456', '44'), '+447911123456');
+  assert.equal(toE164('1-415-555-1234', '1'), '+14155551234');
+});
+
+test('toE164 keeps international numbers as they are', () => {
+  assert.equal(toE164('+44 20 7946 0958', '1'), '+442079460958');
+  assert.equal(toE164('0044 20 7946 0958', '1'), '+442079460958');
+});
+
+test('toE164 drops extensions and leaves non-numbers untouched', () => {
+  assert.equal(toE164('+1 415 555 1234 ext. 12'), '+14155551234');
+  assert.equal(toE164('call me'), 'call me');
+  assert.equal(toE164(''), '');
+  assert.equal(toE164(null), '');
+});
+
+test('splitName puts the last token in last and the rest in first', () => {
+  assert.deepEqual(splitName('Mary Ann Smith'), { first: 'Mary Ann', last: 'Smith' });
+  assert.deepEqual(splitName('  Cher '), { first: '', last: 'Cher' });
+  assert.deepEqual(splitName(null), { first: '', last: '' });
+});
+
+test('joinName skips empty parts', () => {
+  assert.equal(joinName('Mary Ann', 'Smith'), 'Mary Ann Smith');
+  assert.equal(joinName('', 'Smith'), 'Smith');
+  assert.equal(joinName(' Mary ', null), 'Mary');
+});
+
+test('mapPicklistValue maps Salesforce values to HubSpot ones and back', () => {
+  const map = { 'Closed Won': 'closedwon', Prospecting: 'appointmentscheduled' };
+  assert.equal(mapPicklistValue('Closed Won', map, 'to_hubspot'), 'closedwon');
+  assert.equal(mapPicklistValue('closedwon', map, 'to_salesforce'), 'Closed Won');
+});
+
+test('mapPicklistValue falls back to the fallback, or the value itself', () => {
+  const map = { 'Closed Won': 'closedwon' };
+  assert.equal(mapPicklistValue('Other', map, 'to_hubspot'), 'Other');
+  assert.equal(mapPicklistValue('other', map, 'to_salesforce', 'Prospecting'), 'Prospecting');
+});
+
+test('formatDate epoch_ms is midnight UTC of the date', () => {
+  assert.equal(formatDate('2024-03-05T17:45:00Z', 'epoch_ms'), String(Date.UTC(2024, 2, 5)));
+  assert.equal(formatDate(String(Date.UTC(2024, 2, 5, 9)), 'epoch_ms'), String(Date.UTC(2024, 2, 5)));
+  assert.equal(formatDate('2024-03-05T17:45:00Z'), '2024-03-05');
+  assert.equal(formatDate('not a date', 'epoch_ms'), 'not a date');
+});
+
+test('truncate uses its own length, or the length of the target field', () => {
+  assert.equal(applyTransform({ type: 'truncate', length: 5 }, 'Salesforce', {}), 'Sales');
+  assert.equal(applyTransform({ type: 'truncate' }, 'Salesforce', { targetLength: 4 }), 'Sale');
+  assert.equal(applyTransform({ type: 'truncate' }, 'Salesforce', {}), 'Salesforce');
+});
+
+test('applyTransforms runs the transforms for the direction in order', () => {
+  const transforms = [
+    { type: 'trim' },
+    { type: 'case', to: 'title' },
+    { type: 'case', to: 'upper', direction: 'to_salesforce' }
+  ];
+  assert.equal(applyTransforms(transforms, '  jane   doe ', { direction: 'to_hubspot' }), 'Jane Doe');
+  assert.equal(applyTransforms(transforms, '  jane   doe ', { direction: 'to_salesforce' }), 'JANE DOE');
+});
+
+test('join_name reads the other field from the record', () => {
+  const transform = { type: 'join_name', with: 'LastName', direction: 'to_hubspot' };
+  const source = field => ({ LastName: 'Doe' })[field];
+  assert.equal(applyTransform(transform, 'Jane', { direction: 'to_hubspot', source }), 'Jane Doe');
+  assert.deepEqual(transformSourceFields([transform]), { salesforce: ['LastName'], hubspot: [] });
+});
+
+test('validateTransforms accepts valid lists', () => {
+  assert.equal(validateTransforms(undefined), null);
+  assert.equal(validateTransforms([
+    { type: 'trim' },
+    { type: 'phone_e164', default_country_code: '44' },
+    { type: 'picklist', map: { 'Closed Won': 'closedwon' } },
+    { type: 'truncate', length: 80 },
+    { type: 'date', format: 'epoch_ms', direction: 'to_hubspot' },
+    { type: 'join_name', with: 'LastName', direction: 'to_hubspot' }
+  ]), null);
+});
+
+test('validateTransforms rejects invalid transforms', () => {
+  assert.equal(validateTransforms({}), 'transforms must be an array');
+  assert.equal(validateTransforms([{}]), 'Every transform needs a type');
+  assert.equal(validateTransforms([{ type: 'reverse' }]), 'Unknown transform type: reverse');
+  assert.match(validateTransforms([{ type: 'trim', direction: 'sideways' }]), /Invalid transform direction/);
+  assert.match(validateTransforms([{ type: 'case', to: 'snake' }]), /case transform needs/);
+  assert.match(validateTransforms([{ type: 'phone_e164', default_country_code: '+44' }]), /default_country_code/);
+  assert.match(validateTransforms([{ type: 'picklist', map: { a: 1 } }]), /picklist transform needs a map/);
+  assert.match(validateTransforms([{ type: 'truncate', length: 0 }]), /positive integer/);
+  assert.match(validateTransforms([{ type: 'default' }]), /needs a value/);
+  assert.match(validateTransforms([{ type: 'date', format: 'unix' }]), /date format/);
+  assert.match(validateTransforms([{ type: 'split_name', part: 'middle' }]), /split_name needs part/);
+  assert.match(validateTransforms([{ type: 'join_name', with: 'Last Name; DROP', direction: 'to_hubspot' }]), /join_name needs with/);
+  assert.match(validateTransforms([{ type: 'join_name', with: 'LastName' }]), /direction/);
+});
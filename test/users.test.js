@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAccountEmail, createUserStore } = require('../src/users');
+
+// Just enough of the users table for the insert and email lookup queries
+function memoryPool() {
+  const rows = [];
+  return {
+    rows,
+    async query(sql, params) {
+      if (sql.startsWith('INSERT INTO users')) {
+        const row = { id: rows.length + 1, email: params[0], password_hash: params[1] };
+        rows.push(row);
+        return { rows: [row] };
+      }
+      if (sql.includes('WHERE LOWER(email) = $1')) {
+        return { rows: rows.filter(row => row.email.toLowerCase() === params[0]) };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+test('normalizeAccountEmail trims and lowercases but keeps plus-addressing', () => {
+  assert.equal(normalizeAccountEmail('  Jane+CRM@Example.com '), 'jane+crm@example.com');
+  assert.equal(normalizeAccountEmail(undefined), '');
+});
+
+test('a +tag address round-trips through createUser and getUserByEmail', async () => {
+  const pool = memoryPool();
+  const { createUser, getUserByEmail } = createUserStore(pool);
+
+  const created = await createUser('Jane+crm@Example.com', 'hash');
+  assert.equal(created.email, 'jane+crm@example.com');
+
+  const found = await getUserByEmail('jane+CRM@example.com');
+  assert.equal(found.id, created.id);
+  assert.equal(await getUserByEmail('jane@example.com'), undefined);
+});
+
+test('addresses differing only by +tag stay separate accounts', async () => {
+  const { createUser, getUserByEmail } = createUserStore(memoryPool());
+
+  const first = await createUser('jane+a@x.com', 'hash');
+  const second = await createUser('jane+b@x.com', 'hash');
+
+  assert.equal((await getUserByEmail('jane+a@x.com')).id, first.id);
+  assert.equal((await getUserByEmail('jane+b@x.com')).id, second.id);
+});